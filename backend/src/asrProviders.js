@@ -0,0 +1,385 @@
+import OpenAI from 'openai';
+import speech from '@google-cloud/speech';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { createReadStream } from 'fs';
+import dotenv from 'dotenv';
+import { resolveLanguage } from './languages.js';
+
+// Load environment variables
+dotenv.config();
+
+/*
+ * Speech-to-text providers.
+ *
+ * Every provider exposes transcribe(audioPath, options) and resolves to the same shape:
+ * {
+ *   text,          // Full transcript
+ *   segments,      // [{ start, end, text, confidence }] in seconds
+ *   words,         // [{ word, start, end, confidence }] (empty when the provider has none)
+ *   language,      // Language reported by the provider, or null
+ *   languageConfidence, // 0-1 probability of that language when the provider detected it and
+ *                       // reports one (whisper.cpp only), otherwise null
+ *   confidence,    // 0-1 confidence in the transcript, or null when the provider doesn't report one
+ *   duration,      // Seconds of audio covered
+ *   provider       // Provider name
+ * }
+ *
+ * Common options: language (null = let the provider decide), prompt, model.
+ * Languages can be given as a code or a name ('hi', 'hi-IN', 'Hindi'); each provider
+ * converts them to the form its service expects.
+ */
+
+const DEFAULT_PROVIDER = process.env.ASR_PROVIDER || 'openai';
+
+/**
+ * Averages the numbers in a list, ignoring missing values
+ */
+function average(values) {
+    const present = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+    return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+/**
+ * Converts a language option to an ISO 639-1 code for Whisper
+ */
+function toWhisperLanguage(language) {
+    return resolveLanguage(language)?.code || language;
+}
+
+/**
+ * Runs a command and resolves with its output, rejecting on a non-zero exit code
+ */
+function runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', data => { stdout += data.toString(); });
+        child.stderr.on('data', data => { stderr += data.toString(); });
+        child.on('error', error => {
+            reject(new Error(`Failed to run ${command}: ${error.message}`));
+        });
+        child.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+                return;
+            }
+            resolve({ stdout, stderr });
+        });
+    });
+}
+
+// OpenAI Whisper API
+
+let openaiClient = null;
+
+function getOpenAIClient() {
+    if (!openaiClient) {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new Error('OPENAI_API_KEY is not set in environment variables');
+        }
+        openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return openaiClient;
+}
+
+const openaiProvider = {
+    name: 'openai',
+
+    async transcribe(audioPath, options = {}) {
+        const request = {
+            file: createReadStream(audioPath),
+            model: options.model || 'whisper-1',
+            response_format: 'verbose_json',
+            timestamp_granularities: ['segment', 'word'],
+            temperature: 0
+        };
+        if (options.language) request.language = toWhisperLanguage(options.language);
+        if (options.prompt) request.prompt = options.prompt;
+
+        console.log('Making Whisper API call...');
+        const transcription = await getOpenAIClient().audio.transcriptions.create(request);
+
+        // avg_logprob is a log probability per token; exp() turns it into 0-1
+        const segments = (transcription.segments || []).map(segment => ({
+            start: segment.start,
+            end: segment.end,
+            text: segment.text.trim(),
+            confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null
+        }));
+
+        return {
+            text: transcription.text,
+            segments,
+            words: (transcription.words || []).map(word => ({
+                word: word.word,
+                start: word.start,
+                end: word.end,
+                confidence: null
+            })),
+            language: transcription.language || options.language || null,
+            languageConfidence: null,
+            confidence: average(segments.map(segment => segment.confidence)),
+            duration: transcription.duration,
+            provider: 'openai'
+        };
+    }
+};
+
+// Local openai-whisper CLI (pip install openai-whisper)
+
+const whisperLocalProvider = {
+    name: 'whisper-local',
+
+    async transcribe(audioPath, options = {}) {
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+        try {
+            // CPU-friendly settings, same as whisper-test/test-whisper.js
+            const args = [
+                path.resolve(audioPath),
+                '--model', options.model || process.env.WHISPER_MODEL || 'small',
+                '--output_format', 'json',
+                '--output_dir', outputDir,
+                '--task', 'transcribe',
+                '--beam_size', '1',
+                '--best_of', '1',
+                '--temperature', '0',
+                '--no_speech_threshold', '0.6',
+                '--condition_on_previous_text', 'False',
+                '--word_timestamps', 'True',
+                '--fp16', 'False',
+                '--threads', String(options.threads || process.env.WHISPER_THREADS || 4)
+            ];
+            if (options.language) args.push('--language', toWhisperLanguage(options.language));
+            if (options.prompt) args.push('--initial_prompt', options.prompt);
+
+            const command = process.env.WHISPER_CLI || 'whisper';
+            console.log(`Running local Whisper (${command})...`);
+            await runCommand(command, args);
+
+            const outputFile = path.join(outputDir, `${path.basename(audioPath, path.extname(audioPath))}.json`);
+            const result = JSON.parse(await fs.readFile(outputFile, 'utf-8'));
+
+            const segments = (result.segments || []).map(segment => ({
+                start: segment.start,
+                end: segment.end,
+                text: segment.text.trim(),
+                confidence: typeof segment.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null
+            }));
+            const words = (result.segments || []).flatMap(segment => segment.words || []).map(word => ({
+                word: word.word.trim(),
+                start: word.start,
+                end: word.end,
+                confidence: word.probability ?? null
+            }));
+
+            return {
+                text: result.text.trim(),
+                segments,
+                words,
+                language: result.language || options.language || null,
+                languageConfidence: null,
+                confidence: average(segments.map(segment => segment.confidence)),
+                duration: segments.length ? segments[segments.length - 1].end : 0,
+                provider: 'whisper-local'
+            };
+        } finally {
+            await fs.rm(outputDir, { recursive: true, force: true });
+        }
+    }
+};
+
+// whisper.cpp CLI
+
+const whisperCppProvider = {
+    name: 'whisper-cpp',
+
+    async transcribe(audioPath, options = {}) {
+        const model = options.model || process.env.WHISPER_CPP_MODEL;
+        if (!model) {
+            throw new Error('WHISPER_CPP_MODEL is not set (path to a ggml model file)');
+        }
+
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whisper-cpp-'));
+        const outputBase = path.join(outputDir, 'result');
+        try {
+            // -ojf writes token probabilities alongside the segments
+            const args = [
+                '-m', model,
+                '-f', path.resolve(audioPath),
+                '-l', options.language ? toWhisperLanguage(options.language) : 'auto',
+                '-t', String(options.threads || process.env.WHISPER_THREADS || 4),
+                '-ojf',
+                '-of', outputBase
+            ];
+            if (options.prompt) args.push('--prompt', options.prompt);
+
+            const command = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+            console.log(`Running whisper.cpp (${command})...`);
+            const { stderr } = await runCommand(command, args);
+
+            const result = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf-8'));
+            // The detected language's probability is only logged, e.g. "auto-detected language: hi (p = 0.912345)"
+            const detected = stderr.match(/auto-detected language: (\S+) \(p = ([\d.]+)\)/);
+            const entries = result.transcription || [];
+
+            const segments = entries.map(entry => ({
+                start: entry.offsets.from / 1000,
+                end: entry.offsets.to / 1000,
+                text: entry.text.trim(),
+                confidence: average((entry.tokens || []).map(token => token.p))
+            }));
+            const words = entries.flatMap(entry => (entry.tokens || [])
+                .filter(token => !token.text.startsWith('[_'))
+                .map(token => ({
+                    word: token.text.trim(),
+                    start: token.offsets.from / 1000,
+                    end: token.offsets.to / 1000,
+                    confidence: token.p ?? null
+                })))
+                .filter(word => word.word);
+
+            return {
+                text: segments.map(segment => segment.text).join(' ').trim(),
+                segments,
+                words,
+                language: result.result?.language || detected?.[1] || options.language || null,
+                languageConfidence: detected ? parseFloat(detected[2]) : null,
+                confidence: average(segments.map(segment => segment.confidence)),
+                duration: segments.length ? segments[segments.length - 1].end : 0,
+                provider: 'whisper-cpp'
+            };
+        } finally {
+            await fs.rm(outputDir, { recursive: true, force: true });
+        }
+    }
+};
+
+// Google Cloud Speech-to-Text
+
+let googleClient = null;
+
+function getGoogleClient() {
+    if (!googleClient) {
+        if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+            throw new Error('GOOGLE_APPLICATION_CREDENTIALS is not set in environment variables');
+        }
+        googleClient = new speech.SpeechClient({
+            projectId: process.env.GOOGLE_CLOUD_PROJECT,
+            keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
+        });
+    }
+    return googleClient;
+}
+
+/**
+ * Converts a Google Duration ({ seconds, nanos }) to seconds
+ */
+function toSeconds(duration) {
+    if (!duration) return 0;
+    return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * Converts a language option to a BCP-47 code for Google ('hi' -> 'hi-IN')
+ */
+function toGoogleLanguage(language) {
+    return resolveLanguage(language)?.googleCode || language;
+}
+
+const googleProvider = {
+    name: 'google',
+    // Detects among a primary language plus alternatives in a single request
+    supportsAlternativeLanguages: true,
+
+    async transcribe(audioPath, options = {}) {
+        // Fragments are 16 kHz mono LINEAR16, short enough for a synchronous request
+        const config = {
+            encoding: 'LINEAR16',
+            sampleRateHertz: 16000,
+            languageCode: toGoogleLanguage(options.language) || 'en-IN',
+            model: options.model || 'latest_long',
+            enableWordTimeOffsets: true,
+            enableWordConfidence: true,
+            enableAutomaticPunctuation: true
+        };
+        if (options.alternativeLanguages?.length) {
+            config.alternativeLanguageCodes = options.alternativeLanguages.map(toGoogleLanguage);
+        }
+        if (options.phrases?.length) {
+            config.speechContexts = [{ phrases: options.phrases, boost: 20 }];
+        }
+
+        const audioBytes = await fs.readFile(audioPath);
+        console.log(`Making Google Speech call (${config.languageCode})...`);
+        const [response] = await getGoogleClient().recognize({
+            config,
+            audio: { content: audioBytes.toString('base64') }
+        });
+
+        const results = (response.results || [])
+            .filter(result => result.alternatives?.[0]?.transcript?.trim());
+
+        let previousEnd = 0;
+        const segments = results.map(result => {
+            const end = toSeconds(result.resultEndTime);
+            const segment = {
+                start: previousEnd,
+                end,
+                text: result.alternatives[0].transcript.trim(),
+                confidence: result.alternatives[0].confidence ?? null
+            };
+            previousEnd = end;
+            return segment;
+        });
+        const words = results.flatMap(result => (result.alternatives[0].words || []).map(word => ({
+            word: word.word,
+            start: toSeconds(word.startTime),
+            end: toSeconds(word.endTime),
+            confidence: word.confidence ?? null
+        })));
+
+        return {
+            text: segments.map(segment => segment.text).join(' '),
+            segments,
+            words,
+            language: results[0]?.languageCode || config.languageCode,
+            // Google picks among the alternative languages without saying how sure it is
+            languageConfidence: null,
+            confidence: average(segments.map(segment => segment.confidence)),
+            duration: previousEnd,
+            provider: 'google'
+        };
+    }
+};
+
+const providers = {
+    [openaiProvider.name]: openaiProvider,
+    [whisperLocalProvider.name]: whisperLocalProvider,
+    [whisperCppProvider.name]: whisperCppProvider,
+    [googleProvider.name]: googleProvider
+};
+
+/**
+ * Gets a speech-to-text provider by name (defaults to ASR_PROVIDER, then 'openai')
+ */
+function getAsrProvider(name = DEFAULT_PROVIDER) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown ASR provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Lists the available provider names
+ */
+function listAsrProviders() {
+    return Object.keys(providers);
+}
+
+export { getAsrProvider, listAsrProviders, DEFAULT_PROVIDER as DEFAULT_ASR_PROVIDER };
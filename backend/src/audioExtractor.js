@@ -4,10 +4,27 @@ import path from 'path';
 import { createWriteStream } from 'fs';
 import { spawn } from 'child_process';
 import { open } from 'fs/promises';  // For file lock checking
+import { getJob, updateJob, updateStage, markFragment, recordError } from './jobStore.js';
+import { pipeline } from './pipelineOrchestrator.js';
+import {
+  SAMPLE_RATE,
+  BYTES_PER_SAMPLE,
+  getSegmentationSettings,
+  getSilenceDetectArgs,
+  createWavBuffer,
+  SilenceSegmenter
+} from './audioSegmenter.js';
+import { setSegmentation, recordFragmentTiming, getFragmentTiming } from './fragmentManifest.js';
 
 // Update base directory constant
 const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
 
+// Length of each extracted fragment in fixed segmentation mode
+const SEGMENT_SECONDS = 20;
+
+// Running extractions by video ID, so they can be stopped from the API
+const activeExtractions = new Map();
+
 // Ensure directory exists
 async function ensureDirectoryExists(dirPath) {
   try {
@@ -108,26 +125,80 @@ async function getVideoInfo(url) {
   });
 }
 
-// Extract audio from normal video
-async function extractNormalAudio(videoUrl, videoId) {
+// ffmpeg arguments for fixed-length segments written straight to PreProcessing
+function getFixedSegmentArgs(preprocessingTemplate, startFragment, extraArgs = []) {
+  return [
+    '-i', 'pipe:0',        // Read from stdin
+    ...extraArgs,
+    '-f', 'segment',       // Enable segmentation
+    '-segment_time', String(SEGMENT_SECONDS), // 20 seconds per segment
+    '-segment_start_number', String(startFragment),
+    '-reset_timestamps', '1',
+    '-acodec', 'pcm_s16le', // LINEAR16 encoding
+    '-ar', '16000',         // 16 kHz sample rate
+    '-ac', '1',             // Mono channel
+    '-map', '0:a',          // Only process audio
+    preprocessingTemplate   // Output to preprocessing directory
+  ];
+}
+
+// Cut the PCM ffmpeg writes to stdout into fragments at silences. Each fragment is
+// written to PreProcessing and finalized in order.
+function attachSilenceSegmenter(ffmpegProcess, options) {
+  const { videoId, settings, startFragment, skipSeconds = 0, timeOffset = 0, preprocessingDir, finalExtractedDir } = options;
+  const segmenter = new SilenceSegmenter(settings, { skipSeconds, timeOffset });
+  let nextFragment = startFragment;
+  let pending = Promise.resolve();
+
+  segmenter.on('fragment', ({ pcm, start, end }) => {
+    const fragmentNum = nextFragment++;
+    pending = pending
+      .then(async () => {
+        await fs.writeFile(path.join(preprocessingDir, `fragment-${fragmentNum}.wav`), createWavBuffer(pcm));
+        await finalizeFragment(videoId, fragmentNum, preprocessingDir, finalExtractedDir, { start, end });
+      })
+      .catch(error => console.error(`Error writing fragment ${fragmentNum}:`, error));
+  });
+
+  ffmpegProcess.stdout.on('data', chunk => segmenter.pushAudio(chunk));
+  ffmpegProcess.stderr.on('data', data => segmenter.pushLog(data.toString()));
+
+  return {
+    // Cuts the remaining audio as the last fragment; resolves with the next fragment number
+    finish: async () => {
+      segmenter.flush();
+      await pending;
+      return nextFragment;
+    },
+    // Waits for fragments already cut (the partial one is dropped)
+    settle: async () => {
+      await pending;
+      return nextFragment;
+    }
+  };
+}
+
+// Extract audio from normal video, optionally resuming at a later fragment
+// startOffset is where that fragment starts in the source, in seconds
+async function extractNormalAudio(videoUrl, videoId, startFragment = 0, segmentation = getSegmentationSettings(), startOffset = 0) {
   return new Promise(async (resolve, reject) => {
     try {
-      console.log('Starting audio extraction...');
+      console.log(startFragment > 0
+        ? `Resuming audio extraction at fragment ${startFragment}...`
+        : 'Starting audio extraction...');
       
       // Create directory structure
       const { preprocessingDir, finalExtractedDir } = await createVideoDirectoryStructure(videoId);
-      const statusPath = path.join(preprocessingDir, 'status.json');
       
       // Use fragment-N naming for consistency
       const preprocessingTemplate = path.join(preprocessingDir, 'fragment-%d.wav');
       
-      // Initialize status file
-      const initialStatus = {
-        status: 'starting',
-        progress: 0,
-        startTime: new Date().toISOString()
-      };
-      await fs.writeFile(statusPath, JSON.stringify(initialStatus));
+      // Initialize extraction stage in the job store
+      await updateStage(videoId, 'extraction', {
+        status: 'running',
+        totalFragments: null,
+        error: null
+      });
       
       // First step: Extract audio using yt-dlp and pipe to ffmpeg for segmentation
       const ytdlProcess = spawn('yt-dlp', [
@@ -140,65 +211,62 @@ async function extractNormalAudio(videoUrl, videoId) {
         videoUrl
       ]);
 
-      // Second step: Use ffmpeg to segment the audio
-      const ffmpegProcess = spawn('ffmpeg', [
-        '-i', 'pipe:0',        // Read from stdin
-        '-f', 'segment',       // Enable segmentation
-        '-segment_time', '20', // 20 seconds per segment
-        '-reset_timestamps', '1',
-        '-acodec', 'pcm_s16le', // LINEAR16 encoding
-        '-ar', '16000',         // 16 kHz sample rate
-        '-ac', '1',             // Mono channel
-        '-map', '0:a',          // Only process audio
-        preprocessingTemplate   // Output to preprocessing directory
-      ]);
-
-      // Pipe yt-dlp output to ffmpeg
+      // Second step: Use ffmpeg to segment the audio, either in fixed-length pieces or
+      // (silence mode) by decoding to PCM and cutting at pauses. When resuming, skip the
+      // audio already covered by earlier fragments.
+      const isSilenceMode = segmentation.mode === 'silence';
+      const ffmpegProcess = spawn('ffmpeg', isSilenceMode
+        ? getSilenceDetectArgs(segmentation)
+        : getFixedSegmentArgs(preprocessingTemplate, startFragment, startOffset > 0 ? ['-ss', String(startOffset)] : []));
+      const silenceSegments = isSilenceMode
+        ? attachSilenceSegmenter(ffmpegProcess, {
+          videoId,
+          settings: segmentation,
+          startFragment,
+          skipSeconds: startOffset,
+          preprocessingDir,
+          finalExtractedDir
+        })
+        : null;
+
+      // Pipe yt-dlp output to ffmpeg (held back while the pipeline is saturated)
       ytdlProcess.stdout.pipe(ffmpegProcess.stdin);
+      const releaseBackpressure = applyBackpressure(videoId, ytdlProcess.stdout, ffmpegProcess.stdin);
 
       let error = '';
-      let currentFragment = 0;
-      let lastProgressTime = Date.now();
-
-      // Monitor ffmpeg output for segment completion
-      ffmpegProcess.stderr.on('data', async (data) => {
-        const output = data.toString();
-        console.log('FFmpeg output:', output);
-        lastProgressTime = Date.now();
-
-        // Check for segment completion message
-        if (output.includes('Opening')) {
-          // Previous fragment is complete, check and move it
-          const previousFragment = currentFragment - 1;
-          if (previousFragment >= 0) {
-            const fragmentName = `fragment-${previousFragment}.wav`;
-            const preprocessingPath = path.join(preprocessingDir, fragmentName);
-            const finalPath = path.join(finalExtractedDir, fragmentName);
-            
-            try {
-              // Check if file exists and is not locked
-              const locked = await isFileLocked(preprocessingPath);
-              if (!locked) {
-                // Copy to FinalExtracted
-                await fs.copyFile(preprocessingPath, finalPath);
-                console.log(`Moved fragment ${fragmentName} to FinalExtracted`);
-                
-                // Update status with progress
-                const progressStatus = {
-                  status: 'processing',
-                  progress: Math.min(95, (currentFragment / 20) * 100),
-                  currentFragment: currentFragment,
-                  lastUpdate: new Date().toISOString()
-                };
-                await fs.writeFile(statusPath, JSON.stringify(progressStatus));
-              }
-            } catch (error) {
-              console.error('Error checking/moving fragment:', error);
+      let currentFragment = startFragment;
+      let isShuttingDown = false;
+
+      // Register so the extraction can be stopped from the API
+      const handle = {
+        stop: () => {
+          isShuttingDown = true;
+          ytdlProcess.kill();
+          ffmpegProcess.kill();
+        }
+      };
+      activeExtractions.set(videoId, handle);
+
+      // Monitor ffmpeg output for segment completion (fixed mode)
+      const fragmentStart = (fragmentNum) => startOffset + (fragmentNum - startFragment) * SEGMENT_SECONDS;
+      if (!isSilenceMode) {
+        ffmpegProcess.stderr.on('data', async (data) => {
+          const output = data.toString();
+          console.log('FFmpeg output:', output);
+
+          // Check for segment completion message
+          if (output.includes('Opening')) {
+            // Previous fragment is complete, check and move it
+            const previousFragment = currentFragment - 1;
+            if (previousFragment >= startFragment) {
+              await finalizeFragment(videoId, previousFragment, preprocessingDir, finalExtractedDir, {
+                start: fragmentStart(previousFragment)
+              });
             }
+            currentFragment++;
           }
-          currentFragment++;
-        }
-      });
+        });
+      }
 
       // Handle yt-dlp errors
       ytdlProcess.stderr.on('data', (data) => {
@@ -207,19 +275,19 @@ async function extractNormalAudio(videoUrl, videoId) {
         console.error('Extraction error:', errorStr);
       });
 
+      // yt-dlp and ffmpeg both report how the extraction ended; the first terminal state wins,
+      // so a failed download isn't marked completed once ffmpeg has drained what it got
+      let settled = false;
+      const ytdlExited = new Promise(resolveExit => ytdlProcess.on('close', resolveExit));
+
       // Handle process completion
       ytdlProcess.on('close', async (code) => {
-        if (code !== 0) {
+        if (code !== 0 && !isShuttingDown && !settled) {
+          settled = true;
           const errorMsg = `YouTube-DL process failed with code ${code}: ${error}`;
           console.error(errorMsg);
           
-          // Update status file with error
-          const errorStatus = {
-            status: 'error',
-            error: errorMsg,
-            errorTime: new Date().toISOString()
-          };
-          await fs.writeFile(statusPath, JSON.stringify(errorStatus));
+          await failExtraction(videoId, errorMsg);
           
           reject(new Error(errorMsg));
           return;
@@ -227,36 +295,50 @@ async function extractNormalAudio(videoUrl, videoId) {
       });
 
       ffmpegProcess.on('close', async (code) => {
+        releaseBackpressure();
+        if (activeExtractions.get(videoId) === handle) {
+          activeExtractions.delete(videoId);
+        }
+        if (settled) return;
+
+        if (isShuttingDown) {
+          settled = true;
+          // Stopped on request: the fragment in progress is incomplete, so leave it
+          // for a resumed extraction to redo
+          const extractedFragments = silenceSegments ? await silenceSegments.settle() : currentFragment - 1;
+          console.log(`Audio extraction stopped after ${extractedFragments} fragments`);
+          resolve({
+            status: 'stopped',
+            outputDir: finalExtractedDir,
+            message: 'Audio extraction stopped',
+            totalFragments: extractedFragments
+          });
+          return;
+        }
+
+        // ffmpeg also exits cleanly when yt-dlp dies mid-download, so wait for yt-dlp's exit
+        if (code === 0 && ((await ytdlExited) !== 0 || settled)) return;
+        settled = true;
+
         if (code === 0) {
           console.log('Audio extraction and segmentation completed successfully');
           
           try {
             // Move the last fragment if it exists
-            if (currentFragment > 0) {
-              const lastFragmentName = `fragment-${currentFragment - 1}.wav`;
-              const lastPreprocessingPath = path.join(preprocessingDir, lastFragmentName);
-              const lastFinalPath = path.join(finalExtractedDir, lastFragmentName);
-              
-              try {
-                const locked = await isFileLocked(lastPreprocessingPath);
-                if (!locked) {
-                  await fs.copyFile(lastPreprocessingPath, lastFinalPath);
-                  console.log(`Moved final fragment ${lastFragmentName} to FinalExtracted`);
-                }
-              } catch (error) {
-                console.error(`Error moving final fragment ${lastFragmentName}:`, error);
-              }
+            if (silenceSegments) {
+              currentFragment = await silenceSegments.finish();
+            } else if (currentFragment > startFragment) {
+              await finalizeFragment(videoId, currentFragment - 1, preprocessingDir, finalExtractedDir, {
+                start: fragmentStart(currentFragment - 1)
+              });
             }
             
-            // Update status file with completion
-            const completionStatus = {
+            // Mark extraction completed in the job store
+            await updateStage(videoId, 'extraction', {
               status: 'completed',
-              progress: 100,
-              completionTime: new Date().toISOString(),
               totalFragments: currentFragment
-            };
-            
-            await fs.writeFile(statusPath, JSON.stringify(completionStatus));
+            });
+            pipeline.extractionCompleted(videoId);
             
             resolve({
               status: 'completed',
@@ -272,13 +354,7 @@ async function extractNormalAudio(videoUrl, videoId) {
           const errorMsg = `FFmpeg process failed with code ${code}`;
           console.error(errorMsg);
           
-          // Update status file with error
-          const errorStatus = {
-            status: 'error',
-            error: errorMsg,
-            errorTime: new Date().toISOString()
-          };
-          await fs.writeFile(statusPath, JSON.stringify(errorStatus));
+          await failExtraction(videoId, errorMsg);
           
           reject(new Error(errorMsg));
         }
@@ -287,24 +363,93 @@ async function extractNormalAudio(videoUrl, videoId) {
     } catch (error) {
       console.error('Error in audio extraction:', error);
       
-      // Update status file with error
-      const errorStatus = {
-        status: 'error',
-        error: error.message,
-        errorTime: new Date().toISOString()
-      };
-      
-      try {
-        await fs.writeFile(statusPath, JSON.stringify(errorStatus));
-      } catch (err) {
-        console.error('Error updating error status:', err);
-      }
+      await failExtraction(videoId, error.message);
       
       reject(error);
     }
   });
 }
 
+// Move a finished fragment to FinalExtracted, record where it sits in the source
+// and hand it to the pipeline. timing.end defaults to start + the WAV's length.
+async function finalizeFragment(videoId, fragmentNum, preprocessingDir, finalExtractedDir, timing) {
+  const fragmentName = `fragment-${fragmentNum}.wav`;
+  const preprocessingPath = path.join(preprocessingDir, fragmentName);
+  const finalPath = path.join(finalExtractedDir, fragmentName);
+
+  try {
+    // Check if file exists and is not locked
+    const locked = await isFileLocked(preprocessingPath);
+    if (locked) {
+      throw new Error(`Fragment ${fragmentName} is missing or still being written`);
+    }
+
+    // Copy to FinalExtracted
+    await fs.copyFile(preprocessingPath, finalPath);
+    console.log(`Moved fragment ${fragmentName} to FinalExtracted`);
+
+    // Record the fragment's offsets in the manifest
+    const { size } = await fs.stat(finalPath);
+    const start = timing.start;
+    const end = timing.end ?? start + (size - 44) / (SAMPLE_RATE * BYTES_PER_SAMPLE);
+    await recordFragmentTiming(videoId, fragmentNum, {
+      start,
+      end,
+      file: path.join('ExtractedAudio', 'FinalExtracted', fragmentName)
+    });
+
+    // Record the fragment in the job store and schedule transcription
+    await markFragment(videoId, 'extraction', fragmentNum, 'completed', { file: fragmentName, start, end });
+    pipeline.fragmentReady('extraction', videoId, fragmentNum);
+  } catch (error) {
+    console.error('Error checking/moving fragment:', error);
+    await markFragment(videoId, 'extraction', fragmentNum, 'error', { error: error.message })
+      .catch(err => console.error('Error recording fragment failure:', err));
+    pipeline.fragmentFailed('extraction', videoId, fragmentNum, error);
+  }
+}
+
+// Pause a VOD download while transcription can't keep up with this video, resume once it drains
+function applyBackpressure(videoId, sourceStream, targetStream) {
+  // Only re-pipe a stream this function unpiped, or ffmpeg would get every chunk twice
+  let paused = false;
+  const onSaturated = ({ stage, videoId: saturatedId }) => {
+    if (stage !== 'transcription' || saturatedId !== videoId || paused) return;
+    console.log(`⏸️ Pausing audio download for ${videoId} until transcription catches up`);
+    paused = true;
+    sourceStream.unpipe(targetStream);
+    sourceStream.pause();
+  };
+  const onDrained = ({ stage, videoId: drainedId }) => {
+    if (stage !== 'transcription' || drainedId !== videoId || !paused) return;
+    console.log(`▶️ Resuming audio download for ${videoId}`);
+    paused = false;
+    sourceStream.pipe(targetStream);
+  };
+
+  pipeline.on('saturated', onSaturated);
+  pipeline.on('drained', onDrained);
+  // The backlog may already be full when the download (re)starts
+  if (pipeline.isSaturated('transcription', videoId)) {
+    onSaturated({ stage: 'transcription', videoId });
+  }
+
+  return () => {
+    pipeline.off('saturated', onSaturated);
+    pipeline.off('drained', onDrained);
+  };
+}
+
+// Record an extraction failure in the job store
+async function failExtraction(videoId, errorMsg) {
+  try {
+    await updateStage(videoId, 'extraction', { status: 'error', error: errorMsg });
+    await recordError(videoId, 'extraction', errorMsg);
+  } catch (err) {
+    console.error('Error updating extraction status:', err);
+  }
+}
+
 // Check if file is locked (being written to)
 async function isFileLocked(filePath) {
   try {
@@ -333,12 +478,14 @@ async function isFileLocked(filePath) {
   }
 }
 
-// Extract audio chunks for live stream
-async function extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice) {
+// Extract audio chunks for live stream, numbering fragments from startFragment
+// timeOffset is where that fragment starts relative to when we first joined the stream
+async function extractLiveAudioChunks(videoUrl, videoId, outputDir, liveStreamChoice, startFragment = 0,
+  segmentation = getSegmentationSettings(), timeOffset = 0) {
   return new Promise(async (resolve, reject) => {
     let process;
     let isShuttingDown = false;
-    let currentFragment = 0;
+    let currentFragment = startFragment;
 
     try {
       console.log('Starting live stream audio extraction...');
@@ -349,6 +496,8 @@ async function extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice) {
       await fs.mkdir(preprocessingDir, { recursive: true });
       await fs.mkdir(finalExtractedDir, { recursive: true });
       
+      await updateStage(videoId, 'extraction', { status: 'running', error: null });
+      
       // Use fragment-N naming for output with WAV format
       const preprocessingTemplate = path.join(preprocessingDir, 'fragment-%d.wav');
       
@@ -372,50 +521,55 @@ async function extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice) {
       ytdlpArgs.push(videoUrl);
       process = spawn('yt-dlp', ytdlpArgs);
 
-      let ffmpegProcess = spawn('ffmpeg', [
-        '-i', 'pipe:0',        // Read from stdin
-        '-f', 'segment',       // Enable segmentation
-        '-segment_time', '20', // 20 seconds per segment
-        '-reset_timestamps', '1',
-        '-acodec', 'pcm_s16le', // LINEAR16 encoding
-        '-ar', '16000',         // 16 kHz sample rate
-        '-ac', '1',             // Mono channel
-        '-map', '0:a',          // Only process audio
-        preprocessingTemplate   // Output to preprocessing directory
-      ]);
+      // Fixed-length segments, or PCM cut at pauses in silence mode
+      const isSilenceMode = segmentation.mode === 'silence';
+      let ffmpegProcess = spawn('ffmpeg', isSilenceMode
+        ? getSilenceDetectArgs(segmentation)
+        : getFixedSegmentArgs(preprocessingTemplate, startFragment));
+      const silenceSegments = isSilenceMode
+        ? attachSilenceSegmenter(ffmpegProcess, {
+          videoId,
+          settings: segmentation,
+          startFragment,
+          timeOffset,
+          preprocessingDir,
+          finalExtractedDir
+        })
+        : null;
 
       // Pipe yt-dlp output to ffmpeg
       process.stdout.pipe(ffmpegProcess.stdin);
 
-      // Monitor ffmpeg output for segment completion
-      ffmpegProcess.stderr.on('data', async (data) => {
-        const output = data.toString();
-        console.log('FFmpeg output:', output);
-
-        // Check for segment completion message
-        if (output.includes('Opening')) {
-          // Previous fragment is complete, check and move it
-          const previousFragment = currentFragment - 1;
-          if (previousFragment >= 0) {
-            const fragmentName = `fragment-${previousFragment}.wav`;
-            const preprocessingPath = path.join(preprocessingDir, fragmentName);
-            const finalPath = path.join(finalExtractedDir, fragmentName);
-            
-            try {
-              // Check if file exists and is not locked
-              const locked = await isFileLocked(preprocessingPath);
-              if (!locked) {
-                // Copy to FinalExtracted
-                await fs.copyFile(preprocessingPath, finalPath);
-                console.log(`Moved fragment ${fragmentName} to FinalExtracted`);
-              }
-            } catch (error) {
-              console.error('Error checking/moving fragment:', error);
+      // Register so the extraction can be stopped from the API
+      const handle = {
+        stop: () => {
+          isShuttingDown = true;
+          if (process) process.kill();
+          if (ffmpegProcess) ffmpegProcess.kill();
+        }
+      };
+      activeExtractions.set(videoId, handle);
+
+      // Monitor ffmpeg output for segment completion (fixed mode)
+      const fragmentStart = (fragmentNum) => timeOffset + (fragmentNum - startFragment) * SEGMENT_SECONDS;
+      if (!isSilenceMode) {
+        ffmpegProcess.stderr.on('data', async (data) => {
+          const output = data.toString();
+          console.log('FFmpeg output:', output);
+
+          // Check for segment completion message
+          if (output.includes('Opening')) {
+            // Previous fragment is complete, check and move it
+            const previousFragment = currentFragment - 1;
+            if (previousFragment >= startFragment) {
+              await finalizeFragment(videoId, previousFragment, preprocessingDir, finalExtractedDir, {
+                start: fragmentStart(previousFragment)
+              });
             }
+            currentFragment++;
           }
-          currentFragment++;
-        }
-      });
+        });
+      }
 
       // Handle yt-dlp errors
       process.stderr.on('data', (data) => {
@@ -436,38 +590,76 @@ async function extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice) {
           bitDepth: '16-bit',
           channels: 'mono'
         },
-        stop: () => {
-          isShuttingDown = true;
-          if (process) process.kill();
-          if (ffmpegProcess) ffmpegProcess.kill();
-        }
+        stop: handle.stop
+      });
+
+      // When ffmpeg exits (stream ended or dropped), keep the audio received so far
+      const ffmpegDone = new Promise(resolveDone => {
+        ffmpegProcess.on('close', async (code) => {
+          if (code !== 0 && !isShuttingDown) {
+            console.error('FFmpeg process ended with error code:', code);
+          }
+
+          if (!isShuttingDown) {
+            if (silenceSegments) {
+              currentFragment = await silenceSegments.finish();
+            } else if (currentFragment > startFragment) {
+              await finalizeFragment(videoId, currentFragment - 1, preprocessingDir, finalExtractedDir, {
+                start: fragmentStart(currentFragment - 1)
+              });
+            }
+          }
+          resolveDone();
+        });
       });
 
+      // Rejoin at the current point and keep numbering (and timing) where we left off
+      const scheduleRestart = () => {
+        setTimeout(async () => {
+          // Don't restart if the extraction was stopped in the meantime
+          if (activeExtractions.get(videoId) !== handle) return;
+          await ffmpegDone;
+          const lastFragment = await getFragmentTiming(videoId, currentFragment - 1);
+          extractLiveAudioChunks(videoUrl, videoId, outputDir, 'current', currentFragment,
+            segmentation, lastFragment?.end ?? timeOffset)
+            .catch(err => console.error('Failed to restart stream:', err));
+        }, 5000);
+      };
+
+      // 'error' and 'close' can both fire for one failure; only the first restarts or completes
+      let ended = false;
+
       // Handle process completion and errors
-      process.on('close', (code) => {
-        if (code !== 0 && !isShuttingDown) {
+      process.on('close', async (code) => {
+        if (isShuttingDown || ended) return;
+        ended = true;
+
+        if (code !== 0) {
           console.error('Live stream extraction ended with error');
           console.log('Attempting to restart stream extraction...');
-          setTimeout(() => {
-            extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice)
-              .catch(err => console.error('Failed to restart stream:', err));
-          }, 5000);
+          scheduleRestart();
+          return;
         }
-      });
 
-      process.on('error', (err) => {
-        console.error('Live stream process error:', err);
-        if (!isShuttingDown) {
-          setTimeout(() => {
-            extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice)
-              .catch(err => console.error('Failed to restart stream:', err));
-          }, 5000);
+        // The stream is over: mark extraction completed once the last fragment is in
+        await ffmpegDone;
+        if (activeExtractions.get(videoId) === handle) {
+          activeExtractions.delete(videoId);
         }
+        console.log('Live stream ended, audio extraction completed');
+        await updateStage(videoId, 'extraction', {
+          status: 'completed',
+          totalFragments: currentFragment
+        })
+          .then(() => pipeline.extractionCompleted(videoId))
+          .catch(err => console.error('Error updating extraction status:', err));
       });
 
-      ffmpegProcess.on('close', (code) => {
-        if (code !== 0 && !isShuttingDown) {
-          console.error('FFmpeg process ended with error code:', code);
+      process.on('error', (err) => {
+        console.error('Live stream process error:', err);
+        if (!isShuttingDown && !ended) {
+          ended = true;
+          scheduleRestart();
         }
       });
 
@@ -478,8 +670,69 @@ async function extractLiveAudioChunks(videoUrl, outputDir, liveStreamChoice) {
   });
 }
 
+// Download the full video (best video + best audio) for exporting, remuxed to MKV at outputPath.
+// onProgress receives the download percentage as yt-dlp reports it.
+async function downloadVideo(videoUrl, outputPath, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    let error = '';
+
+    const process = spawn('yt-dlp', [
+      '--format', 'bestvideo*+bestaudio/best',
+      '--merge-output-format', 'mkv',
+      '--remux-video', 'mkv',
+      '--no-warnings',
+      '--no-call-home',
+      '--no-playlist',
+      '--newline',
+      '-o', outputPath,
+      videoUrl
+    ]);
+
+    process.stdout.on('data', (data) => {
+      // e.g. "[download]  42.3% of 120.50MiB at 2.10MiB/s ETA 00:31"
+      const match = data.toString().match(/\[download\]\s+([\d.]+)%/g);
+      if (match) {
+        onProgress(parseFloat(match[match.length - 1].replace(/[^\d.]/g, '')));
+      }
+    });
+
+    process.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+
+    process.on('close', (code) => {
+      if (code === 0) {
+        resolve(outputPath);
+      } else {
+        reject(new Error(`Failed to download video (code ${code}): ${error || 'Unknown error'}`));
+      }
+    });
+
+    process.on('error', (err) => {
+      reject(new Error(`Failed to start video download: ${err.message}`));
+    });
+  });
+}
+
+// Stop a running extraction by killing its yt-dlp and ffmpeg processes
+// Returns false if nothing was running for the video
+function stopExtraction(videoId) {
+  const extraction = activeExtractions.get(videoId);
+  if (!extraction) return false;
+
+  activeExtractions.delete(videoId);
+  extraction.stop();
+  console.log(`Stopped audio extraction for ${videoId}`);
+  return true;
+}
+
 // Extract audio from video (main function)
-async function extractAudio(videoUrl, videoId, isLive, liveStreamChoice) {
+// Pass options.startFragment to resume an interrupted extraction: regular videos
+// continue from where the previous fragment ended, live streams rejoin at the current point.
+// The job's options choose fixed 20-second fragments or cuts at silences.
+async function extractAudio(videoUrl, videoId, isLive, liveStreamChoice, options = {}) {
+  const { startFragment = 0 } = options;
+
   try {
     // Get video info first
     const info = await getVideoInfo(videoUrl);
@@ -493,6 +746,16 @@ async function extractAudio(videoUrl, videoId, isLive, liveStreamChoice) {
     const { videoDir } = await createVideoDirectoryStructure(videoId);
     const detailsPath = path.join(videoDir, 'ytVideoDetails.json');
     await fs.writeFile(detailsPath, JSON.stringify(info, null, 2));
+    await updateJob(videoId, { title: info.title, durationSeconds: info.duration || null });
+
+    // How to cut the audio, recorded in the manifest next to each fragment's offsets
+    const job = await getJob(videoId);
+    const segmentation = getSegmentationSettings(job?.options);
+    await setSegmentation(videoId, segmentation);
+
+    // Resume where the previous fragment ended
+    const previousFragment = startFragment > 0 ? await getFragmentTiming(videoId, startFragment - 1) : null;
+    const startOffset = previousFragment?.end ?? startFragment * SEGMENT_SECONDS;
 
     // If it's a live stream
     if (isLive) {
@@ -500,15 +763,16 @@ async function extractAudio(videoUrl, videoId, isLive, liveStreamChoice) {
         throw new Error('Live stream choice is required for live content');
       }
       const { extractedAudioDir } = await createVideoDirectoryStructure(videoId);
-      return extractLiveAudioChunks(videoUrl, extractedAudioDir, liveStreamChoice);
+      return extractLiveAudioChunks(videoUrl, videoId, extractedAudioDir, liveStreamChoice, startFragment,
+        segmentation, startOffset);
     }
 
     // For normal videos
-    return extractNormalAudio(videoUrl, videoId);
+    return extractNormalAudio(videoUrl, videoId, startFragment, segmentation, startOffset);
   } catch (error) {
     console.error('Error in extractAudio:', error);
     throw error;
   }
 }
 
-export { extractAudio }; 
\ No newline at end of file
+export { extractAudio, stopExtraction, downloadVideo }; 
\ No newline at end of file
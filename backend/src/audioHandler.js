@@ -1,178 +1,30 @@
 import fs from 'fs/promises';
 import path from 'path';
-import dotenv from 'dotenv';
-
-// Configure dotenv with the path to your .env file
-dotenv.config({ path: path.join(process.cwd(), 'backend', '.env') });
-
-// Check if API key exists
-const ELEVEN_LABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-if (!ELEVEN_LABS_API_KEY) {
-    console.error('Error: ELEVENLABS_API_KEY is not set in environment variables');
-    process.exit(1);
-}
-
-const API_URL = 'https://api.elevenlabs.io/v1';
-
-// Cache for voice IDs
-let voiceCache = null;
-
-/**
- * Fetch available voices from ElevenLabs API
- */
-async function getVoices() {
-    try {
-        if (voiceCache) return voiceCache;
-
-        const response = await fetch(`${API_URL}/voices`, {
-            headers: {
-                'xi-api-key': ELEVEN_LABS_API_KEY
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch voices: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        
-        // Create a map of language to voice ID
-        const voiceMap = {};
-        data.voices.forEach(voice => {
-            // Use the first available voice for each language
-            // You might want to customize this selection logic
-            if (!voiceMap[voice.name]) {
-                voiceMap[voice.name] = voice.voice_id;
-            }
-        });
-
-        voiceCache = voiceMap;
-        return voiceMap;
-    } catch (error) {
-        console.error('Error fetching voices:', error);
-        return null;
-    }
-}
-
-/**
- * Validate API key with retry logic
- */
-async function validateApiKey(retries = 3, delay = 2000) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            console.log(`Attempt ${attempt} to validate API key...`);
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-            
-            const response = await fetch(`${API_URL}/user/subscription`, {
-                headers: {
-                    'xi-api-key': ELEVEN_LABS_API_KEY
-                },
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`Invalid API key: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            console.log('API key validated successfully. Character quota:', data.character_count, '/', data.character_limit);
-            return true;
-        } catch (error) {
-            console.error(`API key validation attempt ${attempt} failed:`, error);
-            
-            if (attempt === retries) {
-                console.error('All validation attempts failed');
-                return false;
-            }
-            
-            console.log(`Waiting ${delay}ms before next attempt...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-    return false;
-}
+import { getTtsSelection } from './ttsProviders.js';
+import { recordUsage } from './usageLedger.js';
 
 /**
- * Generate audio for a single text using ElevenLabs API with retry logic
+ * Generate audio for a single text with the language's TTS provider and voice
+ * @param {string} text - Text to speak
+ * @param {string} language - Language name or code
+ * @param {Object} jobOptions - Job options (ttsProvider, ttsProviders, ttsVoices)
+ * @param {Object} usage - { videoId, fragment } to record the characters in the usage ledger
+ * @returns {Promise<Buffer|null>} - Audio data, or null if generation failed
  */
-async function generateAudio(text, language, retries = 3, delay = 2000) {
+async function generateAudio(text, language, jobOptions = {}, usage = null) {
     try {
         if (!text || !language) {
             console.error('Missing required parameters for audio generation');
             return null;
         }
 
-        // Validate API key first
-        const isValid = await validateApiKey();
-        if (!isValid) {
-            throw new Error('Invalid API key');
-        }
-
-        // Get available voices
-        const voices = await getVoices();
-        if (!voices) {
-            throw new Error('Failed to fetch voices');
-        }
-
-        // Select a voice for the language
-        const voiceId = voices[language] || Object.values(voices)[0]; // Fallback to first available voice
-        if (!voiceId) {
-            throw new Error(`No voice found for language: ${language}`);
-        }
-
-        console.log(`Using voice ID ${voiceId} for ${language}`);
-        
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                console.log(`Attempt ${attempt} to generate audio...`);
-                
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout for audio generation
-                
-                const response = await fetch(`${API_URL}/text-to-speech/${voiceId}`, {
-                    method: 'POST',
-                    headers: {
-                        'Accept': 'audio/mpeg',
-                        'Content-Type': 'application/json',
-                        'xi-api-key': ELEVEN_LABS_API_KEY
-                    },
-                    body: JSON.stringify({
-                        text: text,
-                        model_id: 'eleven_multilingual_v2',
-                        voice_settings: {
-                            stability: 0.5,
-                            similarity_boost: 0.75,
-                            style: 0.5,
-                            use_speaker_boost: true
-                        }
-                    }),
-                    signal: controller.signal
-                });
-                
-                clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    const errorText = await response.text();
-                    throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}\n${errorText}`);
-                }
-
-                const audioBuffer = await response.arrayBuffer();
-                return Buffer.from(audioBuffer);
-            } catch (error) {
-                console.error(`Audio generation attempt ${attempt} failed:`, error);
-                
-                if (attempt === retries) {
-                    throw error;
-                }
-                
-                console.log(`Waiting ${delay}ms before next attempt...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
+        const { provider, voice, language: entry } = getTtsSelection(jobOptions, language);
+        console.log(`Generating ${entry.name} audio with ${provider.name}${voice ? ` (${voice})` : ''}`);
+        const audio = await provider.synthesize(text, { language: entry, voice });
+        if (usage) {
+            await recordUsage({ ...usage, stage: 'tts', provider: provider.name, units: text.length });
         }
+        return audio;
     } catch (error) {
         console.error(`Error generating audio for ${language}:`, error);
         return null;
@@ -182,7 +34,7 @@ async function generateAudio(text, language, retries = 3, delay = 2000) {
 /**
  * Process a pair of languages in parallel
  */
-async function processLanguagesInPairs(translations, languages) {
+async function processLanguagesInPairs(translations, languages, jobOptions = {}) {
     try {
         console.log(`Processing language pair: ${languages.join(', ')}`);
         
@@ -194,7 +46,7 @@ async function processLanguagesInPairs(translations, languages) {
             }
 
             console.log(`Generating audio for ${lang}...`);
-            const audioData = await generateAudio(translations[lang], lang);
+            const audioData = await generateAudio(translations[lang], lang, jobOptions);
             
             if (!audioData) {
                 console.error(`Failed to generate audio for ${lang}`);
@@ -236,12 +88,4 @@ async function saveAudioFile(audioData, outputPath) {
     }
 }
 
-// Validate API key on startup
-validateApiKey().then(isValid => {
-    if (!isValid) {
-        console.error('Failed to validate Eleven Labs API key');
-        process.exit(1);
-    }
-});
-
 export { generateAudio, processLanguagesInPairs, saveAudioFile }; 
\ No newline at end of file
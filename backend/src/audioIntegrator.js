@@ -1,11 +1,18 @@
 import fs from 'fs/promises';
 import path from 'path';
 import AudioSyncManager from './audioSyncManager.js';
+import { getJob, markFragment } from './jobStore.js';
+import { getManifest, getSortedFragments } from './fragmentManifest.js';
+import { getJobLanguages } from './languages.js';
+import { getHlsStatus } from './hlsPlaylist.js';
+import { getMixSettings } from './audioMixer.js';
+import { getLoudnessSettings, summarizeLoudness } from './loudnessNormalizer.js';
 
 /**
  * Ensures audio directories exist
+ * @param {string[]} languages - Names of the job's audio languages
  */
-async function ensureAudioDirectories(videoId) {
+async function ensureAudioDirectories(videoId, languages) {
     try {
         const baseDir = process.cwd();
         const audioDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedAudio');
@@ -17,7 +24,6 @@ async function ensureAudioDirectories(videoId) {
         console.log('✓ Created main audio directory');
 
         // Create directory for each language
-        const languages = ['Hindi', 'Sanskrit', 'Marathi'];
         for (const lang of languages) {
             const langDir = path.join(audioDir, lang);
             console.log('Creating language directory:', langDir);
@@ -46,76 +52,68 @@ async function ensureAudioDirectories(videoId) {
  */
 async function getAudioStatus(videoId) {
     try {
-        const baseDir = process.cwd();
-        const translationsDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedText', 'Hindi');
-        const audioDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedAudio');
+        const job = await getJob(videoId);
+        if (!job) {
+            throw new Error(`Job not found: ${videoId}`);
+        }
 
-        // Count translation files
-        const translationFiles = await fs.readdir(translationsDir)
-            .then(files => files.filter(f => f.endsWith('.json')))
-            .catch(() => []);
+        // Count translated fragments (files come from the manifest)
+        const fragments = getSortedFragments(await getManifest(videoId));
+        const translationFiles = fragments.filter(fragment => Object.keys(fragment.translations || {}).length > 0);
 
-        // Get status for each language
-        const languages = ['Hindi', 'Sanskrit', 'Marathi'];
+        // Get status for each of the job's audio languages
         const languageStatus = {};
         
-        for (const lang of languages) {
-            const langDir = path.join(audioDir, lang);
-            console.log(`📂 Checking audio files for ${lang} in ${langDir}`);
-            
-            try {
-                const files = await fs.readdir(langDir);
-                console.log(`📁 Found files in ${lang} directory:`, files);
-                
-                // Get both WAV and MP3 files
-                const wavFiles = files.filter(f => f.endsWith('.wav'));
-                const mp3Files = files.filter(f => f.endsWith('.mp3'));
-                
-                console.log(`📊 ${lang} status:`, {
-                    wavFiles,
-                    mp3Files,
-                    totalWav: wavFiles.length,
-                    totalMp3: mp3Files.length
-                });
-
-                // Sort files by fragment number
-                const sortedMp3Files = mp3Files.sort((a, b) => {
-                    const numA = parseInt(a.match(/fragment-(\d+)\.mp3/)?.[1] || '0');
-                    const numB = parseInt(b.match(/fragment-(\d+)\.mp3/)?.[1] || '0');
-                    return numA - numB;
-                });
-                
-                languageStatus[lang] = {
-                    filesCount: mp3Files.length,
-                    progress: translationFiles.length ? (mp3Files.length / translationFiles.length) * 100 : 0,
-                    files: sortedMp3Files,
-                    wavFiles: wavFiles,
-                    mp3Files: mp3Files
-                };
-            } catch (error) {
-                console.error(`❌ Error reading directory for ${lang}:`, error);
-                languageStatus[lang] = {
-                    filesCount: 0,
-                    progress: 0,
-                    files: [],
-                    wavFiles: [],
-                    mp3Files: [],
-                    error: error.message
-                };
-            }
+        for (const { name: lang, code, label } of getJobLanguages(job.options).audio) {
+            const dubbed = fragments.filter(fragment => fragment.dubbedAudio?.[lang]);
+            const mp3Files = dubbed.map(fragment => path.basename(fragment.dubbedAudio[lang].file));
+
+            languageStatus[lang] = {
+                code,
+                label,
+                filesCount: mp3Files.length,
+                progress: translationFiles.length ? (mp3Files.length / translationFiles.length) * 100 : 0,
+                files: mp3Files,
+                wavFiles: [],
+                mp3Files,
+                totalDuration: dubbed.reduce((sum, fragment) => sum + (fragment.dubbedAudio[lang].duration || 0), 0),
+                // Fragments whose speech couldn't be fitted to the source (see durationFit.js)
+                flaggedFragments: dubbed.filter(fragment => fragment.dubbedAudio[lang].fit?.flags.length).length,
+                // Fragments mixed over the ducked original (see audioMixer.js)
+                mixedFiles: fragments.filter(fragment => fragment.mixedAudio?.[lang]).length
+            };
         }
 
+        // Every fragment and language whose speech didn't fit its source window
+        const durationFlags = fragments.flatMap(fragment => Object.entries(fragment.dubbedAudio || {})
+            .filter(([, audio]) => audio.fit?.flags.length)
+            .map(([language, audio]) => ({
+                fragment: fragment.fragment,
+                language,
+                flags: audio.fit.flags,
+                speechDuration: audio.fit.speechDuration,
+                sourceDuration: audio.fit.sourceDuration,
+                tempo: audio.fit.tempo
+            })));
+
         const status = {
+            status: job.stages.audio.status,
             totalTranslations: translationFiles.length,
             processedAudioFiles: Object.values(languageStatus)[0]?.filesCount || 0,
             overallProgress: translationFiles.length ? 
                 (Object.values(languageStatus)[0]?.filesCount || 0) / translationFiles.length * 100 : 0,
             languageStatus,
+            durationFlags,
+            mixing: {
+                status: job.stages.mixing.status,
+                enabled: getMixSettings(job.options).enabled
+            },
+            // HLS playlist of each language with segments (see hlsPlaylist.js)
+            hls: await getHlsStatus(videoId, Object.keys(languageStatus)),
             isComplete: translationFiles.length > 0 && 
                 Object.values(languageStatus).every(s => s.filesCount === translationFiles.length)
         };
 
-        console.log('📊 Overall audio status:', status);
         return status;
     } catch (error) {
         console.error('❌ Error getting audio status:', error);
@@ -124,6 +122,9 @@ async function getAudioStatus(videoId) {
             processedAudioFiles: 0,
             overallProgress: 0,
             languageStatus: {},
+            durationFlags: [],
+            mixing: null,
+            hls: {},
             isComplete: false,
             error: error.message
         };
@@ -131,24 +132,117 @@ async function getAudioStatus(videoId) {
 }
 
 /**
- * Sets up audio generation watcher
+ * Gets the measured loudness of each language's dubbed fragments and how consistent it is
+ * (see loudnessNormalizer.js)
  */
-async function setupAudioWatcher(videoId) {
+async function getLoudnessStatus(videoId) {
     try {
+        const job = await getJob(videoId);
+        if (!job) {
+            throw new Error(`Job not found: ${videoId}`);
+        }
+
+        const settings = getLoudnessSettings(job.options);
+        const fragments = getSortedFragments(await getManifest(videoId));
+        const languages = {};
+        const measurements = [];
+
+        for (const { name: lang, code, label } of getJobLanguages(job.options).audio) {
+            const measured = fragments.filter(fragment => fragment.dubbedAudio?.[lang]?.loudness);
+            const loudness = measured.map(fragment => fragment.dubbedAudio[lang].loudness);
+            measurements.push(...loudness);
+
+            languages[lang] = {
+                code,
+                label,
+                ...summarizeLoudness(loudness, settings),
+                // Dubbed fragments without a measurement (made with normalization off, or before it)
+                unmeasured: fragments.filter(fragment => fragment.dubbedAudio?.[lang]).length - measured.length,
+                fragments: measured.map(fragment => {
+                    const { mode, input, output } = fragment.dubbedAudio[lang].loudness;
+                    return {
+                        fragment: fragment.fragment,
+                        mode,
+                        inputIntegrated: input.integrated,
+                        outputIntegrated: output.integrated,
+                        truePeak: output.truePeak
+                    };
+                })
+            };
+        }
+
+        return {
+            target: {
+                enabled: settings.enabled,
+                integrated: settings.integrated,
+                truePeak: settings.truePeak,
+                lra: settings.lra,
+                tolerance: settings.tolerance
+            },
+            // Across every language, so voices and languages can be compared
+            overall: summarizeLoudness(measurements, settings),
+            languages
+        };
+    } catch (error) {
+        console.error('❌ Error getting loudness status:', error);
+        return {
+            target: null,
+            overall: null,
+            languages: {},
+            error: error.message
+        };
+    }
+}
+
+// Active audio sync managers, one per video
+const syncManagers = new Map();
+
+/**
+ * Generates audio for one translated fragment of a video (called by the pipeline orchestrator)
+ */
+async function processAudioFragment(videoId, fragmentNum) {
+    // The job's languages can change between fragments (PATCH /api/jobs/:id)
+    const job = await getJob(videoId);
+    const languages = getJobLanguages(job?.options).audio.map(lang => lang.name);
+
+    let syncManager = syncManagers.get(videoId);
+    if (!syncManager) {
         console.log('\n=== Setting up Audio Generation Process ===');
-        
-        // Ensure directories exist
-        await ensureAudioDirectories(videoId);
-        
-        // Create and start the sync manager
-        const syncManager = new AudioSyncManager(videoId);
-        await syncManager.start();
-        
-        return true;
+        await ensureAudioDirectories(videoId, languages);
+        syncManager = new AudioSyncManager(videoId, languages, job?.options);
+        syncManagers.set(videoId, syncManager);
+    } else if (languages.join() !== syncManager.languages.join()) {
+        await ensureAudioDirectories(videoId, languages);
+        syncManager.languages = languages;
+    }
+    syncManager.jobOptions = job?.options || {};
+
+    try {
+        const translated = await syncManager.getTranslatedLanguages(fragmentNum);
+        if (!translated.length) {
+            throw new Error(`Translations missing for fragment ${fragmentNum}`);
+        }
+        // Set when the fragment was translated again after it had been dubbed
+        const redub = !!job?.stages.audio.fragments[fragmentNum]?.redub;
+        if (!await syncManager.processFragment(fragmentNum, translated, { redub })) {
+            throw new Error(`Failed to process audio for fragment ${fragmentNum}`);
+        }
     } catch (error) {
-        console.error('Error setting up audio watcher:', error);
+        // Halted by a pause/stop: the fragment isn't failed, it will be redone on resume
+        if (syncManager.isHalted) {
+            throw error;
+        }
+        await markFragment(videoId, 'audio', fragmentNum, 'error', { error: error.message });
         throw error;
     }
 }
 
-export { setupAudioWatcher, getAudioStatus }; 
\ No newline at end of file
+/**
+ * Halts and drops the audio sync manager for a video
+ */
+function releaseAudioSyncManager(videoId) {
+    syncManagers.get(videoId)?.halt();
+    syncManagers.delete(videoId);
+}
+
+export { processAudioFragment, releaseAudioSyncManager, getAudioStatus, getLoudnessStatus };
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { getJob, markFragment } from './jobStore.js';
+import { getManifest, recordLanguageArtifacts } from './fragmentManifest.js';
+import { getJobLanguages } from './languages.js';
+
+const execAsync = promisify(exec);
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+/*
+ * Mixing stage: lays each dubbed fragment over the original fragment's audio, so listeners
+ * still hear the speaker's ambience and chanting underneath the translated voice. The
+ * original is ducked (sidechain compressed, keyed by the voice) while the voice speaks.
+ *
+ * The mixed rendition sits next to the voice-only one, as
+ * FinalTranslatedAudio/<language>/fragment-N.mixed.mp3, and is recorded under mixedAudio in
+ * the manifest.
+ *
+ * Settings come from the MIX_* environment variables, overridden by a job's options.mix:
+ * {
+ *   enabled,      // false skips the stage (MIX_ENABLED, true)
+ *   duckDepth,    // How far the original drops under the voice, in dB (MIX_DUCK_DEPTH, 12)
+ *   attack,       // How fast it drops when the voice starts, in ms (MIX_DUCK_ATTACK, 20)
+ *   release,      // How fast it comes back when the voice stops, in ms (MIX_DUCK_RELEASE, 400)
+ *   originalVolume  // Level of the original before ducking, 0-1 (MIX_ORIGINAL_VOLUME, 0.8)
+ * }
+ */
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    duckDepth: 12,
+    attack: 20,
+    release: 400,
+    originalVolume: 0.8
+};
+
+// sidechaincompress limits, in ms
+const ATTACK_RANGE = [0.01, 2000];
+const RELEASE_RANGE = [0.01, 9000];
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+/**
+ * Gets the mixing settings for a job
+ */
+function getMixSettings(jobOptions = {}) {
+    const envEnabled = process.env.MIX_ENABLED;
+    const settings = {
+        enabled: envEnabled === undefined || envEnabled === ''
+            ? DEFAULT_SETTINGS.enabled
+            : !['false', '0', 'no'].includes(envEnabled.toLowerCase()),
+        duckDepth: envNumber('MIX_DUCK_DEPTH', DEFAULT_SETTINGS.duckDepth),
+        attack: envNumber('MIX_DUCK_ATTACK', DEFAULT_SETTINGS.attack),
+        release: envNumber('MIX_DUCK_RELEASE', DEFAULT_SETTINGS.release),
+        originalVolume: envNumber('MIX_ORIGINAL_VOLUME', DEFAULT_SETTINGS.originalVolume),
+        ...jobOptions?.mix
+    };
+    settings.attack = clamp(settings.attack, ATTACK_RANGE);
+    settings.release = clamp(settings.release, RELEASE_RANGE);
+    return settings;
+}
+
+/**
+ * Builds the ffmpeg filter that ducks the original (input 0) under the voice (input 1) and
+ * mixes the two.
+ *
+ * The compressor runs at its highest ratio with a low threshold, so while the voice speaks its
+ * output is close to silence; its mix parameter then keeps (1 - mix) of the original, which
+ * sets the duck depth: mix = 1 - 10^(-depth / 20).
+ */
+function buildMixFilter(settings) {
+    const mix = Math.min(Math.max(1 - Math.pow(10, -settings.duckDepth / 20), 0), 1);
+    const format = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=mono';
+    return [
+        `[0:a]${format},volume=${settings.originalVolume}[original]`,
+        `[1:a]${format},asplit=2[voice][key]`,
+        `[original][key]sidechaincompress=threshold=0.003:ratio=20:attack=${settings.attack}:release=${settings.release}:mix=${mix.toFixed(3)}[ducked]`,
+        '[ducked][voice]amix=inputs=2:normalize=0:duration=longest[out]'
+    ].join(';');
+}
+
+/**
+ * Mixes one fragment for every dubbed language (called by the pipeline orchestrator)
+ */
+async function mixFragment(videoId, fragmentNum) {
+    const job = await getJob(videoId);
+    const settings = getMixSettings(job?.options);
+    if (!settings.enabled) {
+        await markFragment(videoId, 'mixing', fragmentNum, 'completed', { languages: [], skipped: true, error: null });
+        return;
+    }
+
+    const videoDir = path.join(BASE_TEMP_DIR, videoId);
+    const fragment = (await getManifest(videoId)).fragments[fragmentNum] || {};
+    const originalPath = path.join(videoDir, fragment.audio?.file || path.join('ExtractedAudio', 'FinalExtracted', `fragment-${fragmentNum}.wav`));
+    const languages = getJobLanguages(job?.options).audio
+        .map(lang => lang.name)
+        .filter(lang => fragment.dubbedAudio?.[lang]);
+
+    try {
+        await fs.access(originalPath);
+        const filter = buildMixFilter(settings);
+        const mixedLanguages = [];
+        for (const lang of languages) {
+            const voicePath = path.join(videoDir, fragment.dubbedAudio[lang].file);
+            const mixedName = `fragment-${fragmentNum}.mixed.mp3`;
+            const mixedPath = path.join(path.dirname(voicePath), mixedName);
+
+            await execAsync(`ffmpeg -i "${originalPath}" -i "${voicePath}" -filter_complex "${filter}" -map "[out]" -codec:a libmp3lame -qscale:a 2 "${mixedPath}" -y`);
+            await recordLanguageArtifacts(videoId, fragmentNum, 'mixedAudio', {
+                [lang]: {
+                    file: path.join(path.dirname(fragment.dubbedAudio[lang].file), mixedName),
+                    duckDepth: settings.duckDepth,
+                    attack: settings.attack,
+                    release: settings.release
+                }
+            });
+            mixedLanguages.push(lang);
+            console.log(`🎛️ Mixed ${lang} fragment ${fragmentNum} over the original (ducked ${settings.duckDepth} dB)`);
+        }
+        await markFragment(videoId, 'mixing', fragmentNum, 'completed', { languages: mixedLanguages, skipped: false, error: null });
+    } catch (error) {
+        console.error(`❌ Error mixing fragment ${fragmentNum}:`, error.message);
+        await markFragment(videoId, 'mixing', fragmentNum, 'error', { error: error.message });
+        throw error;
+    }
+}
+
+export { mixFragment, getMixSettings, DEFAULT_SETTINGS as MIX_DEFAULTS };
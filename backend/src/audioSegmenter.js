@@ -0,0 +1,186 @@
+import { EventEmitter } from 'events';
+
+// Extracted audio format: 16 kHz mono 16-bit PCM (LINEAR16)
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Reads segmentation settings for a job. Job options win over environment variables.
+ * - segmentation: 'fixed' (20-second cuts) or 'silence' (cut at pauses)
+ * - minFragmentSeconds / maxFragmentSeconds: fragment length bounds in silence mode
+ * - silenceThreshold: level below which audio counts as silence (ffmpeg silencedetect noise)
+ * - silenceSeconds: how long a pause must last to be a cut candidate
+ */
+function getSegmentationSettings(jobOptions = {}) {
+    const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+    };
+
+    const minSeconds = number(jobOptions.minFragmentSeconds ?? process.env.SEGMENT_MIN_SECONDS, 8);
+    return {
+        mode: jobOptions.segmentation || process.env.SEGMENTATION_MODE || 'fixed',
+        minSeconds,
+        maxSeconds: Math.max(minSeconds, number(jobOptions.maxFragmentSeconds ?? process.env.SEGMENT_MAX_SECONDS, 30)),
+        silenceThreshold: jobOptions.silenceThreshold || process.env.SILENCE_THRESHOLD || '-35dB',
+        silenceSeconds: number(jobOptions.silenceSeconds ?? process.env.SILENCE_MIN_SECONDS, 0.4)
+    };
+}
+
+/**
+ * ffmpeg arguments that decode the input to raw PCM on stdout and log
+ * silencedetect events on stderr. Timestamps are reset so both start at 0.
+ */
+function getSilenceDetectArgs(settings) {
+    return [
+        '-i', 'pipe:0',
+        '-map', '0:a',
+        '-af', `asetpts=PTS-STARTPTS,silencedetect=noise=${settings.silenceThreshold}:d=${settings.silenceSeconds}`,
+        '-acodec', 'pcm_s16le',
+        '-ar', String(SAMPLE_RATE),
+        '-ac', '1',
+        '-f', 's16le',
+        'pipe:1'
+    ];
+}
+
+/**
+ * Builds a WAV file (44-byte header + data) around raw 16-bit mono PCM
+ */
+function createWavBuffer(pcm, sampleRate = SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);                           // fmt chunk size
+    header.writeUInt16LE(1, 20);                            // PCM
+    header.writeUInt16LE(1, 22);                            // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28); // Byte rate
+    header.writeUInt16LE(BYTES_PER_SAMPLE, 32);             // Block align
+    header.writeUInt16LE(16, 34);                           // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Cuts a PCM stream into fragments at silences.
+ *
+ * Feed it PCM with pushAudio() and ffmpeg's stderr with pushLog(). A fragment is cut at
+ * the first pause once it is at least minSeconds long, or at maxSeconds if no pause comes.
+ * Emits 'fragment' with { pcm, start, end } (seconds in the source).
+ *
+ * skipSeconds drops audio before that point (resuming a regular video);
+ * timeOffset is added to every time (continuing a live stream after a restart).
+ */
+class SilenceSegmenter extends EventEmitter {
+    constructor(settings, { skipSeconds = 0, timeOffset = 0 } = {}) {
+        super();
+        this.minSeconds = settings.minSeconds;
+        this.maxSeconds = settings.maxSeconds;
+        this.silenceSeconds = settings.silenceSeconds;
+        this.skipSeconds = skipSeconds;
+        this.timeOffset = timeOffset;
+
+        this.streamBytes = 0;          // PCM bytes seen so far, including skipped ones
+        this.fragmentStart = skipSeconds;
+        this.chunks = [];
+        this.bufferedBytes = 0;
+        this.cutPoints = [];
+        this.logRemainder = '';
+    }
+
+    /**
+     * Adds decoded PCM from ffmpeg's stdout
+     */
+    pushAudio(chunk) {
+        // Drop whatever comes before the resume point
+        const skipBytes = Math.max(0, Math.round(this.skipSeconds * SAMPLE_RATE) * BYTES_PER_SAMPLE - this.streamBytes);
+        this.streamBytes += chunk.length;
+        if (skipBytes >= chunk.length) return;
+
+        const data = skipBytes > 0 ? chunk.subarray(skipBytes) : chunk;
+        this.chunks.push(data);
+        this.bufferedBytes += data.length;
+        this.cut();
+    }
+
+    /**
+     * Reads silencedetect events from ffmpeg's stderr
+     */
+    pushLog(text) {
+        const lines = (this.logRemainder + text).split('\n');
+        this.logRemainder = lines.pop();
+
+        for (const line of lines) {
+            const match = line.match(/silence_start:\s*(-?[\d.]+)/);
+            if (!match) continue;
+            // silence_start is reported once the pause has lasted silenceSeconds,
+            // so its middle is known to be silent
+            this.cutPoints.push(parseFloat(match[1]) + this.silenceSeconds / 2);
+        }
+        this.cut();
+    }
+
+    /**
+     * Emits whatever is left once the stream has ended
+     */
+    flush() {
+        if (this.bufferedBytes > 0) {
+            this.emitFragment(this.bufferedBytes);
+        }
+    }
+
+    get bufferedEnd() {
+        return this.fragmentStart + this.bufferedBytes / BYTES_PER_SAMPLE / SAMPLE_RATE;
+    }
+
+    cut() {
+        while (this.bufferedBytes > 0) {
+            this.cutPoints = this.cutPoints.filter(point => point > this.fragmentStart);
+
+            const earliest = this.fragmentStart + this.minSeconds;
+            const latest = this.fragmentStart + this.maxSeconds;
+            const pause = this.cutPoints.find(point => point >= earliest && point <= latest);
+
+            let cutAt = null;
+            if (pause !== undefined && pause <= this.bufferedEnd) {
+                cutAt = pause;
+            } else if (pause === undefined && this.bufferedEnd >= latest) {
+                cutAt = latest;
+            }
+            if (cutAt === null) return;
+
+            const samples = Math.round((cutAt - this.fragmentStart) * SAMPLE_RATE);
+            this.emitFragment(samples * BYTES_PER_SAMPLE);
+        }
+    }
+
+    emitFragment(byteLength) {
+        const buffered = Buffer.concat(this.chunks);
+        const pcm = buffered.subarray(0, byteLength);
+        const rest = buffered.subarray(byteLength);
+        this.chunks = rest.length ? [rest] : [];
+        this.bufferedBytes = rest.length;
+
+        const start = this.fragmentStart;
+        const end = start + pcm.length / BYTES_PER_SAMPLE / SAMPLE_RATE;
+        this.fragmentStart = end;
+        this.emit('fragment', {
+            pcm,
+            start: start + this.timeOffset,
+            end: end + this.timeOffset
+        });
+    }
+}
+
+export {
+    SAMPLE_RATE,
+    BYTES_PER_SAMPLE,
+    getSegmentationSettings,
+    getSilenceDetectArgs,
+    createWavBuffer,
+    SilenceSegmenter
+};
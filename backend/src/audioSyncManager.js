@@ -3,35 +3,32 @@ import path from 'path';
 import { generateAudio, processLanguagesInPairs, saveAudioFile } from './audioHandler.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { getJob, markFragment, getCompletedFragments, isFragmentCompleted } from './jobStore.js';
+import { getManifest, getFragmentTiming, recordLanguageArtifacts } from './fragmentManifest.js';
+import { getFitSettings, planFit, buildFitArguments, getShorterTarget } from './durationFit.js';
+import { requestShorterTranslation } from './translationIntegrator.js';
+import { addSegment, writePlaylist } from './hlsPlaylist.js';
+import { getLoudnessSettings, normalizeToMp3 } from './loudnessNormalizer.js';
 
 const execAsync = promisify(exec);
 
+// Attempts per language before a fragment's audio fails, so a TTS call that keeps failing
+// doesn't hold up the audio stage (shared by every job) forever
+const MAX_ATTEMPTS = parseInt(process.env.AUDIO_MAX_ATTEMPTS) > 0 ? parseInt(process.env.AUDIO_MAX_ATTEMPTS) : 3;
+
 class AudioSyncManager {
-    constructor(videoId) {
+    constructor(videoId, languages, jobOptions = {}) {
         this.videoId = videoId;
         this.baseDir = process.cwd();
         this.audioDir = path.join(this.baseDir, 'temp_files', videoId, 'FinalTranslatedAudio');
         this.translationsDir = path.join(this.baseDir, 'temp_files', videoId, 'FinalTranslatedText');
         this.currentFragment = 0;
         this.isProcessing = false;
-        this.languages = [
-            // Active languages
-            'Hindi',
-            'Sanskrit',
-            'Marathi',
-            
-            // Commented languages
-            // 'English',
-            // 'Tamil',
-            // 'Telugu',
-            // 'Malayalam',
-            // 'Kannada',
-            // 'Gujarati',
-            // 'Punjabi',
-            // 'French',
-            // 'Spanish',
-            // 'Russian'
-        ];
+        this.isHalted = false;
+        // Names of the languages to dub, from the job's audio languages
+        this.languages = languages;
+        // Job options choose the TTS provider and voice per language
+        this.jobOptions = jobOptions;
     }
 
     /**
@@ -39,15 +36,8 @@ class AudioSyncManager {
      */
     async isFragmentComplete(fragmentNum) {
         try {
-            for (const lang of this.languages) {
-                const audioPath = path.join(this.audioDir, lang, `fragment-${fragmentNum}.wav`);
-                try {
-                    await fs.access(audioPath);
-                } catch {
-                    return false;
-                }
-            }
-            return true;
+            const job = await getJob(this.videoId);
+            return isFragmentCompleted(job, 'audio', fragmentNum);
         } catch (error) {
             console.error(`Error checking fragment ${fragmentNum}:`, error);
             return false;
@@ -58,127 +48,42 @@ class AudioSyncManager {
      * Get the next fragment that needs processing
      */
     async findNextFragment() {
-        // Start checking from fragment 0
-        let fragment = 0;
-        
-        // Keep checking each fragment in sequence
-        while (true) {
-            // Check if this fragment exists for all languages
-            let isComplete = true;
-            let hasAny = false;
+        const job = await getJob(this.videoId);
+        const completed = new Set(getCompletedFragments(job, 'audio'));
 
-            for (const lang of this.languages) {
-                const audioPath = path.join(this.audioDir, lang, `fragment-${fragment}.wav`);
-                try {
-                    await fs.access(audioPath);
-                    hasAny = true;  // At least one language has this fragment
-                } catch {
-                    isComplete = false;  // Missing for at least one language
-                }
-            }
-
-            // If no language has this fragment and we've found files before,
-            // we've reached the end
-            if (!hasAny && fragment > 0) {
-                // Go back to the last incomplete fragment
-                while (fragment >= 0) {
-                    let prevComplete = true;
-                    for (const lang of this.languages) {
-                        const audioPath = path.join(this.audioDir, lang, `fragment-${fragment}.wav`);
-                        try {
-                            await fs.access(audioPath);
-                        } catch {
-                            prevComplete = false;
-                            break;
-                        }
-                    }
-                    if (!prevComplete) {
-                        return fragment;
-                    }
-                    fragment--;
-                }
-                return 0;  // If all previous are complete, start from 0
-            }
-
-            // If this fragment is not complete for all languages, this is the one to process
-            if (!isComplete) {
-                return fragment;
-            }
-
-            // Move to next fragment
+        // First fragment that hasn't been fully processed for all languages
+        let fragment = 0;
+        while (completed.has(fragment)) {
             fragment++;
         }
+        return fragment;
     }
 
     /**
-     * Check if translations exist for a fragment
+     * Gets the audio languages a fragment has translations for
+     * @returns {Promise<string[]>} - Empty when the fragment isn't translated
      */
-    async hasTranslations(fragmentNum) {
+    async getTranslatedLanguages(fragmentNum) {
         try {
-            // First check if any language has audio for a higher fragment number
-            let maxFragment = -1;
-            for (const lang of this.languages) {
-                const langDir = path.join(this.audioDir, lang);
-                try {
-                    const files = await fs.readdir(langDir);
-                    for (const file of files) {
-                        const match = file.match(/fragment-(\d+)\.wav$/);
-                        if (match) {
-                            const num = parseInt(match[1]);
-                            maxFragment = Math.max(maxFragment, num);
-                        }
-                    }
-                } catch {
-                    // Directory might not exist yet
-                }
-            }
-
-            // If we're trying to process a fragment but have higher numbers,
-            // force processing of the current fragment first
-            if (maxFragment > fragmentNum) {
-                console.log(`Found fragment ${maxFragment} but need to process ${fragmentNum} first`);
-                // Check if translations exist for this fragment
-                for (const lang of this.languages) {
-                    const translationPath = path.join(
-                        this.translationsDir, 
-                        lang, 
-                        `fragment-${fragmentNum}.json`
-                    );
-                    try {
-                        await fs.access(translationPath);
-                    } catch {
-                        return false;
-                    }
-                }
-                return true;
+            const job = await getJob(this.videoId);
+            const translation = job?.stages.translation.fragments[fragmentNum];
+            // A translation_failed fragment is still dubbed in the languages that did translate
+            if (translation?.status !== 'completed' && translation?.status !== 'translation_failed') {
+                return [];
             }
 
-            // Normal translation check
-            for (const lang of this.languages) {
-                const translationPath = path.join(
-                    this.translationsDir, 
-                    lang, 
-                    `fragment-${fragmentNum}.json`
-                );
-                try {
-                    await fs.access(translationPath);
-                } catch {
-                    return false;
-                }
-            }
-            return true;
+            return this.languages.filter(lang => translation.languages?.includes(lang));
         } catch (error) {
             console.error(`Error checking translations for fragment ${fragmentNum}:`, error);
-            return false;
+            return [];
         }
     }
 
     /**
-     * Convert WAV to MP3
+     * Convert WAV to MP3 (next to the WAV unless an output path is given)
      */
-    async convertToMp3(wavPath) {
+    async convertToMp3(wavPath, mp3Path = wavPath.replace('.wav', '.mp3')) {
         try {
-            const mp3Path = wavPath.replace('.wav', '.mp3');
             console.log(`🔄 Converting ${wavPath} to MP3...`);
             
             const command = `ffmpeg -i "${wavPath}" -codec:a libmp3lame -qscale:a 2 "${mp3Path}" -y`;
@@ -197,16 +102,104 @@ class AudioSyncManager {
     }
 
     /**
-     * Process a specific fragment for all languages
+     * Get an audio file's duration in seconds (null if ffprobe can't read it)
      */
-    async processFragment(fragmentNum) {
+    async getAudioDuration(filePath) {
+        try {
+            const { stdout } = await execAsync(`ffprobe -v error -show_entries format=duration -of csv=p=0 "${filePath}"`);
+            const duration = parseFloat(stdout);
+            return Number.isFinite(duration) ? duration : null;
+        } catch (error) {
+            console.error(`❌ Error reading duration of ${filePath}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the source fragment's duration: from the manifest, or from its extracted audio
+     */
+    async getSourceDuration(fragmentNum) {
+        const timing = await getFragmentTiming(this.videoId, fragmentNum);
+        if (timing?.duration) return timing.duration;
+        return this.getAudioDuration(path.join(this.baseDir, 'temp_files', this.videoId, 'ExtractedAudio', 'FinalExtracted', `fragment-${fragmentNum}.wav`));
+    }
+
+    /**
+     * Fit a dubbed fragment to the length of its source fragment (see durationFit.js)
+     * @returns {Promise<Object|null>} - { speechDuration, sourceDuration, tempo, padding, fittedDuration, flags },
+     *                                   or null when fitting is off or the durations can't be read
+     */
+    async fitToSource(lang, fragmentNum, mp3Path) {
+        const settings = getFitSettings(this.jobOptions);
+        if (!settings.enabled) return null;
+
+        const sourceDuration = await this.getSourceDuration(fragmentNum);
+        const speechDuration = await this.getAudioDuration(mp3Path);
+        if (!sourceDuration || !speechDuration) {
+            console.log(`⚠️ Can't measure ${lang} fragment ${fragmentNum}, leaving its speech as generated`);
+            return null;
+        }
+
+        const plan = planFit(speechDuration, sourceDuration, settings);
+        const fitArguments = buildFitArguments(plan, sourceDuration);
+        if (fitArguments) {
+            const fittedPath = mp3Path.replace('.mp3', '.fitted.mp3');
+            try {
+                await execAsync(`ffmpeg -i "${mp3Path}" ${fitArguments} -codec:a libmp3lame -qscale:a 2 "${fittedPath}" -y`);
+                await fs.rename(fittedPath, mp3Path);
+            } catch (error) {
+                console.error(`❌ Error fitting ${lang} fragment ${fragmentNum}, leaving its speech as generated:`, error.message);
+                return null;
+            }
+            console.log(`⏱️ Fitted ${lang} fragment ${fragmentNum}: ${speechDuration.toFixed(2)}s of speech to ${sourceDuration.toFixed(2)}s (tempo ${plan.tempo}, ${plan.padding}s of padding)`);
+        }
+        if (plan.flags.length) {
+            console.log(`⚠️ ${lang} fragment ${fragmentNum} doesn't fit its source: ${plan.flags.join(', ')}`);
+        }
+        return { speechDuration: Number(speechDuration.toFixed(3)), sourceDuration, ...plan };
+    }
+
+    /**
+     * Normalizes a dubbed MP3 to the job's loudness target (see loudnessNormalizer.js). Runs after
+     * the duration fit, which re-encodes the file, so the measurement describes what is delivered.
+     * @returns {Promise<Object|null>} - The measurement, or null when normalization is off or failed
+     */
+    async normalizeLoudness(lang, fragmentNum, mp3Path) {
+        const settings = getLoudnessSettings(this.jobOptions);
+        if (!settings.enabled) {
+            return null;
+        }
+
+        const normalizedPath = mp3Path.replace('.mp3', '.normalized.mp3');
+        try {
+            const loudness = await normalizeToMp3(mp3Path, normalizedPath, await this.getAudioDuration(mp3Path), settings);
+            await fs.rename(normalizedPath, mp3Path);
+            console.log(`🔊 Normalized ${lang} fragment ${fragmentNum} (${loudness.mode}): ${loudness.input.integrated} → ${loudness.output.integrated} LUFS, ${loudness.output.truePeak} dBTP`);
+            return loudness;
+        } catch (error) {
+            console.error(`❌ Error normalizing ${lang} fragment ${fragmentNum}, leaving its loudness as generated:`, error.message);
+            await fs.unlink(normalizedPath).catch(() => {});
+            return null;
+        }
+    }
+
+    /**
+     * Process a specific fragment for the given languages (all audio languages by default).
+     * With redub, MP3s left from an earlier translation are made again instead of reused.
+     */
+    async processFragment(fragmentNum, languages = this.languages, { redub = false } = {}) {
         console.log(`\n🎯 Starting fragment ${fragmentNum} processing`);
+        // Audio languages that failed to translate are left out of this fragment
+        const skippedLanguages = this.languages.filter(lang => !languages.includes(lang));
+        if (skippedLanguages.length) {
+            console.log(`⏭️ Skipping ${skippedLanguages.join(', ')} for fragment ${fragmentNum}: no translation`);
+        }
         
         // Read all translations first
         const translations = {};
         let allTranslationsRead = true;
         
-        for (const lang of this.languages) {
+        for (const lang of languages) {
             try {
                 const translationPath = path.join(
                     this.translationsDir,
@@ -230,35 +223,68 @@ class AudioSyncManager {
         }
 
         // Process languages strictly in sequence
-        for (const lang of this.languages) {
+        const completedLanguages = [];
+        // Languages whose speech couldn't be fitted to the source, and those re-translated shorter
+        const durationFlags = {};
+        const shortenedLanguages = [];
+        const fitSettings = getFitSettings(this.jobOptions);
+        for (const lang of languages) {
             console.log(`\n🔄 Processing ${lang} fragment ${fragmentNum}`);
+            let fit = null;
+            let loudness = null;
+            let shortenAttempts = 0;
+            let failedAttempts = 0;
+            // Set when the MP3 was already there from an earlier run
+            let reused = false;
+
+            // Audio dubbed from an earlier translation is out of date
+            if (redub) {
+                for (const file of [`fragment-${fragmentNum}.mp3`, `fragment-${fragmentNum}.wav`]) {
+                    await fs.rm(path.join(this.audioDir, lang, file), { force: true });
+                }
+            }
             
-            // Keep trying until we succeed for this language
+            // Keep trying until we succeed for this language (or the job is halted, or it keeps failing)
             while (true) {
+                if (this.isHalted) {
+                    console.log(`⏹️ Audio generation halted at ${lang} fragment ${fragmentNum}`);
+                    return false;
+                }
+
                 try {
                     // Check if file already exists
                     const audioPath = path.join(this.audioDir, lang, `fragment-${fragmentNum}.wav`);
                     const mp3Path = audioPath.replace('.wav', '.mp3');
+                    // The MP3 is fitted and normalized as a draft and only then renamed into place,
+                    // so an MP3 that exists is always finished (with its loudness measured)
+                    const draftPath = audioPath.replace('.wav', '.draft.mp3');
 
                     // Check if MP3 already exists
                     try {
                         await fs.access(mp3Path);
                         console.log(`✅ MP3 already exists for ${lang} fragment ${fragmentNum}`);
+                        reused = true;
                         break; // Move to next language
                     } catch {
                         // MP3 doesn't exist, check for WAV
                         try {
                             await fs.access(audioPath);
                             console.log(`✅ Found WAV file for ${lang} fragment ${fragmentNum}, converting to MP3...`);
-                            await this.convertToMp3(audioPath);
-                            // Delete WAV file after successful conversion
+                            await this.convertToMp3(audioPath, draftPath);
+                            fit = await this.fitToSource(lang, fragmentNum, draftPath);
+                            loudness = await this.normalizeLoudness(lang, fragmentNum, draftPath);
+                            await fs.rename(draftPath, mp3Path);
+                            // Delete WAV file once its MP3 is in place
                             await fs.unlink(audioPath);
                             console.log(`🗑️ Deleted WAV file: ${audioPath}`);
                             break; // Move to next language
                         } catch {
                             // Neither WAV nor MP3 exists, generate new audio
                             console.log(`⚙️ Generating new audio for ${lang} fragment ${fragmentNum}`);
-                            const audioData = await generateAudio(translations[lang], lang);
+                            const audioData = await generateAudio(translations[lang], lang, this.jobOptions, {
+                                videoId: this.videoId,
+                                fragment: fragmentNum
+                            });
                             if (!audioData) {
                                 throw new Error('Failed to generate audio');
                             }
@@ -267,9 +293,27 @@ class AudioSyncManager {
                             await saveAudioFile(audioData, audioPath);
                             
                             // Convert to MP3
-                            await this.convertToMp3(audioPath);
-                            
-                            // Delete WAV file after successful conversion
+                            await this.convertToMp3(audioPath, draftPath);
+
+                            // Match the source fragment's length; speech too long even sped up
+                            // can ask translation for a shorter rendering and be dubbed again
+                            fit = await this.fitToSource(lang, fragmentNum, draftPath);
+                            if (fit?.flags.includes('too_long') && fitSettings.shorten && shortenAttempts < fitSettings.maxShortenAttempts) {
+                                shortenAttempts++;
+                                const maxChars = getShorterTarget(translations[lang].length, fit.speechDuration, fit.sourceDuration, fitSettings);
+                                const shorter = await requestShorterTranslation(this.videoId, fragmentNum, lang, maxChars);
+                                if (shorter) {
+                                    translations[lang] = shorter;
+                                    shortenedLanguages.push(lang);
+                                    await fs.unlink(draftPath);
+                                    await fs.unlink(audioPath);
+                                    continue; // Dub the shorter rendering
+                                }
+                            }
+                            loudness = await this.normalizeLoudness(lang, fragmentNum, draftPath);
+                            await fs.rename(draftPath, mp3Path);
+
+                            // Delete WAV file once its MP3 is in place
                             await fs.unlink(audioPath);
                             console.log(`🗑️ Deleted WAV file: ${audioPath}`);
                             break; // Move to next language
@@ -277,59 +321,66 @@ class AudioSyncManager {
                     }
                 } catch (error) {
                     console.error(`❌ Error processing ${lang} fragment ${fragmentNum}:`, error);
+                    if (++failedAttempts >= MAX_ATTEMPTS) {
+                        throw new Error(`Giving up on ${lang} fragment ${fragmentNum} after ${failedAttempts} attempts: ${error.message}`);
+                    }
                     await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds before retrying
                     continue; // Try again
                 }
             }
+
+            completedLanguages.push(lang);
+            const mp3Name = `fragment-${fragmentNum}.mp3`;
+            // Audio that was already there keeps the fit recorded when it was made
+            const recorded = (await getManifest(this.videoId)).fragments[fragmentNum];
+            const previous = recorded?.dubbedAudio?.[lang];
+            const recordedFit = fit || previous?.fit || null;
+            const recordedLoudness = reused ? previous?.loudness || null : loudness;
+            if (recordedFit?.flags.length) {
+                durationFlags[lang] = recordedFit.flags;
+            }
+            const mp3Path = path.join(this.audioDir, lang, mp3Name);
+            const duration = await this.getAudioDuration(mp3Path);
+            await recordLanguageArtifacts(this.videoId, fragmentNum, 'dubbedAudio', {
+                [lang]: {
+                    file: path.join('FinalTranslatedAudio', lang, mp3Name),
+                    duration,
+                    fit: recordedFit,
+                    loudness: recordedLoudness
+                }
+            });
+            // New audio (or audio from before HLS output) goes into the language's HLS stream
+            if (!reused || !recorded?.hlsSegments?.[lang]) {
+                await addSegment(this.videoId, lang, fragmentNum, mp3Path, duration);
+            }
+            await markFragment(this.videoId, 'audio', fragmentNum, 'in_progress', {
+                languages: completedLanguages,
+                skippedLanguages,
+                durationFlags,
+                shortenedLanguages
+            });
         }
 
+        await markFragment(this.videoId, 'audio', fragmentNum, 'completed', {
+            languages: completedLanguages,
+            skippedLanguages,
+            durationFlags,
+            shortenedLanguages,
+            // A redub asked for while this run was going is left for the next run
+            ...(redub && { redub: false })
+        });
+        // The last fragment completes the audio stage, which ends the playlists
+        for (const lang of completedLanguages) {
+            await writePlaylist(this.videoId, lang);
+        }
         return true;
     }
 
     /**
-     * Start the synchronization process
+     * Stops processing after the current attempt (used when a job is paused or stopped)
      */
-    async start() {
-        if (this.isProcessing) {
-            console.log('Already processing...');
-            return;
-        }
-
-        this.isProcessing = true;
-        console.log('\n=== Starting Audio Sync Manager ===');
-
-        try {
-            let currentFragment = 0;
-            while (true) {
-                // Always process fragments sequentially
-                console.log(`\n🔍 Checking fragment ${currentFragment}`);
-                
-                // Check if translations exist for this fragment
-                if (await this.hasTranslations(currentFragment)) {
-                    let success = false;
-                    while (!success) {
-                        console.log(`\n Processing fragment ${currentFragment}`);
-                        success = await this.processFragment(currentFragment);
-                        
-                        if (!success) {
-                            console.log(`⏳ Retrying fragment ${currentFragment} in 2 seconds...`);
-                            await new Promise(resolve => setTimeout(resolve, 2000));
-                        }
-                    }
-                    
-                    console.log(`✨ Fragment ${currentFragment} fully completed, moving to next`);
-                    currentFragment++;
-                } else {
-                    // No translations available for current fragment
-                    console.log(`⏳ Waiting for translations for fragment ${currentFragment}...`);
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                }
-            }
-        } catch (error) {
-            console.error('❌ Error in sync manager:', error);
-        } finally {
-            this.isProcessing = false;
-        }
+    halt() {
+        this.isHalted = true;
     }
 
     /**
@@ -341,14 +392,12 @@ class AudioSyncManager {
             languageProgress: {}
         };
 
+        const job = await getJob(this.videoId);
+        const fragments = Object.values(job?.stages.audio.fragments || {});
         for (const lang of this.languages) {
-            try {
-                const langDir = path.join(this.audioDir, lang);
-                const files = await fs.readdir(langDir);
-                progress.languageProgress[lang] = files.length;
-            } catch (error) {
-                progress.languageProgress[lang] = 0;
-            }
+            progress.languageProgress[lang] = fragments
+                .filter(fragment => fragment.languages?.includes(lang))
+                .length;
         }
 
         return progress;
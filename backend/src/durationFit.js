@@ -0,0 +1,124 @@
+/*
+ * Fitting dubbed speech to its source fragment, so the translated track doesn't drift from
+ * the video a little more with every fragment.
+ *
+ * Speech that runs long is sped up (ffmpeg atempo), speech that runs short is slowed down a
+ * little and padded with silence, both within bounds that still sound natural. Speech that
+ * can't be fitted within the bounds is flagged; speech that is still too long can ask the
+ * translation step for a shorter rendering.
+ *
+ * Settings come from the DUB_FIT_* environment variables, overridden by a job's
+ * options.durationFit:
+ * {
+ *   enabled,             // false leaves speech as generated (DUB_FIT_ENABLED, true)
+ *   maxTempo,            // Fastest speed-up (DUB_FIT_MAX_TEMPO, 1.25)
+ *   minTempo,            // Slowest slow-down (DUB_FIT_MIN_TEMPO, 0.95)
+ *   tolerance,           // Seconds either way that are left alone (DUB_FIT_TOLERANCE, 0.2)
+ *   minFill,             // Speech shorter than this share of the window is flagged (DUB_FIT_MIN_FILL, 0.5)
+ *   shorten,             // Ask for a shorter translation when speech is too long (DUB_FIT_SHORTEN, true)
+ *   maxShortenAttempts   // Shorter translations to ask for per language and fragment (DUB_FIT_SHORTEN_ATTEMPTS, 1)
+ * }
+ */
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    maxTempo: 1.25,
+    minTempo: 0.95,
+    tolerance: 0.2,
+    minFill: 0.5,
+    shorten: true,
+    maxShortenAttempts: 1
+};
+
+// ffmpeg's atempo filter only takes 0.5-2.0 in one pass
+const ATEMPO_RANGE = [0.5, 2];
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function envFlag(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return !['false', '0', 'no'].includes(value.toLowerCase());
+}
+
+/**
+ * Gets the duration fitting settings for a job
+ */
+function getFitSettings(jobOptions = {}) {
+    const settings = {
+        enabled: envFlag('DUB_FIT_ENABLED', DEFAULT_SETTINGS.enabled),
+        maxTempo: envNumber('DUB_FIT_MAX_TEMPO', DEFAULT_SETTINGS.maxTempo),
+        minTempo: envNumber('DUB_FIT_MIN_TEMPO', DEFAULT_SETTINGS.minTempo),
+        tolerance: envNumber('DUB_FIT_TOLERANCE', DEFAULT_SETTINGS.tolerance),
+        minFill: envNumber('DUB_FIT_MIN_FILL', DEFAULT_SETTINGS.minFill),
+        shorten: envFlag('DUB_FIT_SHORTEN', DEFAULT_SETTINGS.shorten),
+        maxShortenAttempts: envNumber('DUB_FIT_SHORTEN_ATTEMPTS', DEFAULT_SETTINGS.maxShortenAttempts),
+        ...jobOptions?.durationFit
+    };
+    settings.maxTempo = Math.min(Math.max(settings.maxTempo, 1), ATEMPO_RANGE[1]);
+    settings.minTempo = Math.max(Math.min(settings.minTempo, 1), ATEMPO_RANGE[0]);
+    return settings;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Works out how to fit speech to its source window
+ * @param {number} speechDuration - Generated speech, in seconds
+ * @param {number} sourceDuration - Source fragment, in seconds
+ * @returns {Object} - { tempo, padding, fittedDuration, flags }: flags are 'too_long'
+ *                     (longer than the window even at maxTempo) and 'too_short' (less than
+ *                     minFill of the window even at minTempo)
+ */
+function planFit(speechDuration, sourceDuration, settings) {
+    if (Math.abs(speechDuration - sourceDuration) <= settings.tolerance) {
+        return { tempo: 1, padding: 0, fittedDuration: round(speechDuration), flags: [] };
+    }
+
+    const ratio = speechDuration / sourceDuration;
+    const tempo = round(Math.min(Math.max(ratio, settings.minTempo), settings.maxTempo));
+    const stretched = speechDuration / tempo;
+
+    const flags = [];
+    if (stretched > sourceDuration + settings.tolerance) flags.push('too_long');
+    if (stretched < sourceDuration * settings.minFill) flags.push('too_short');
+
+    const padding = Math.max(0, sourceDuration - stretched);
+    return {
+        tempo,
+        padding: round(padding),
+        fittedDuration: round(Math.max(stretched, sourceDuration)),
+        flags
+    };
+}
+
+/**
+ * ffmpeg arguments that apply a plan: the audio filter and, when padding, the output length
+ * @returns {string|null} - e.g. '-af "atempo=1.2,apad" -t 20', or null when nothing changes
+ */
+function buildFitArguments(plan, sourceDuration) {
+    const filters = [];
+    if (plan.tempo !== 1) filters.push(`atempo=${plan.tempo}`);
+    if (plan.padding > 0) filters.push('apad');
+    if (!filters.length) return null;
+    return `-af "${filters.join(',')}"${plan.padding > 0 ? ` -t ${sourceDuration}` : ''}`;
+}
+
+/**
+ * How many characters a shorter translation should have to fit at maxTempo, with a margin
+ */
+function getShorterTarget(textLength, speechDuration, sourceDuration, settings) {
+    const fits = (sourceDuration * settings.maxTempo) / speechDuration;
+    return Math.max(1, Math.floor(textLength * fits * 0.9));
+}
+
+export {
+    getFitSettings,
+    planFit,
+    buildFitArguments,
+    getShorterTarget,
+    DEFAULT_SETTINGS as DURATION_FIT_DEFAULTS
+};
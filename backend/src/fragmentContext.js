@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+/*
+ * Context carried from one fragment to the next, so that names, pronouns and terms stay
+ * consistent and sentences aren't cut in half at fragment boundaries.
+ *
+ * - Transcription: the end of the previous fragment's transcript is added to the Whisper prompt
+ * - Translation: the previous fragment's last sentences, with their translations, are sent
+ *   as chat history
+ * - Carry-over: a sentence still unfinished at the end of a fragment is left out of its
+ *   translation and translated at the start of the next fragment instead
+ *
+ * Settings come from the CONTEXT_* environment variables, overridden by a job's
+ * options.context:
+ * {
+ *   enabled,           // false turns all of the above off (CONTEXT_ENABLED)
+ *   asrPromptChars,    // Characters of the previous transcript in the ASR prompt (CONTEXT_ASR_PROMPT_CHARS)
+ *   historySentences,  // Previous sentences sent as chat history (CONTEXT_HISTORY_SENTENCES)
+ *   historyChars,      // Upper bound on the history text, per side (CONTEXT_HISTORY_CHARS)
+ *   carryOver,         // Move a trailing partial sentence into the next fragment; translates in order (CONTEXT_CARRY_OVER)
+ *   maxCarryChars      // Longer trailing text is translated where it is (CONTEXT_MAX_CARRY_CHARS)
+ * }
+ */
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    asrPromptChars: 200,
+    historySentences: 3,
+    historyChars: 500,
+    carryOver: false,
+    maxCarryChars: 200
+};
+
+// Latin, Devanagari (danda) and CJK sentence ends, with any closing quotes or brackets
+const SENTENCE_PATTERN = /[^.!?।॥。？！]+(?:[.!?।॥。？！]+["'”’)\]]*|$)/gu;
+
+/**
+ * Reads a non-negative integer setting from the environment
+ */
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads a boolean setting from the environment ('false' or '0' turns it off)
+ */
+function envFlag(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    return !['false', '0', 'no'].includes(value.toLowerCase());
+}
+
+/**
+ * Gets the context settings for a job
+ */
+function getContextSettings(jobOptions = {}) {
+    return {
+        enabled: envFlag('CONTEXT_ENABLED', DEFAULT_SETTINGS.enabled),
+        asrPromptChars: envNumber('CONTEXT_ASR_PROMPT_CHARS', DEFAULT_SETTINGS.asrPromptChars),
+        historySentences: envNumber('CONTEXT_HISTORY_SENTENCES', DEFAULT_SETTINGS.historySentences),
+        historyChars: envNumber('CONTEXT_HISTORY_CHARS', DEFAULT_SETTINGS.historyChars),
+        carryOver: envFlag('CONTEXT_CARRY_OVER', DEFAULT_SETTINGS.carryOver),
+        maxCarryChars: envNumber('CONTEXT_MAX_CARRY_CHARS', DEFAULT_SETTINGS.maxCarryChars),
+        ...jobOptions?.context
+    };
+}
+
+/**
+ * Stages that have to handle a job's fragments in order. Only carry-over needs it: the
+ * next fragment can't be translated until it knows what was carried out of this one.
+ * The ASR prompt and chat history use the previous fragment if it's done, and go without otherwise.
+ */
+function getContextOrderedStages(jobOptions = {}) {
+    const settings = getContextSettings(jobOptions);
+    return settings.enabled && settings.carryOver ? ['translation'] : [];
+}
+
+/**
+ * Splits text into sentences; a trailing unfinished sentence is the last item
+ */
+function splitSentences(text) {
+    return (text.match(SENTENCE_PATTERN) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a sentence ends with sentence-ending punctuation
+ */
+function isComplete(sentence) {
+    return /[.!?।॥。？！]["'”’)\]]*$/u.test(sentence);
+}
+
+/**
+ * The end of a text, at most maxChars long and starting on a word boundary
+ */
+function tail(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const cut = text.slice(-maxChars);
+    const firstSpace = cut.indexOf(' ');
+    return firstSpace === -1 ? cut : cut.slice(firstSpace + 1);
+}
+
+/**
+ * The last sentences of a text, bounded by sentence count and length
+ */
+function lastSentences(text, settings) {
+    const sentences = splitSentences(text || '').slice(-settings.historySentences);
+    return tail(sentences.join(' '), settings.historyChars);
+}
+
+/**
+ * Splits off a trailing partial sentence to carry into the next fragment.
+ * Nothing is carried when the text ends a sentence, has no complete sentence before the
+ * partial one, or the partial one is longer than maxCarryChars.
+ * @returns {{ complete: string, partial: string }}
+ */
+function splitTrailingPartial(text, settings) {
+    const sentences = splitSentences(text);
+    const last = sentences[sentences.length - 1];
+    if (sentences.length < 2 || isComplete(last) || last.length > settings.maxCarryChars) {
+        return { complete: text, partial: '' };
+    }
+    return { complete: sentences.slice(0, -1).join(' '), partial: last };
+}
+
+/**
+ * Reads the end of the previous fragment's transcript, for the ASR prompt
+ * @returns {Promise<string>} - Empty when disabled or there is no previous transcript
+ */
+async function getAsrContextPrompt(videoId, fragmentNum, settings) {
+    if (!settings.enabled || !settings.asrPromptChars || fragmentNum < 1) return '';
+    const previousPath = path.join(BASE_TEMP_DIR, videoId, 'ExtractedText', `fragment-${fragmentNum - 1}.json`);
+    try {
+        const previous = JSON.parse(await fs.readFile(previousPath, 'utf-8'));
+        return tail((previous.text || '').trim(), settings.asrPromptChars);
+    } catch {
+        // Not transcribed (yet, or at all): transcribe without it
+        return '';
+    }
+}
+
+function getContextPath(videoId, fragmentNum) {
+    return path.join(BASE_TEMP_DIR, videoId, 'TranslationContext', `fragment-${fragmentNum}.json`);
+}
+
+/**
+ * Reads what a fragment's translation left for the next one
+ * @returns {Promise<Object|null>} - { sourceText, carriedIn, carriedOut, translations: { English: text, ... } }
+ */
+async function readTranslationContext(videoId, fragmentNum) {
+    if (fragmentNum < 0) return null;
+    try {
+        return JSON.parse(await fs.readFile(getContextPath(videoId, fragmentNum), 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Saves what a fragment's translation leaves for the next one
+ */
+async function saveTranslationContext(videoId, fragmentNum, context) {
+    const contextPath = getContextPath(videoId, fragmentNum);
+    await fs.mkdir(path.dirname(contextPath), { recursive: true });
+    await fs.writeFile(contextPath, JSON.stringify(context, null, 2));
+}
+
+/**
+ * Builds the chat history for each language from the previous fragment's context.
+ * Languages on a direct route (English among them) are translated from the transcript;
+ * the others from English.
+ * @param {Object|null} previous - The previous fragment's translation context
+ * @param {Object[]} languages - Registry entries to build history for
+ * @param {Object} routes - { [language name]: { route } }, from translationRoutes.js
+ * @returns {Object} - { [language name]: [{ source, translation }] }
+ */
+function buildTranslationHistory(previous, languages, settings, routes = {}) {
+    if (!previous || !settings.enabled || !settings.historySentences) return {};
+
+    const history = {};
+    for (const lang of languages) {
+        const direct = lang.code === 'en' || routes[lang.name]?.route === 'direct';
+        const source = direct ? previous.sourceText : previous.translations?.English;
+        const translation = previous.translations?.[lang.name];
+        if (source && translation) {
+            history[lang.name] = [{
+                source: lastSentences(source, settings),
+                translation: lastSentences(translation, settings)
+            }];
+        }
+    }
+    return history;
+}
+
+export {
+    getContextSettings,
+    getContextOrderedStages,
+    splitSentences,
+    splitTrailingPartial,
+    getAsrContextPrompt,
+    readTranslationContext,
+    saveTranslationContext,
+    buildTranslationHistory
+};
@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+// In-memory copies of each video's manifest, and a write queue per video
+const manifests = new Map();
+const writeQueues = new Map();
+
+function getManifestPath(videoId) {
+    return path.join(BASE_TEMP_DIR, videoId, 'manifest.json');
+}
+
+/**
+ * Loads a video's manifest (from disk the first time), creating an empty one if missing
+ */
+async function loadManifest(videoId) {
+    if (manifests.has(videoId)) return manifests.get(videoId);
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(getManifestPath(videoId), 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Error reading manifest for ${videoId}, starting empty:`, error.message);
+        }
+        manifest = {
+            videoId,
+            segmentation: null,
+            fragments: {},
+            updatedAt: null
+        };
+    }
+
+    // Another caller may have loaded it while we were reading
+    if (!manifests.has(videoId)) {
+        manifests.set(videoId, manifest);
+    }
+    return manifests.get(videoId);
+}
+
+/**
+ * Writes a video's manifest to disk. Writes are queued per video and go
+ * through a temp file + rename, like the job store.
+ */
+function persistManifest(videoId) {
+    const snapshot = JSON.stringify(manifests.get(videoId), null, 2);
+    const previous = writeQueues.get(videoId) || Promise.resolve();
+    const next = previous
+        .catch(() => {})
+        .then(async () => {
+            const manifestPath = getManifestPath(videoId);
+            await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+            await fs.writeFile(`${manifestPath}.tmp`, snapshot);
+            await fs.rename(`${manifestPath}.tmp`, manifestPath);
+        })
+        .catch(error => {
+            console.error(`❌ Error writing manifest for ${videoId}:`, error.message);
+        });
+    writeQueues.set(videoId, next);
+    return next;
+}
+
+/**
+ * Applies a change to a manifest and saves it
+ */
+async function mutateManifest(videoId, mutate) {
+    const manifest = await loadManifest(videoId);
+    mutate(manifest);
+    manifest.updatedAt = new Date().toISOString();
+    await persistManifest(videoId);
+    return structuredClone(manifest);
+}
+
+/**
+ * Gets a copy of a video's manifest
+ */
+async function getManifest(videoId) {
+    return structuredClone(await loadManifest(videoId));
+}
+
+/**
+ * Records how the video is being cut into fragments
+ */
+async function setSegmentation(videoId, segmentation) {
+    return mutateManifest(videoId, manifest => {
+        manifest.segmentation = segmentation;
+    });
+}
+
+/**
+ * Records where a fragment sits in the source, in seconds, and its extracted audio file
+ * (relative to the video's temp_files folder)
+ */
+async function recordFragmentTiming(videoId, fragmentNum, { start, end, file = null }) {
+    return mutateManifest(videoId, manifest => {
+        const duration = Number((end - start).toFixed(3));
+        manifest.fragments[fragmentNum] = {
+            ...manifest.fragments[fragmentNum],
+            start: Number(start.toFixed(3)),
+            end: Number(end.toFixed(3)),
+            duration,
+            ...(file && { audio: { file, duration } })
+        };
+    });
+}
+
+/**
+ * Records a file derived from a fragment, e.g. its transcription.
+ * Files are relative to the video's temp_files folder.
+ * @param {string} videoId - Video ID
+ * @param {number} fragmentNum - Fragment number
+ * @param {string} kind - Artifact name, e.g. 'transcription'
+ * @param {Object} artifact - { file, duration, ... }
+ */
+async function recordArtifact(videoId, fragmentNum, kind, artifact) {
+    return mutateManifest(videoId, manifest => {
+        const fragment = manifest.fragments[fragmentNum] || (manifest.fragments[fragmentNum] = {});
+        fragment[kind] = artifact;
+    });
+}
+
+/**
+ * Records per-language files derived from a fragment ('translations', 'dubbedAudio'),
+ * merged with the languages already recorded
+ * @param {Object} artifactsByLanguage - { Hindi: { file, duration }, ... }
+ */
+async function recordLanguageArtifacts(videoId, fragmentNum, kind, artifactsByLanguage) {
+    return mutateManifest(videoId, manifest => {
+        const fragment = manifest.fragments[fragmentNum] || (manifest.fragments[fragmentNum] = {});
+        fragment[kind] = { ...fragment[kind], ...artifactsByLanguage };
+    });
+}
+
+/**
+ * Lists a manifest's fragments in order, each with its fragment number
+ */
+function getSortedFragments(manifest) {
+    return Object.entries(manifest.fragments)
+        .map(([num, fragment]) => ({ fragment: parseInt(num), ...fragment }))
+        .sort((a, b) => a.fragment - b.fragment);
+}
+
+/**
+ * Gets a fragment's timing, or null if it hasn't been recorded
+ */
+async function getFragmentTiming(videoId, fragmentNum) {
+    const manifest = await loadManifest(videoId);
+    const fragment = manifest.fragments[fragmentNum];
+    return fragment?.start !== undefined
+        ? { start: fragment.start, end: fragment.end, duration: fragment.duration }
+        : null;
+}
+
+/**
+ * Forgets the cached manifest (after its files were deleted)
+ */
+function dropManifest(videoId) {
+    manifests.delete(videoId);
+}
+
+export {
+    getManifest,
+    getSortedFragments,
+    setSegmentation,
+    recordFragmentTiming,
+    recordArtifact,
+    recordLanguageArtifacts,
+    getFragmentTiming,
+    dropManifest
+};
@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { resolveLanguage } from './languages.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+const GLOSSARY_FILE = path.join(BASE_TEMP_DIR, 'glossary.json');
+
+// Whisper only reads the last ~224 tokens of its prompt
+const MAX_ASR_PROMPT_LENGTH = 600;
+
+/*
+ * Glossary of domain terms ("Sudarshan Kriya", "sadhana", scripture and speaker names).
+ *
+ * Entry shape:
+ * {
+ *   id,
+ *   term,            // As it appears in English, e.g. "Sudarshan Kriya"
+ *   aliases,         // Other spellings or scripts it may appear in, e.g. ["सुदर्शन क्रिया"]
+ *   keep,            // true: keep the term as-is in every language without its own rendering
+ *   translations,    // Renderings by language code, e.g. { hi: "सुदर्शन क्रिया" }
+ *   notes,
+ *   createdAt, updatedAt
+ * }
+ */
+
+// In-memory copy of the glossary, loaded once and written back on every change
+let entries = null;
+let loadingPromise = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Loads the glossary from disk (only once per process)
+ */
+async function loadGlossary() {
+    if (entries) return entries;
+    if (!loadingPromise) {
+        loadingPromise = (async () => {
+            try {
+                entries = JSON.parse(await fs.readFile(GLOSSARY_FILE, 'utf-8'));
+                console.log(`✓ Loaded ${entries.length} glossary terms`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('❌ Error reading glossary, starting empty:', error.message);
+                }
+                entries = [];
+            }
+            return entries;
+        })();
+    }
+    return loadingPromise;
+}
+
+/**
+ * Writes the glossary to disk, queued and through a temp file + rename like the job store
+ */
+function persistGlossary() {
+    const snapshot = JSON.stringify(entries, null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            await fs.mkdir(BASE_TEMP_DIR, { recursive: true });
+            const tempPath = `${GLOSSARY_FILE}.tmp`;
+            await fs.writeFile(tempPath, snapshot);
+            await fs.rename(tempPath, GLOSSARY_FILE);
+        })
+        .catch(error => {
+            console.error('❌ Error writing glossary:', error.message);
+        });
+    return writeQueue;
+}
+
+/**
+ * Checks a glossary entry, returning an error message or null
+ */
+function validateGlossaryEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return 'Entry must be an object';
+    }
+    if (typeof entry.term !== 'string' || !entry.term.trim()) {
+        return 'term is required';
+    }
+    if (entry.aliases !== undefined && (!Array.isArray(entry.aliases) || entry.aliases.some(alias => typeof alias !== 'string'))) {
+        return 'aliases must be an array of strings';
+    }
+    if (entry.keep !== undefined && typeof entry.keep !== 'boolean') {
+        return 'keep must be true or false';
+    }
+    if (entry.translations !== undefined) {
+        if (typeof entry.translations !== 'object' || Array.isArray(entry.translations)) {
+            return 'translations must map language codes to renderings';
+        }
+        const unknown = Object.keys(entry.translations).filter(lang => !resolveLanguage(lang));
+        if (unknown.length) {
+            return `Unknown languages in translations: ${unknown.join(', ')}`;
+        }
+    }
+    if (!entry.keep && !Object.keys(entry.translations || {}).length) {
+        return 'Entry needs translations or keep: true';
+    }
+    return null;
+}
+
+/**
+ * Normalizes an entry's fields; translations are keyed by language code
+ */
+function normalizeEntry(entry) {
+    return {
+        term: entry.term.trim(),
+        aliases: (entry.aliases || []).map(alias => alias.trim()).filter(Boolean),
+        keep: Boolean(entry.keep),
+        translations: Object.fromEntries(Object.entries(entry.translations || {})
+            .map(([lang, rendering]) => [resolveLanguage(lang).code, String(rendering).trim()])),
+        notes: entry.notes || ''
+    };
+}
+
+function findByTerm(list, term) {
+    return list.find(entry => entry.term.toLowerCase() === term.trim().toLowerCase());
+}
+
+/**
+ * Lists all glossary entries
+ */
+async function listTerms() {
+    return structuredClone(await loadGlossary());
+}
+
+/**
+ * Gets an entry by ID
+ */
+async function getTerm(id) {
+    const entry = (await loadGlossary()).find(item => item.id === id);
+    return entry ? structuredClone(entry) : null;
+}
+
+/**
+ * Adds an entry. Throws if the term already exists.
+ */
+async function createTerm(data) {
+    const list = await loadGlossary();
+    if (findByTerm(list, data.term)) {
+        throw new Error(`Term already exists: ${data.term}`);
+    }
+
+    const now = new Date().toISOString();
+    const entry = { id: randomUUID(), ...normalizeEntry(data), createdAt: now, updatedAt: now };
+    list.push(entry);
+    await persistGlossary();
+    return structuredClone(entry);
+}
+
+/**
+ * Updates an entry's fields
+ * @returns {Promise<Object|null>} - Updated entry, or null if not found
+ */
+async function updateTerm(id, changes) {
+    const list = await loadGlossary();
+    const entry = list.find(item => item.id === id);
+    if (!entry) return null;
+
+    Object.assign(entry, normalizeEntry({ ...entry, ...changes }), { updatedAt: new Date().toISOString() });
+    await persistGlossary();
+    return structuredClone(entry);
+}
+
+/**
+ * Removes an entry
+ * @returns {Promise<boolean>} - Whether it existed
+ */
+async function deleteTerm(id) {
+    const list = await loadGlossary();
+    const index = list.findIndex(item => item.id === id);
+    if (index === -1) return false;
+
+    list.splice(index, 1);
+    await persistGlossary();
+    return true;
+}
+
+/**
+ * Imports entries: existing terms are updated, new ones added.
+ * With replace, the glossary is cleared first.
+ * @returns {Promise<Object>} - { added, updated, total }
+ */
+async function importTerms(data, { replace = false } = {}) {
+    const list = await loadGlossary();
+    if (replace) list.length = 0;
+
+    const now = new Date().toISOString();
+    let added = 0;
+    let updated = 0;
+    for (const item of data) {
+        const existing = findByTerm(list, item.term);
+        if (existing) {
+            Object.assign(existing, normalizeEntry({ ...existing, ...item }), { updatedAt: now });
+            updated++;
+        } else {
+            list.push({ id: randomUUID(), ...normalizeEntry(item), createdAt: now, updatedAt: now });
+            added++;
+        }
+    }
+
+    await persistGlossary();
+    return { added, updated, total: list.length };
+}
+
+/**
+ * Whether a phrase occurs in text as a whole word/phrase (case-insensitive)
+ */
+function containsPhrase(text, phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(text);
+}
+
+/**
+ * What a term should become in a language: its own rendering, the term itself when
+ * marked keep, or null when the glossary doesn't say
+ */
+function getRendering(entry, language) {
+    return entry.translations[language.code] || (entry.keep || language.code === 'en' ? entry.term : null);
+}
+
+/**
+ * Glossary entries that occur in a text, with how each should be rendered in a language
+ * @param {string} text - Text about to be translated
+ * @param {Object} language - Target language registry entry
+ * @returns {Promise<Array>} - [{ term, rendering }]
+ */
+async function getGlossaryForText(text, language) {
+    const list = await loadGlossary();
+    return list
+        .filter(entry => [entry.term, ...entry.aliases].some(phrase => containsPhrase(text, phrase)))
+        .map(entry => ({ term: entry.term, rendering: getRendering(entry, language) }))
+        .filter(item => item.rendering);
+}
+
+/**
+ * Terms to bias speech recognition towards: Google phrase hints, and a Whisper prompt
+ * listing the terms (Whisper copies spellings it sees in the prompt)
+ * @returns {Promise<Object>} - { phrases, prompt }
+ */
+async function getAsrHints() {
+    const list = await loadGlossary();
+    const phrases = [...new Set(list.flatMap(entry => [entry.term, ...entry.aliases]))];
+
+    let prompt = '';
+    for (const phrase of phrases) {
+        const next = prompt ? `${prompt}, ${phrase}` : phrase;
+        if (next.length > MAX_ASR_PROMPT_LENGTH) break;
+        prompt = next;
+    }
+    return { phrases, prompt };
+}
+
+/**
+ * Finds glossary terms that weren't rendered as the glossary says
+ * @param {string} sourceText - Text that was translated
+ * @param {string} translatedText - Its translation
+ * @param {Object} language - Target language registry entry
+ * @returns {Promise<Array>} - [{ term, expected }] for each mistranslated term
+ */
+async function checkTranslation(sourceText, translatedText, language) {
+    if (!sourceText || !translatedText) return [];
+
+    // A plain substring check: Indic languages often attach suffixes to the rendering
+    const translated = translatedText.toLowerCase();
+    const expected = await getGlossaryForText(sourceText, language);
+    return expected.filter(({ rendering }) => !translated.includes(rendering.toLowerCase()))
+        .map(({ term, rendering }) => ({ term, expected: rendering }));
+}
+
+export {
+    validateGlossaryEntry,
+    listTerms,
+    getTerm,
+    createTerm,
+    updateTerm,
+    deleteTerm,
+    importTerms,
+    getGlossaryForText,
+    getAsrHints,
+    checkTranslation
+};
@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { getJob, FINISHED_STATUSES } from './jobStore.js';
+import { getManifest, getSortedFragments, recordLanguageArtifacts } from './fragmentManifest.js';
+
+const execAsync = promisify(exec);
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+/*
+ * Continuous HLS output of the dubbed audio, one playlist per language, so any HLS player can
+ * play the translated stream without gaps between fragments.
+ *
+ * Every dubbed fragment is encoded to an AAC segment in MPEG-TS, timestamped to carry on from
+ * the fragment before it, and recorded under hlsSegments in the manifest. The playlist is
+ * written to temp_files/<videoId>/HLS/<language>/playlist.m3u8 after each segment:
+ * - live jobs: a sliding window of the last HLS_LIVE_WINDOW segments (default 6)
+ * - other jobs: every segment so far (EVENT), and a complete VOD playlist once the audio
+ *   stage is done
+ * Either ends with #EXT-X-ENDLIST once the job has completed or was stopped. A fragment that
+ * never got dubbed leaves a discontinuity instead of a gap in the timeline.
+ *
+ * HLS_AUDIO_BITRATE sets the segment bitrate (default 128k).
+ */
+
+const PLAYLIST_NAME = 'playlist.m3u8';
+
+function getLiveWindow() {
+    const value = parseInt(process.env.HLS_LIVE_WINDOW);
+    return Number.isFinite(value) && value > 0 ? value : 6;
+}
+
+/**
+ * Gets the folder holding a language's playlist and segments
+ */
+function getHlsDir(videoId, language) {
+    return path.join(BASE_TEMP_DIR, videoId, 'HLS', language);
+}
+
+/**
+ * Lists a language's segments in playback order, from the manifest
+ * @returns {Object[]} - [{ fragment, file, duration, offset }]
+ */
+function listSegments(manifest, language) {
+    return getSortedFragments(manifest)
+        .filter(fragment => fragment.hlsSegments?.[language])
+        .map(fragment => ({ fragment: fragment.fragment, ...fragment.hlsSegments[language] }));
+}
+
+/**
+ * Encodes a dubbed fragment into a language's HLS segment and rewrites its playlist
+ * @param {string} mp3Path - The dubbed fragment
+ * @param {number|null} duration - Its duration in seconds
+ * @returns {Promise<Object|null>} - The recorded segment, or null if encoding failed
+ */
+async function addSegment(videoId, language, fragmentNum, mp3Path, duration) {
+    if (!duration) {
+        console.log(`⚠️ No duration for ${language} fragment ${fragmentNum}, leaving it out of the HLS playlist`);
+        return null;
+    }
+
+    // Carry on from the previous segment so the stream has no gaps; a new run starts at the
+    // fragment's place in the source
+    const manifest = await getManifest(videoId);
+    const previous = manifest.fragments[fragmentNum - 1]?.hlsSegments?.[language];
+    const offset = previous
+        ? Number((previous.offset + previous.duration).toFixed(3))
+        : manifest.fragments[fragmentNum]?.start ?? 0;
+
+    const hlsDir = getHlsDir(videoId, language);
+    const segmentName = `segment-${fragmentNum}.ts`;
+    const bitrate = process.env.HLS_AUDIO_BITRATE || '128k';
+    try {
+        await fs.mkdir(hlsDir, { recursive: true });
+        await execAsync(`ffmpeg -i "${mp3Path}" -vn -codec:a aac -b:a ${bitrate} -ar 48000 -output_ts_offset ${offset} -f mpegts "${path.join(hlsDir, segmentName)}" -y`);
+    } catch (error) {
+        console.error(`❌ Error encoding HLS segment for ${language} fragment ${fragmentNum}:`, error.message);
+        return null;
+    }
+
+    const segment = {
+        file: path.join('HLS', language, segmentName),
+        duration,
+        offset
+    };
+    await recordLanguageArtifacts(videoId, fragmentNum, 'hlsSegments', { [language]: segment });
+    await writePlaylist(videoId, language);
+    console.log(`📺 Added ${language} fragment ${fragmentNum} to its HLS playlist`);
+    return segment;
+}
+
+/**
+ * Builds a language's playlist from the manifest and the job's state
+ * @returns {Promise<string|null>} - The m3u8 text, or null if the language has no segments yet
+ */
+async function buildPlaylist(videoId, language) {
+    const job = await getJob(videoId);
+    const segments = listSegments(await getManifest(videoId), language);
+    if (!segments.length) return null;
+
+    const audioDone = job?.stages.audio.status === 'completed';
+    const ended = audioDone || FINISHED_STATUSES.has(job?.status) || job?.status === 'stopped';
+    const isLive = Boolean(job?.isLive);
+
+    // Where each segment follows a fragment that never got dubbed
+    const discontinuities = segments.map((segment, index) =>
+        index > 0 && segment.fragment !== segments[index - 1].fragment + 1);
+
+    const first = isLive ? Math.max(0, segments.length - getLiveWindow()) : 0;
+    const shown = segments.slice(first);
+    // The target duration must not change while the playlist grows, so it covers every segment
+    const targetDuration = Math.ceil(Math.max(...segments.map(segment => segment.duration)));
+
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${targetDuration}`,
+        `#EXT-X-MEDIA-SEQUENCE:${first}`
+    ];
+    if (isLive) {
+        lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${discontinuities.slice(0, first + 1).filter(Boolean).length}`);
+    } else {
+        lines.push(`#EXT-X-PLAYLIST-TYPE:${audioDone ? 'VOD' : 'EVENT'}`);
+    }
+    shown.forEach((segment, index) => {
+        if (index > 0 && discontinuities[first + index]) {
+            lines.push('#EXT-X-DISCONTINUITY');
+        }
+        lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, path.basename(segment.file));
+    });
+    if (ended) {
+        lines.push('#EXT-X-ENDLIST');
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Writes a language's playlist next to its segments (temp file + rename, so players never
+ * read half a playlist)
+ */
+async function writePlaylist(videoId, language) {
+    const playlist = await buildPlaylist(videoId, language);
+    if (!playlist) return;
+
+    const playlistPath = path.join(getHlsDir(videoId, language), PLAYLIST_NAME);
+    await fs.writeFile(`${playlistPath}.tmp`, playlist);
+    await fs.rename(`${playlistPath}.tmp`, playlistPath);
+}
+
+/**
+ * Gets the HLS state of each language that has segments
+ * @returns {Promise<Object>} - { [language]: { segments, duration, playlist } }
+ */
+async function getHlsStatus(videoId, languages) {
+    const manifest = await getManifest(videoId);
+    const status = {};
+    for (const language of languages) {
+        const segments = listSegments(manifest, language);
+        if (!segments.length) continue;
+        status[language] = {
+            segments: segments.length,
+            duration: Number(segments.reduce((sum, segment) => sum + segment.duration, 0).toFixed(3)),
+            playlist: `/api/hls/${videoId}/${encodeURIComponent(language)}/${PLAYLIST_NAME}`
+        };
+    }
+    return status;
+}
+
+export { addSegment, buildPlaylist, writePlaylist, getHlsDir, getHlsStatus };
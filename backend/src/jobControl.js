@@ -0,0 +1,111 @@
+import { stopExtraction } from './audioExtractor.js';
+import { releaseAudioSyncManager } from './audioIntegrator.js';
+import { pipeline } from './pipelineOrchestrator.js';
+import { getJob, updateJob, updateStage } from './jobStore.js';
+import { resumeJob } from './jobRecovery.js';
+import { usageEvents } from './usageLedger.js';
+import { writePlaylist } from './hlsPlaylist.js';
+import { getJobLanguages } from './languages.js';
+
+/**
+ * Halts everything running for a video: kills the yt-dlp/ffmpeg processes,
+ * drops queued pipeline work and halts the audio generation loop.
+ * Fragments already being transcribed or translated are left to finish.
+ */
+function haltProcessing(videoId) {
+    const extractionStopped = stopExtraction(videoId);
+    pipeline.detach(videoId);
+    releaseAudioSyncManager(videoId);
+    return extractionStopped;
+}
+
+/**
+ * Halts a job and records why, so it isn't resumed on the next boot
+ * @param {string} id - Job ID
+ * @param {string} control - 'paused' or 'stopped'
+ */
+async function haltJob(id, control) {
+    haltProcessing(id);
+
+    const job = await getJob(id);
+    const extractionStatus = job.stages.extraction.status;
+    if (extractionStatus === 'running' || extractionStatus === 'paused') {
+        await updateStage(id, 'extraction', { status: control });
+    }
+
+    console.log(`${control === 'paused' ? '⏸️' : '⏹️'} Job ${id} ${control}`);
+    const updated = await updateJob(id, { control });
+
+    // A stopped job's HLS playlists won't grow any more
+    if (control === 'stopped') {
+        for (const lang of getJobLanguages(updated.options).audio) {
+            await writePlaylist(id, lang.name);
+        }
+    }
+    return updated;
+}
+
+/**
+ * Pauses a job; it can be picked up again with resumePausedJob
+ */
+async function pauseJob(id) {
+    return haltJob(id, 'paused');
+}
+
+/**
+ * Stops a job for good. Starting it again goes through POST /api/jobs.
+ */
+async function stopJob(id) {
+    return haltJob(id, 'stopped');
+}
+
+/**
+ * Resumes a paused job where it left off
+ */
+async function resumePausedJob(id) {
+    const job = await getJob(id);
+    if (job.stages.extraction.status === 'paused') {
+        await updateStage(id, 'extraction', { status: 'running' });
+    }
+
+    const resumed = await updateJob(id, { control: null, budgetAlert: null });
+    await resumeJob(resumed);
+    return resumed;
+}
+
+/**
+ * Pauses a job that reached its budget and raises the alert: on the job record (shown in
+ * the UI), in the log, and to BUDGET_ALERT_WEBHOOK_URL when it is set
+ */
+async function handleBudgetExceeded({ videoId, spent, budget }) {
+    const alert = { spent, budget, at: new Date().toISOString() };
+    console.warn(`💸 Job ${videoId} reached its budget ($${spent.toFixed(4)} of $${budget}), pausing`);
+    const job = await getJob(videoId);
+    if (job.status === 'running' || job.status === 'pending') {
+        await pauseJob(videoId);
+    }
+    await updateJob(videoId, { budgetAlert: alert });
+
+    if (process.env.BUDGET_ALERT_WEBHOOK_URL) {
+        try {
+            const response = await fetch(process.env.BUDGET_ALERT_WEBHOOK_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ event: 'budgetExceeded', videoId, ...alert })
+            });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('❌ Error sending budget alert:', error.message);
+        }
+    }
+}
+
+usageEvents.on('budgetExceeded', event => {
+    handleBudgetExceeded(event).catch(error => {
+        console.error(`❌ Error pausing ${event.videoId} at its budget:`, error);
+    });
+});
+
+export { haltProcessing, pauseJob, stopJob, resumePausedJob };
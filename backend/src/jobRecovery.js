@@ -0,0 +1,213 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { extractAudio } from './audioExtractor.js';
+import { pipeline } from './pipelineOrchestrator.js';
+import { getJobLanguages } from './languages.js';
+import { createJob, getJob, listJobs, updateStage, getCompletedFragments, FINISHED_STATUSES } from './jobStore.js';
+import { setSegmentation, recordFragmentTiming, recordArtifact, recordLanguageArtifacts } from './fragmentManifest.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+/**
+ * Lists fragment numbers for files like fragment-N.<ext> in a directory
+ */
+async function listFragmentNumbers(dirPath, extension) {
+    const files = await fs.readdir(dirPath).catch(() => []);
+    return files
+        .map(file => file.match(new RegExp(`^fragment-(\\d+)\\.${extension}$`))?.[1])
+        .filter(Boolean)
+        .map(num => parseInt(num));
+}
+
+/**
+ * Builds a stage's fragment records from the numbers found on disk
+ */
+function toFragmentRecords(fragmentNums, detailsFor = () => ({})) {
+    const now = new Date().toISOString();
+    return Object.fromEntries(fragmentNums.map(num => [num, {
+        ...detailsFor(num),
+        status: 'completed',
+        updatedAt: now
+    }]));
+}
+
+/**
+ * Creates a job record for a video processed before the job store existed,
+ * based on the files already in its temp_files folder
+ */
+async function importLegacyJob(videoId) {
+    const videoDir = path.join(BASE_TEMP_DIR, videoId);
+    const details = JSON.parse(await fs.readFile(path.join(videoDir, 'ytVideoDetails.json'), 'utf-8'));
+    const isLive = Boolean(details.isLiveContent ?? details.is_live);
+
+    console.log(`📥 Importing existing video ${videoId} into the job store`);
+    const job = await createJob({
+        id: videoId,
+        sourceUrl: details.webpage_url || `https://www.youtube.com/watch?v=${videoId}`,
+        isLive,
+        liveStreamChoice: isLive ? 'current' : null
+    });
+
+    // Extraction: completed only if the old status file says so
+    const extracted = await listFragmentNumbers(path.join(videoDir, 'ExtractedAudio', 'FinalExtracted'), 'wav');
+    const oldStatus = await fs.readFile(path.join(videoDir, 'ExtractedAudio', 'PreProcessing', 'status.json'), 'utf-8')
+        .then(JSON.parse)
+        .catch(() => null);
+    const extractionDone = !isLive && oldStatus?.status === 'completed';
+    await updateStage(videoId, 'extraction', {
+        status: extracted.length === 0 ? 'pending' : (extractionDone ? 'completed' : 'running'),
+        totalFragments: extractionDone ? extracted.length : null,
+        fragments: toFragmentRecords(extracted, num => ({ file: `fragment-${num}.wav` }))
+    });
+
+    const transcribed = await listFragmentNumbers(path.join(videoDir, 'ExtractedText'), 'json');
+    await updateStage(videoId, 'transcription', {
+        fragments: toFragmentRecords(transcribed, num => ({ file: `fragment-${num}.json` }))
+    });
+
+    // Translation: English is always written, so use it as the reference
+    const translationsDir = path.join(videoDir, 'FinalTranslatedText');
+    const languageDirs = await fs.readdir(translationsDir).catch(() => []);
+    const translatedByLanguage = {};
+    for (const lang of languageDirs) {
+        translatedByLanguage[lang] = new Set(await listFragmentNumbers(path.join(translationsDir, lang), 'json'));
+    }
+    const translated = [...(translatedByLanguage.English || [])];
+    await updateStage(videoId, 'translation', {
+        fragments: toFragmentRecords(translated, num => ({
+            file: `fragment-${num}.json`,
+            languages: languageDirs.filter(lang => translatedByLanguage[lang].has(num))
+        }))
+    });
+
+    // Audio: a fragment is done once every audio language has its MP3
+    const audioLanguages = getJobLanguages(job.options).audio.map(lang => lang.name);
+    const audioByLanguage = {};
+    for (const lang of audioLanguages) {
+        audioByLanguage[lang] = new Set(await listFragmentNumbers(path.join(videoDir, 'FinalTranslatedAudio', lang), 'mp3'));
+    }
+    const voiced = translated.filter(num => audioLanguages.every(lang => audioByLanguage[lang].has(num)));
+    await updateStage(videoId, 'audio', {
+        fragments: toFragmentRecords(voiced, () => ({ languages: audioLanguages }))
+    });
+
+    await importLegacyManifest(videoId, { extracted, transcribed, translatedByLanguage, audioByLanguage });
+    return getJob(videoId);
+}
+
+/**
+ * Builds the manifest for an imported video. Fragments were always 20 seconds back then.
+ */
+async function importLegacyManifest(videoId, { extracted, transcribed, translatedByLanguage, audioByLanguage }) {
+    const videoDir = path.join(BASE_TEMP_DIR, videoId);
+    await setSegmentation(videoId, { mode: 'fixed' });
+
+    for (const num of extracted) {
+        const file = path.join('ExtractedAudio', 'FinalExtracted', `fragment-${num}.wav`);
+        const { size } = await fs.stat(path.join(videoDir, file));
+        // 16 kHz mono 16-bit WAV: 32000 bytes per second after the 44-byte header
+        await recordFragmentTiming(videoId, num, { start: num * 20, end: num * 20 + (size - 44) / 32000, file });
+    }
+
+    for (const num of transcribed) {
+        await recordArtifact(videoId, num, 'transcription', { file: path.join('ExtractedText', `fragment-${num}.json`) });
+    }
+
+    const fragmentNums = new Set([
+        ...Object.values(translatedByLanguage).flatMap(nums => [...nums]),
+        ...Object.values(audioByLanguage).flatMap(nums => [...nums])
+    ]);
+    for (const num of fragmentNums) {
+        const languagesWith = (byLanguage) => Object.keys(byLanguage).filter(lang => byLanguage[lang].has(num));
+        const translations = languagesWith(translatedByLanguage);
+        const dubbed = languagesWith(audioByLanguage);
+
+        if (translations.length) {
+            await recordLanguageArtifacts(videoId, num, 'translations', Object.fromEntries(translations.map(lang =>
+                [lang, { file: path.join('FinalTranslatedText', lang, `fragment-${num}.json`) }])));
+        }
+        if (dubbed.length) {
+            await recordLanguageArtifacts(videoId, num, 'dubbedAudio', Object.fromEntries(dubbed.map(lang =>
+                [lang, { file: path.join('FinalTranslatedAudio', lang, `fragment-${num}.mp3`), duration: null }])));
+        }
+    }
+}
+
+/**
+ * Imports any temp_files folder that has video details but no job record yet
+ */
+async function importLegacyJobs() {
+    const entries = await fs.readdir(BASE_TEMP_DIR, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        if (!entry.isDirectory() || await getJob(entry.name)) continue;
+
+        try {
+            await fs.access(path.join(BASE_TEMP_DIR, entry.name, 'ytVideoDetails.json'));
+        } catch {
+            continue;
+        }
+
+        try {
+            await importLegacyJob(entry.name);
+        } catch (error) {
+            console.error(`❌ Failed to import ${entry.name}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Restarts the stages a job still needs. Extraction picks up after the last
+ * extracted fragment; the orchestrator re-queues everything downstream.
+ */
+async function resumeJob(job) {
+    console.log(`🔁 Resuming job ${job.id} (${job.isLive ? 'live' : 'regular video'})`);
+    await pipeline.attach(job.id);
+
+    const extraction = job.stages.extraction;
+    if (extraction.status === 'completed') {
+        // The last fragment may still have to be translated again with its carried-over sentence
+        pipeline.extractionCompleted(job.id);
+    }
+    if (extraction.status !== 'running' && extraction.status !== 'pending') {
+        return;
+    }
+
+    const extracted = getCompletedFragments(job, 'extraction');
+    const startFragment = extracted.length ? extracted[extracted.length - 1] + 1 : 0;
+
+    // Live streams always rejoin at the current point; what was missed while down is gone
+    const liveStreamChoice = job.isLive ? 'current' : job.liveStreamChoice;
+    extractAudio(job.sourceUrl, job.id, job.isLive, liveStreamChoice, { startFragment })
+        .catch(error => console.error(`❌ Failed to resume extraction for ${job.id}:`, error.message));
+}
+
+/**
+ * Finds every unfinished job and resumes it, unless the job opted out
+ * with options.autoResume = false or was paused/stopped by the user
+ */
+async function resumeUnfinishedJobs() {
+    await importLegacyJobs();
+
+    const jobs = await listJobs();
+    const unfinished = jobs.filter(job => !FINISHED_STATUSES.has(job.status));
+    console.log(`\n=== Resuming ${unfinished.length} unfinished jobs ===`);
+
+    for (const job of unfinished) {
+        if (job.options?.autoResume === false) {
+            console.log(`⏭️ Skipping ${job.id}: auto-resume is turned off`);
+            continue;
+        }
+        if (job.status === 'paused' || job.status === 'stopped') {
+            console.log(`⏭️ Skipping ${job.id}: job is ${job.status}`);
+            continue;
+        }
+
+        try {
+            await resumeJob(job);
+        } catch (error) {
+            console.error(`❌ Failed to resume ${job.id}:`, error.message);
+        }
+    }
+}
+
+export { resumeUnfinishedJobs, resumeJob };
@@ -0,0 +1,395 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+const JOBS_FILE = path.join(BASE_TEMP_DIR, 'jobs.json');
+const MAX_ERRORS_PER_JOB = 50;
+
+// Pipeline stages in processing order
+const STAGES = ['extraction', 'transcription', 'translation', 'audio', 'mixing'];
+
+// Fragment states that end a fragment's run through a stage without it fully succeeding
+const FAILED_STATUSES = new Set(['error', 'translation_failed']);
+
+// Job states that are final: the job won't be resumed on startup
+const FINISHED_STATUSES = new Set(['completed', 'completed_with_errors']);
+
+// In-memory copy of the store, loaded once and written back on every change
+let jobs = null;
+let loadingPromise = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Creates an empty stage record
+ */
+function createStageState() {
+    return {
+        status: 'pending',
+        fragments: {},
+        totalFragments: null,
+        startedAt: null,
+        updatedAt: null,
+        completedAt: null,
+        error: null
+    };
+}
+
+/**
+ * Loads the job store from disk (only once per process)
+ */
+async function loadJobs() {
+    if (jobs) return jobs;
+    if (!loadingPromise) {
+        loadingPromise = (async () => {
+            try {
+                const content = await fs.readFile(JOBS_FILE, 'utf-8');
+                jobs = new Map(Object.entries(JSON.parse(content)));
+                // Jobs from before a stage was added get an empty record for it
+                for (const job of jobs.values()) {
+                    for (const stage of STAGES) {
+                        job.stages[stage] = job.stages[stage] || createStageState();
+                    }
+                }
+                console.log(`✓ Loaded ${jobs.size} jobs from ${JOBS_FILE}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('❌ Error reading job store, starting empty:', error.message);
+                }
+                jobs = new Map();
+            }
+            return jobs;
+        })();
+    }
+    return loadingPromise;
+}
+
+/**
+ * Writes the job store to disk. Writes are queued so they never interleave,
+ * and each one goes through a temp file + rename so a crash can't leave
+ * a half-written store behind.
+ */
+function persistJobs() {
+    const snapshot = JSON.stringify(Object.fromEntries(jobs), null, 2);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            await fs.mkdir(BASE_TEMP_DIR, { recursive: true });
+            const tempPath = `${JOBS_FILE}.tmp`;
+            await fs.writeFile(tempPath, snapshot);
+            await fs.rename(tempPath, JOBS_FILE);
+        })
+        .catch(error => {
+            console.error('❌ Error writing job store:', error.message);
+        });
+    return writeQueue;
+}
+
+/**
+ * Returns a copy so callers can't mutate the store behind our back
+ */
+function cloneJob(job) {
+    return job ? structuredClone(job) : null;
+}
+
+/**
+ * Marks a stage completed once every extracted fragment has settled in it: completed,
+ * failed there, or failed in an earlier stage (so it will never arrive)
+ */
+function refreshStageCompletion(job) {
+    const extraction = job.stages.extraction;
+    if (extraction.status !== 'completed') return;
+
+    const total = extraction.totalFragments ?? getCompletedFragments(job, 'extraction').length;
+    // Fragments that failed a stage outright; translation_failed ones carry on
+    const dropped = new Set();
+    for (const stage of STAGES) {
+        const state = job.stages[stage];
+        const fragments = Object.entries(state.fragments);
+        if (stage !== 'extraction' && state.status !== 'completed' && state.status !== 'error') {
+            const settled = new Set(dropped);
+            fragments
+                .filter(([, fragment]) => fragment.status === 'completed' || FAILED_STATUSES.has(fragment.status))
+                .forEach(([num]) => settled.add(parseInt(num)));
+            if (settled.size >= total) {
+                state.status = 'completed';
+                state.completedAt = new Date().toISOString();
+            }
+        }
+        fragments
+            .filter(([, fragment]) => fragment.status === 'error')
+            .forEach(([num]) => dropped.add(parseInt(num)));
+    }
+}
+
+/**
+ * Checks whether any fragment failed a stage (or some of its languages)
+ */
+function hasFailedFragments(job) {
+    return STAGES.some(stage => Object.values(job.stages[stage].fragments)
+        .some(fragment => FAILED_STATUSES.has(fragment.status)));
+}
+
+/**
+ * Derives the overall job status from its stages. A job paused or stopped
+ * by the user keeps that status until it finishes or is resumed.
+ */
+function refreshJobStatus(job) {
+    const states = STAGES.map(stage => job.stages[stage].status);
+    if (job.control && !states.every(status => status === 'completed')) {
+        job.status = job.control;
+    } else if (job.stages.extraction.status === 'error') {
+        job.status = 'error';
+    } else if (states.every(status => status === 'completed')) {
+        job.status = hasFailedFragments(job) ? 'completed_with_errors' : 'completed';
+    } else if (states.some(status => status !== 'pending')) {
+        job.status = 'running';
+    } else {
+        job.status = 'pending';
+    }
+}
+
+/**
+ * Applies a mutation to a job and persists the result
+ */
+async function mutateJob(id, mutate) {
+    await loadJobs();
+    const job = jobs.get(id);
+    if (!job) {
+        throw new Error(`Job not found: ${id}`);
+    }
+
+    mutate(job);
+    job.updatedAt = new Date().toISOString();
+    refreshStageCompletion(job);
+    refreshJobStatus(job);
+
+    await persistJobs();
+    return cloneJob(job);
+}
+
+/**
+ * Creates a job for a video, or returns the existing one updated with the new request
+ */
+async function createJob({ id, sourceUrl, isLive = false, liveStreamChoice = null, options = {} }) {
+    await loadJobs();
+    const now = new Date().toISOString();
+
+    if (jobs.has(id)) {
+        return mutateJob(id, job => {
+            job.sourceUrl = sourceUrl || job.sourceUrl;
+            job.isLive = isLive;
+            job.liveStreamChoice = liveStreamChoice ?? job.liveStreamChoice;
+            job.options = { ...job.options, ...options };
+            // A new request starts the job again
+            job.control = null;
+        });
+    }
+
+    const job = {
+        id,
+        sourceUrl,
+        isLive,
+        liveStreamChoice,
+        options,
+        status: 'pending',
+        // 'paused' or 'stopped' when the user halted the job
+        control: null,
+        stages: Object.fromEntries(STAGES.map(stage => [stage, createStageState()])),
+        errors: [],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(id, job);
+    await persistJobs();
+    return cloneJob(job);
+}
+
+/**
+ * Gets a single job
+ */
+async function getJob(id) {
+    await loadJobs();
+    return cloneJob(jobs.get(id));
+}
+
+/**
+ * Lists all jobs, newest first
+ */
+async function listJobs() {
+    await loadJobs();
+    return [...jobs.values()]
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(cloneJob);
+}
+
+/**
+ * Updates top-level job fields (options are merged, not replaced)
+ */
+async function updateJob(id, patch) {
+    return mutateJob(id, job => {
+        const { options, ...rest } = patch;
+        Object.assign(job, rest);
+        if (options) {
+            job.options = { ...job.options, ...options };
+        }
+    });
+}
+
+/**
+ * Updates the state of one stage
+ */
+async function updateStage(id, stage, patch) {
+    return mutateJob(id, job => {
+        const state = job.stages[stage];
+        const now = new Date().toISOString();
+
+        Object.assign(state, patch);
+        state.updatedAt = now;
+        if (patch.status === 'running' && !state.startedAt) {
+            state.startedAt = now;
+        }
+        if (patch.status === 'completed') {
+            state.completedAt = now;
+        }
+    });
+}
+
+/**
+ * Records progress of a single fragment within a stage
+ * @param {string} id - Job ID
+ * @param {string} stage - One of STAGES
+ * @param {number} fragmentNum - Fragment number
+ * @param {string} status - 'completed', 'in_progress' or 'error'; translation also has 'translation_failed'
+ *                          (some languages failed, the others carry on)
+ * @param {Object} details - Extra data to keep with the fragment record
+ */
+async function markFragment(id, stage, fragmentNum, status = 'completed', details = {}) {
+    return mutateJob(id, job => {
+        const state = job.stages[stage];
+        const now = new Date().toISOString();
+
+        state.fragments[fragmentNum] = {
+            ...state.fragments[fragmentNum],
+            ...details,
+            status,
+            updatedAt: now
+        };
+        state.updatedAt = now;
+        if (state.status === 'pending') {
+            state.status = 'running';
+            state.startedAt = now;
+        }
+
+        if (status === 'error' || status === 'translation_failed') {
+            pushError(job, stage, details.error, fragmentNum);
+        }
+    });
+}
+
+/**
+ * Puts a fragment back to pending in a stage so it is processed again, reopening the
+ * stage if it had already completed
+ * @param {Object} details - Extra data to keep with the fragment record
+ */
+async function reopenFragment(id, stage, fragmentNum, details = {}) {
+    return mutateJob(id, job => {
+        const state = job.stages[stage];
+        const now = new Date().toISOString();
+
+        state.fragments[fragmentNum] = {
+            ...state.fragments[fragmentNum],
+            ...details,
+            status: 'pending',
+            updatedAt: now
+        };
+        state.updatedAt = now;
+        if (state.status === 'completed') {
+            state.status = 'running';
+            state.completedAt = null;
+        }
+    });
+}
+
+/**
+ * Creates or updates one of a job's video exports (see videoExporter.js)
+ */
+async function updateExport(id, exportId, patch) {
+    return mutateJob(id, job => {
+        const now = new Date().toISOString();
+        job.exports = job.exports || [];
+        const existing = job.exports.find(item => item.id === exportId);
+        if (existing) {
+            Object.assign(existing, patch, { updatedAt: now });
+        } else {
+            job.exports.push({ id: exportId, ...patch, createdAt: now, updatedAt: now });
+        }
+    });
+}
+
+/**
+ * Records a stage-level error
+ */
+async function recordError(id, stage, error, fragmentNum = null) {
+    return mutateJob(id, job => {
+        pushError(job, stage, error?.message || error, fragmentNum);
+    });
+}
+
+function pushError(job, stage, message, fragmentNum) {
+    job.errors.push({
+        stage,
+        fragment: fragmentNum,
+        message: message || 'Unknown error',
+        timestamp: new Date().toISOString()
+    });
+    if (job.errors.length > MAX_ERRORS_PER_JOB) {
+        job.errors = job.errors.slice(-MAX_ERRORS_PER_JOB);
+    }
+}
+
+/**
+ * Deletes a job record
+ */
+async function deleteJob(id) {
+    await loadJobs();
+    const existed = jobs.delete(id);
+    if (existed) {
+        await persistJobs();
+    }
+    return existed;
+}
+
+/**
+ * Gets the sorted fragment numbers a stage has completed
+ */
+function getCompletedFragments(job, stage) {
+    return Object.entries(job?.stages?.[stage]?.fragments || {})
+        .filter(([, fragment]) => fragment.status === 'completed')
+        .map(([num]) => parseInt(num))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Checks whether a stage has completed a fragment
+ */
+function isFragmentCompleted(job, stage, fragmentNum) {
+    return job?.stages?.[stage]?.fragments?.[fragmentNum]?.status === 'completed';
+}
+
+export {
+    STAGES,
+    FINISHED_STATUSES,
+    createJob,
+    getJob,
+    listJobs,
+    updateJob,
+    updateStage,
+    markFragment,
+    reopenFragment,
+    updateExport,
+    recordError,
+    deleteJob,
+    getCompletedFragments,
+    isFragmentCompleted
+};
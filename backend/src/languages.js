@@ -0,0 +1,80 @@
+/**
+ * Languages the app knows about, with the codes each service expects.
+ * - code: ISO 639-1 (Whisper, our own JSON files)
+ * - code3: ISO 639-2 (language tags on the audio and subtitle tracks of exported videos)
+ * - name: English name, also used for folder names and manifest keys
+ * - googleCode: BCP-47 for Google Speech
+ * - script: writing system the translation is produced in
+ * - label: name shown in the UI
+ * - ttsProvider: TTS provider to speak it with (null = TTS_PROVIDER)
+ * - ttsVoice: voice for that provider, e.g. an ElevenLabs voice name or ID, an espeak-ng voice
+ *   or a Piper model path (null = the provider's default for the language)
+ * - text / audio: whether jobs translate to / dub it when they don't choose their own languages
+ */
+const LANGUAGES = [
+    { code: 'en', code3: 'eng', name: 'English', googleCode: 'en-IN', script: 'Latin', label: 'English', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'hi', code3: 'hin', name: 'Hindi', googleCode: 'hi-IN', script: 'Devanagari', label: 'Hindi (हिंदी)', ttsProvider: null, ttsVoice: null, text: true, audio: true },
+    { code: 'sa', code3: 'san', name: 'Sanskrit', googleCode: 'sa-IN', script: 'Devanagari', label: 'Sanskrit (संस्कृतम्)', ttsProvider: null, ttsVoice: null, text: true, audio: true },
+    { code: 'mr', code3: 'mar', name: 'Marathi', googleCode: 'mr-IN', script: 'Devanagari', label: 'Marathi (मराठी)', ttsProvider: null, ttsVoice: null, text: true, audio: true },
+    { code: 'kn', code3: 'kan', name: 'Kannada', googleCode: 'kn-IN', script: 'Kannada', label: 'Kannada (ಕನ್ನಡ)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'ta', code3: 'tam', name: 'Tamil', googleCode: 'ta-IN', script: 'Tamil', label: 'Tamil (தமிழ்)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'te', code3: 'tel', name: 'Telugu', googleCode: 'te-IN', script: 'Telugu', label: 'Telugu (తెలుగు)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'ml', code3: 'mal', name: 'Malayalam', googleCode: 'ml-IN', script: 'Malayalam', label: 'Malayalam (മലയാളം)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'gu', code3: 'guj', name: 'Gujarati', googleCode: 'gu-IN', script: 'Gujarati', label: 'Gujarati (ગુજરાતી)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'pa', code3: 'pan', name: 'Punjabi', googleCode: 'pa-Guru-IN', script: 'Gurmukhi', label: 'Punjabi (ਪੰਜਾਬੀ)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'fr', code3: 'fra', name: 'French', googleCode: 'fr-FR', script: 'Latin', label: 'French (Français)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'ru', code3: 'rus', name: 'Russian', googleCode: 'ru-RU', script: 'Cyrillic', label: 'Russian (Русский)', ttsProvider: null, ttsVoice: null, text: true, audio: false },
+    { code: 'es', code3: 'spa', name: 'Spanish', googleCode: 'es-ES', script: 'Latin', label: 'Spanish (Español)', ttsProvider: null, ttsVoice: null, text: true, audio: false }
+];
+
+/**
+ * Finds a language from a code or name in any of the forms providers return:
+ * 'hi', 'hi-IN', 'hi-in', 'hindi', 'Hindi'
+ * @returns {Object|null} - Language entry, or null if unknown
+ */
+function resolveLanguage(value) {
+    if (!value || typeof value !== 'string') return null;
+
+    const normalized = value.trim().toLowerCase();
+    const baseCode = normalized.split(/[-_]/)[0];
+    return LANGUAGES.find(lang =>
+        lang.code === baseCode ||
+        lang.name.toLowerCase() === normalized ||
+        lang.googleCode.toLowerCase() === normalized
+    ) || null;
+}
+
+/**
+ * Resolves a list of codes/names (an array or a comma-separated string), dropping unknown ones
+ */
+function resolveLanguageList(values) {
+    const list = typeof values === 'string' ? values.split(',') : values;
+    const resolved = list.map(resolveLanguage).filter(Boolean);
+    return resolved.filter((lang, index) => resolved.indexOf(lang) === index);
+}
+
+/**
+ * Gets the languages a job translates to and dubs.
+ * Job options (textLanguages / audioLanguages) win over the TEXT_LANGUAGES / AUDIO_LANGUAGES
+ * environment variables, which win over the registry defaults. Every audio language is
+ * also a text language, since dubbing starts from its translation.
+ * @returns {{ text: Object[], audio: Object[] }} - Language entries, in registry order
+ */
+function getJobLanguages(jobOptions = {}) {
+    const pick = (optionValue, envValue, flag) => {
+        if (optionValue?.length) return resolveLanguageList(optionValue);
+        if (envValue) return resolveLanguageList(envValue);
+        return LANGUAGES.filter(lang => lang[flag]);
+    };
+
+    const audio = pick(jobOptions.audioLanguages, process.env.AUDIO_LANGUAGES, 'audio');
+    const text = pick(jobOptions.textLanguages, process.env.TEXT_LANGUAGES, 'text');
+    const byRegistryOrder = (a, b) => LANGUAGES.indexOf(a) - LANGUAGES.indexOf(b);
+
+    return {
+        text: [...new Set([...text, ...audio])].sort(byRegistryOrder),
+        audio: audio.sort(byRegistryOrder)
+    };
+}
+
+export { LANGUAGES, resolveLanguage, getJobLanguages };
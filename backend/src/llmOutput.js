@@ -0,0 +1,289 @@
+/*
+ * Structured output from chat models.
+ *
+ * Translations come back as {"<Language name>": "text"} (one key per language when several are
+ * asked for at once). Providers ask for that shape with
+ * JSON mode, a JSON schema or a function call where the API supports it; whatever comes back
+ * is then parsed tolerantly: code fences and prose around the object are dropped and common
+ * slips (smart quotes, trailing commas, raw newlines in strings) are repaired before giving up.
+ */
+
+// How a provider asks for structured output
+const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object', 'function', 'none'];
+
+const TRANSLATION_FUNCTION = 'submit_translation';
+
+/**
+ * Thrown when a model's reply can't be turned into a translation. Not worth retrying:
+ * the same prompt tends to produce the same reply, and every retry is billed.
+ */
+class TranslationOutputError extends Error {
+    constructor(message, { raw = null, usage = null, provider = null, model = null } = {}) {
+        super(message);
+        this.name = 'TranslationOutputError';
+        this.code = 'translation_failed';
+        this.retryable = false;
+        this.raw = raw;
+        this.usage = usage;
+        this.provider = provider;
+        this.model = model;
+    }
+}
+
+/**
+ * JSON schema for a translation into one or more languages
+ */
+function buildTranslationSchema(keys) {
+    return {
+        type: 'object',
+        properties: Object.fromEntries(keys.map(key => [key, { type: 'string' }])),
+        required: keys,
+        additionalProperties: false
+    };
+}
+
+/**
+ * Extra request fields asking for structured output in the given mode
+ * @param {string|string[]} keys - Expected key, or keys for a batch
+ */
+function buildStructuredOutputRequest(mode, keys) {
+    const schema = buildTranslationSchema([].concat(keys));
+    switch (mode) {
+        case 'json_schema':
+            return { response_format: { type: 'json_schema', json_schema: { name: 'translation', strict: true, schema } } };
+        case 'json_object':
+            return { response_format: { type: 'json_object' } };
+        case 'function':
+            return {
+                tools: [{
+                    type: 'function',
+                    function: { name: TRANSLATION_FUNCTION, description: 'Submit the translation', parameters: schema }
+                }],
+                tool_choice: { type: 'function', function: { name: TRANSLATION_FUNCTION } }
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Gets the raw reply text from a chat completion message (function arguments in function mode)
+ */
+function getRawOutput(message, mode) {
+    if (mode === 'function') {
+        const call = message.tool_calls?.find(item => item.function?.name === TRANSLATION_FUNCTION);
+        if (call) return call.function.arguments;
+    }
+    return message.content || '';
+}
+
+/**
+ * Finds the first balanced {...} in text, skipping braces inside strings
+ */
+function extractObject(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+/**
+ * Fixes the slips models make most often in hand-written JSON
+ */
+function repairJson(text) {
+    let repaired = text
+        .replace(/[“”]/g, '"')
+        .replace(/,\s*([}\]])/g, '$1');
+
+    // Raw line breaks inside strings
+    repaired = repaired.replace(/"(?:[^"\\]|\\.)*"/gs, match => match.replace(/\r?\n/g, '\\n'));
+
+    // Single-quoted keys and values, when there are no double quotes at all
+    if (!repaired.includes('"')) {
+        repaired = repaired.replace(/'((?:[^'\\]|\\.)*)'/g, (match, inner) => JSON.stringify(inner));
+    }
+    return repaired;
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Gets a key's value from a parsed object, matching the key in any case
+ */
+function valueFor(parsed, key) {
+    const match = Object.keys(parsed).find(name => name.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : parsed[match];
+}
+
+/**
+ * Picks the translation out of a parsed object: the expected key (any case), or the only
+ * string value when the model used another key
+ */
+function pickTranslation(parsed, key) {
+    if (!isObject(parsed)) return null;
+
+    const value = valueFor(parsed, key);
+    if (value !== undefined) {
+        return typeof value === 'string' ? value : null;
+    }
+    const strings = Object.values(parsed).filter(value => typeof value === 'string');
+    return strings.length === 1 ? strings[0] : null;
+}
+
+/**
+ * Texts to try parsing, in order: the reply as-is, then the object inside fences or prose,
+ * then repaired versions of both. The flag says whether the text had to be changed.
+ */
+function parseCandidates(trimmed) {
+    const unfenced = trimmed.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const embedded = extractObject(unfenced);
+    return [
+        [trimmed, false],
+        [unfenced, true],
+        [embedded, true],
+        [repairJson(unfenced), true],
+        [embedded && repairJson(embedded), true]
+    ].filter(([candidate]) => candidate);
+}
+
+/**
+ * Finds a complete "Key": "value" pair anywhere in a reply, for replies that don't parse
+ * (e.g. cut off at max_tokens)
+ */
+function findPair(text, key) {
+    const unfenced = text.replace(/^```(?:json)?\s*/i, '');
+    const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pair = repairJson(unfenced).match(new RegExp(`"${escapedKey}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)"`, 'i'));
+    if (!pair) return null;
+    try {
+        return JSON.parse(`"${pair[1].replace(/\r?\n/g, '\\n')}"`).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Parses a model's reply into the translation for one language
+ * @param {string} raw - Reply text
+ * @param {string} key - Expected key, the target language name
+ * @returns {{ text: string, repaired: boolean }} - repaired is true when the reply wasn't clean JSON
+ * @throws {TranslationOutputError} - When no translation can be recovered
+ */
+function parseTranslationOutput(raw, key) {
+    const trimmed = (raw || '').trim();
+    if (!trimmed) {
+        throw new TranslationOutputError('Empty response from the model', { raw });
+    }
+
+    for (const [candidate, repaired] of parseCandidates(trimmed)) {
+        try {
+            const text = pickTranslation(JSON.parse(candidate), key);
+            if (text?.trim()) {
+                return { text: text.trim(), repaired };
+            }
+        } catch {
+            // Try the next candidate
+        }
+    }
+
+    // Last resort: a complete "Key": "value" pair anywhere in the reply
+    const text = findPair(trimmed, key);
+    if (text) return { text, repaired: true };
+
+    throw new TranslationOutputError(`Could not find a ${key} translation in the model's response`, { raw });
+}
+
+/**
+ * Checks one language's text from a batch: present, a non-empty string, and written in the
+ * language's script (a batch can put one language's text under another's key)
+ * @returns {string|null} - Why it's invalid, or null
+ */
+function checkBatchTranslation(value, script) {
+    if (value === undefined || value === null) return 'missing from the response';
+    if (typeof value !== 'string' || !value.trim()) return 'empty or not text';
+    if (script) {
+        let pattern = null;
+        try {
+            pattern = new RegExp(`\\p{Script=${script}}`, 'u');
+        } catch {
+            // Not a Unicode script name: nothing to check against
+        }
+        if (pattern && !pattern.test(value)) return `not written in ${script} script`;
+    }
+    return null;
+}
+
+/**
+ * Parses a model's reply to a batch request into a translation per language
+ * @param {string} raw - Reply text
+ * @param {Object[]} targets - [{ key, script }]: expected keys (language names) and scripts
+ * @returns {Object} - { translations: { [key]: text }, invalid: { [key]: reason }, repaired }
+ * @throws {TranslationOutputError} - When nothing at all can be recovered
+ */
+function parseBatchOutput(raw, targets) {
+    const trimmed = (raw || '').trim();
+    if (!trimmed) {
+        throw new TranslationOutputError('Empty response from the model', { raw });
+    }
+
+    let parsed = null;
+    let repaired = true;
+    for (const [candidate, changed] of parseCandidates(trimmed)) {
+        try {
+            const value = JSON.parse(candidate);
+            if (isObject(value)) {
+                parsed = value;
+                repaired = changed;
+                break;
+            }
+        } catch {
+            // Try the next candidate
+        }
+    }
+
+    const translations = {};
+    const invalid = {};
+    for (const { key, script } of targets) {
+        // Without an object, salvage whatever complete pairs there are
+        const value = parsed ? valueFor(parsed, key) : findPair(trimmed, key);
+        const reason = checkBatchTranslation(value, script);
+        if (reason) {
+            invalid[key] = reason;
+        } else {
+            translations[key] = value.trim();
+        }
+    }
+
+    if (!parsed && !Object.keys(translations).length) {
+        throw new TranslationOutputError('Could not find any translations in the model\'s response', { raw });
+    }
+    return { translations, invalid, repaired };
+}
+
+export {
+    STRUCTURED_OUTPUT_MODES,
+    TranslationOutputError,
+    buildStructuredOutputRequest,
+    getRawOutput,
+    parseTranslationOutput,
+    parseBatchOutput
+};
@@ -0,0 +1,178 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+
+const execAsync = promisify(exec);
+
+/*
+ * Loudness normalization of generated speech (EBU R128, ffmpeg loudnorm), so loudness doesn't
+ * jump between voices, languages and fragments. Each dubbed MP3 is normalized after its
+ * duration fit, so the recorded measurement is of the file that is served.
+ *
+ * Fragments long enough for an integrated measurement are normalized in two passes: the
+ * first measures the fragment, the second applies a linear gain from that measurement.
+ * Shorter ones get loudnorm's single-pass dynamic mode.
+ *
+ * Settings come from the LOUDNESS_* environment variables, overridden by a job's
+ * options.loudness:
+ * {
+ *   enabled,      // false converts without normalizing (LOUDNESS_ENABLED, true)
+ *   integrated,   // Integrated loudness target, LUFS (LOUDNESS_TARGET_I, -23)
+ *   truePeak,     // True-peak ceiling, dBTP (LOUDNESS_TRUE_PEAK, -1)
+ *   lra,          // Loudness range target, LU (LOUDNESS_LRA, 11)
+ *   tolerance     // LU either side of the target counted as on target in the status (LOUDNESS_TOLERANCE, 1)
+ * }
+ *
+ * Measurement recorded for each file:
+ * { mode: 'two-pass' | 'single-pass', target: { integrated, truePeak, lra },
+ *   input: { integrated, truePeak, lra }, output: { integrated, truePeak, lra } }
+ */
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    integrated: -23,
+    truePeak: -1,
+    lra: 11,
+    tolerance: 1
+};
+
+// loudnorm needs at least this much audio for an integrated measurement
+const MIN_TWO_PASS_SECONDS = 3;
+
+// loudnorm's accepted ranges
+const RANGES = {
+    integrated: [-70, -5],
+    truePeak: [-9, 0],
+    lra: [1, 50]
+};
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+/**
+ * Gets the loudness settings for a job
+ */
+function getLoudnessSettings(jobOptions = {}) {
+    const envEnabled = process.env.LOUDNESS_ENABLED;
+    const settings = {
+        enabled: envEnabled === undefined || envEnabled === ''
+            ? DEFAULT_SETTINGS.enabled
+            : !['false', '0', 'no'].includes(envEnabled.toLowerCase()),
+        integrated: envNumber('LOUDNESS_TARGET_I', DEFAULT_SETTINGS.integrated),
+        truePeak: envNumber('LOUDNESS_TRUE_PEAK', DEFAULT_SETTINGS.truePeak),
+        lra: envNumber('LOUDNESS_LRA', DEFAULT_SETTINGS.lra),
+        tolerance: envNumber('LOUDNESS_TOLERANCE', DEFAULT_SETTINGS.tolerance),
+        ...jobOptions?.loudness
+    };
+    for (const [key, range] of Object.entries(RANGES)) {
+        settings[key] = clamp(settings[key], range);
+    }
+    return settings;
+}
+
+/**
+ * Reads the JSON block loudnorm prints at the end of its log
+ */
+function parseLoudnormOutput(log) {
+    const start = log.lastIndexOf('{');
+    const end = log.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('loudnorm printed no measurement');
+    }
+    const stats = JSON.parse(log.slice(start, end + 1));
+    const number = value => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : null;
+    };
+    return {
+        input: { integrated: number(stats.input_i), truePeak: number(stats.input_tp), lra: number(stats.input_lra) },
+        output: { integrated: number(stats.output_i), truePeak: number(stats.output_tp), lra: number(stats.output_lra) },
+        threshold: number(stats.input_thresh),
+        offset: number(stats.target_offset)
+    };
+}
+
+function targetFilter(settings) {
+    return `loudnorm=I=${settings.integrated}:TP=${settings.truePeak}:LRA=${settings.lra}`;
+}
+
+/**
+ * Converts a file to MP3 normalized to the loudness target
+ * @param {string} inputPath - Audio to convert (e.g. a fitted dubbed fragment)
+ * @param {string} outputPath - MP3 to write
+ * @param {number|null} duration - Input duration in seconds, to choose two-pass or single-pass
+ * @returns {Promise<Object>} - The measurement (see above)
+ */
+async function normalizeToMp3(inputPath, outputPath, duration, settings) {
+    const target = { integrated: settings.integrated, truePeak: settings.truePeak, lra: settings.lra };
+    // loudnorm resamples to 192 kHz internally; bring it back to 48 kHz for the MP3
+    const encode = `-ar 48000 -codec:a libmp3lame -qscale:a 2 "${outputPath}" -y`;
+
+    const singlePass = async () => {
+        const { stderr } = await execAsync(`ffmpeg -hide_banner -i "${inputPath}" -af "${targetFilter(settings)}:print_format=json" ${encode}`);
+        const { input, output } = parseLoudnormOutput(stderr);
+        return { mode: 'single-pass', target, input, output };
+    };
+
+    if (duration !== null && duration < MIN_TWO_PASS_SECONDS) {
+        return singlePass();
+    }
+
+    // First pass: measure
+    const { stderr: measureLog } = await execAsync(`ffmpeg -hide_banner -i "${inputPath}" -af "${targetFilter(settings)}:print_format=json" -f null -`);
+    const measured = parseLoudnormOutput(measureLog);
+    // Near-silent audio has no integrated loudness (-inf) to correct from
+    if ([measured.input.integrated, measured.input.truePeak, measured.input.lra, measured.threshold, measured.offset].includes(null)) {
+        return singlePass();
+    }
+
+    // Second pass: apply a linear gain from the measurement
+    const filter = [
+        targetFilter(settings),
+        `measured_I=${measured.input.integrated}`,
+        `measured_TP=${measured.input.truePeak}`,
+        `measured_LRA=${measured.input.lra}`,
+        `measured_thresh=${measured.threshold}`,
+        `offset=${measured.offset}`,
+        'linear=true',
+        'print_format=json'
+    ].join(':');
+    const { stderr } = await execAsync(`ffmpeg -hide_banner -i "${inputPath}" -af "${filter}" ${encode}`);
+    const { output } = parseLoudnormOutput(stderr);
+    return { mode: 'two-pass', target, input: measured.input, output };
+}
+
+const round = value => value === null ? null : Math.round(value * 100) / 100;
+
+/**
+ * Summarizes how consistent a set of measurements is
+ * @param {Object[]} measurements - Recorded measurements
+ * @returns {Object} - { measured, meanIntegrated, integratedSpread, inputSpread, maxTruePeak, offTarget }
+ */
+function summarizeLoudness(measurements, settings) {
+    const outputs = measurements.map(item => item.output?.integrated).filter(value => value !== null && value !== undefined);
+    const inputs = measurements.map(item => item.input?.integrated).filter(value => Number.isFinite(value));
+    const peaks = measurements.map(item => item.output?.truePeak).filter(value => Number.isFinite(value));
+    const spread = values => values.length ? round(Math.max(...values) - Math.min(...values)) : null;
+
+    return {
+        measured: outputs.length,
+        meanIntegrated: outputs.length ? round(outputs.reduce((sum, value) => sum + value, 0) / outputs.length) : null,
+        // Max - min integrated loudness across fragments, after and before normalizing
+        integratedSpread: spread(outputs),
+        inputSpread: spread(inputs),
+        maxTruePeak: peaks.length ? round(Math.max(...peaks)) : null,
+        offTarget: outputs.filter(value => Math.abs(value - settings.integrated) > settings.tolerance).length
+    };
+}
+
+export {
+    getLoudnessSettings,
+    normalizeToMp3,
+    summarizeLoudness,
+    parseLoudnormOutput,
+    DEFAULT_SETTINGS as LOUDNESS_DEFAULTS
+};
@@ -0,0 +1,339 @@
+import { EventEmitter } from 'events';
+import { STAGES, getJob } from './jobStore.js';
+import { getContextOrderedStages } from './fragmentContext.js';
+
+// Per-stage limits: how many fragments run at once, and how many may wait
+// before the stage feeding it is held back
+const DEFAULT_STAGE_LIMITS = {
+    transcription: { concurrency: 2, maxQueued: 10 },
+    translation: { concurrency: 2, maxQueued: 10 },
+    audio: { concurrency: 1, maxQueued: 10 },
+    mixing: { concurrency: 1, maxQueued: 10 }
+};
+
+// Fragment states that let a fragment go on to the next stage. A translation_failed fragment
+// is missing some languages; the others can still be dubbed.
+const PASSED_STATUSES = new Set(['completed', 'translation_failed']);
+
+// Stages whose fragments must be finished in order (the player plays them sequentially).
+// Jobs that carry unfinished sentences over to the next fragment also translate in order
+// (see fragmentContext.js).
+const ORDERED_STAGES = new Set(['audio']);
+
+/**
+ * Reads a numeric limit override from the environment, e.g. PIPELINE_TRANSCRIPTION_CONCURRENCY
+ */
+function envLimit(stage, key, fallback) {
+    const name = `PIPELINE_${stage.toUpperCase()}_${key === 'maxQueued' ? 'MAX_QUEUED' : 'CONCURRENCY'}`;
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Drives fragments through extraction → transcription → translation → audio → mixing.
+ *
+ * Each stage reports "fragment ready" (or "fragment failed") and the orchestrator
+ * schedules the next stage for that fragment. Work is queued per stage with a
+ * concurrency limit; a stage stops taking new work while the next stage's queue
+ * is full. When one video has a full queue's worth of fragments waiting in a stage,
+ * 'saturated' / 'drained' are emitted with its videoId so that video's producer
+ * (the extractor) can pause and resume.
+ */
+class PipelineOrchestrator extends EventEmitter {
+    constructor(limits = DEFAULT_STAGE_LIMITS) {
+        super();
+        this.stages = new Map();
+        this.attached = new Set();
+        // videoId -> stage -> Set of fragment numbers that are done or will never arrive
+        this.settled = new Map();
+        // videoId -> Set of stages that handle that video's fragments in order
+        this.orderedStages = new Map();
+
+        for (const [stage, { concurrency, maxQueued }] of Object.entries(limits)) {
+            this.stages.set(stage, {
+                name: stage,
+                handler: null,
+                concurrency: envLimit(stage, 'concurrency', concurrency),
+                maxQueued: envLimit(stage, 'maxQueued', maxQueued),
+                queue: [],
+                keys: new Set(),
+                // Keys of running fragments to run again once they finish (see redo)
+                reruns: new Set(),
+                running: 0,
+                saturated: false,
+                // Videos with at least maxQueued fragments waiting
+                saturatedVideos: new Set()
+            });
+        }
+    }
+
+    /**
+     * Registers the function that processes one fragment for a stage.
+     * The handler receives (videoId, fragmentNum) and should throw on failure.
+     */
+    registerStage(stage, handler) {
+        const state = this.stages.get(stage);
+        if (!state) {
+            throw new Error(`Unknown pipeline stage: ${stage}`);
+        }
+        state.handler = handler;
+    }
+
+    /**
+     * Starts scheduling work for a video and catches up on anything left
+     * unfinished according to the job store
+     */
+    async attach(videoId) {
+        this.attached.add(videoId);
+        if (!this.settled.has(videoId)) {
+            this.settled.set(videoId, Object.fromEntries(STAGES.map(stage => [stage, new Set()])));
+        }
+
+        const job = await getJob(videoId);
+        if (!job) return;
+        this.orderedStages.set(videoId, new Set([...ORDERED_STAGES, ...getContextOrderedStages(job.options)]));
+
+        // Rebuild which fragments are settled for each stage
+        const settled = this.settled.get(videoId);
+        STAGES.forEach((stage, index) => {
+            for (const [num, fragment] of Object.entries(job.stages[stage].fragments)) {
+                if (!PASSED_STATUSES.has(fragment.status) && fragment.status !== 'error') continue;
+                // A failed fragment will never reach the later stages either
+                const affected = fragment.status === 'error' ? STAGES.slice(index) : [stage];
+                affected.forEach(name => settled[name].add(parseInt(num)));
+            }
+        });
+
+        // Schedule every fragment that finished a stage but not the next one
+        for (let i = 0; i < STAGES.length - 1; i++) {
+            const stage = STAGES[i];
+            const nextStage = STAGES[i + 1];
+            for (const [num, fragment] of Object.entries(job.stages[stage].fragments)) {
+                const nextFragment = job.stages[nextStage].fragments[num];
+                if (PASSED_STATUSES.has(fragment.status) && nextFragment?.status !== 'completed') {
+                    this.schedule(nextStage, videoId, parseInt(num));
+                }
+            }
+        }
+    }
+
+    /**
+     * Stops scheduling work for a video. Fragments already running are left to finish.
+     */
+    detach(videoId) {
+        this.attached.delete(videoId);
+        this.settled.delete(videoId);
+        this.orderedStages.delete(videoId);
+        for (const state of this.stages.values()) {
+            // Keys of running fragments stay until they finish, so they aren't started twice
+            // if the video is attached again meanwhile
+            state.queue
+                .filter(item => item.videoId === videoId)
+                .forEach(item => state.keys.delete(item.key));
+            state.queue = state.queue.filter(item => item.videoId !== videoId);
+            state.reruns = new Set([...state.reruns].filter(key => !key.startsWith(`${videoId}:`)));
+            this.updateSaturation(state);
+        }
+    }
+
+    isAttached(videoId) {
+        return this.attached.has(videoId);
+    }
+
+    /**
+     * Called by a stage when a fragment is done; schedules the next stage
+     * @param {boolean} redo - The fragment was done again, so the next stage has to redo it too
+     */
+    fragmentReady(stage, videoId, fragmentNum, redo = false) {
+        this.markSettled(videoId, [stage], fragmentNum);
+        this.emit('fragmentReady', { stage, videoId, fragmentNum });
+
+        const nextStage = STAGES[STAGES.indexOf(stage) + 1];
+        if (nextStage && redo) {
+            this.redo(nextStage, videoId, fragmentNum);
+        } else if (nextStage) {
+            this.schedule(nextStage, videoId, fragmentNum);
+        }
+    }
+
+    /**
+     * Called by the extractor once a video's last fragment is in, so work held for a
+     * following fragment (a carried-over sentence) can be finished
+     */
+    extractionCompleted(videoId) {
+        this.emit('extractionCompleted', { videoId });
+    }
+
+    /**
+     * Called when a fragment failed a stage; later stages won't wait for it
+     */
+    fragmentFailed(stage, videoId, fragmentNum, error) {
+        this.markSettled(videoId, STAGES.slice(STAGES.indexOf(stage)), fragmentNum);
+        this.emit('fragmentFailed', { stage, videoId, fragmentNum, error: error?.message || error });
+
+        // An ordered stage may have been waiting on this fragment
+        for (const state of this.stages.values()) {
+            this.pump(state);
+        }
+    }
+
+    markSettled(videoId, stages, fragmentNum) {
+        const settled = this.settled.get(videoId);
+        if (!settled) return;
+        stages.forEach(stage => settled[stage]?.add(fragmentNum));
+    }
+
+    /**
+     * Queues a fragment for a stage (duplicates are ignored)
+     */
+    schedule(stage, videoId, fragmentNum, redo = false) {
+        const state = this.stages.get(stage);
+        if (!state || !this.attached.has(videoId)) return;
+
+        const key = `${videoId}:${fragmentNum}`;
+        if (state.keys.has(key)) return;
+
+        state.keys.add(key);
+        state.queue.push({ videoId, fragmentNum, key, redo });
+        state.queue.sort((a, b) => a.fragmentNum - b.fragmentNum);
+        this.updateSaturation(state);
+        this.pump(state);
+    }
+
+    /**
+     * Processes a fragment that already went through a stage again, and then again in
+     * every later stage. A fragment running right now is run again once it finishes.
+     */
+    redo(stage, videoId, fragmentNum) {
+        const state = this.stages.get(stage);
+        if (!state || !this.attached.has(videoId)) return;
+
+        const settled = this.settled.get(videoId);
+        STAGES.slice(STAGES.indexOf(stage)).forEach(name => settled?.[name].delete(fragmentNum));
+
+        const key = `${videoId}:${fragmentNum}`;
+        const queued = state.queue.find(item => item.key === key);
+        if (queued) {
+            queued.redo = true;
+        } else if (state.keys.has(key)) {
+            state.reruns.add(key);
+        } else {
+            this.schedule(stage, videoId, fragmentNum, true);
+        }
+    }
+
+    /**
+     * Checks whether an ordered stage may start this fragment yet
+     */
+    isInOrder(stage, item) {
+        const ordered = this.orderedStages.get(item.videoId) || ORDERED_STAGES;
+        if (!ordered.has(stage)) return true;
+        const settled = this.settled.get(item.videoId)?.[stage];
+        if (!settled) return true;
+        for (let num = 0; num < item.fragmentNum; num++) {
+            if (!settled.has(num)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Starts as much queued work as the stage limits allow
+     */
+    pump(state) {
+        if (!state.handler) return;
+
+        const nextStage = this.stages.get(STAGES[STAGES.indexOf(state.name) + 1]);
+        while (state.running < state.concurrency) {
+            // Backpressure: hold this stage while the next one can't keep up. If the next
+            // stage is only full of fragments waiting for their turn, keep going so the
+            // fragment it is waiting for can get through.
+            if (nextStage && nextStage.queue.length >= nextStage.maxQueued &&
+                nextStage.queue.some(item => this.isInOrder(nextStage.name, item))) {
+                return;
+            }
+
+            const index = state.queue.findIndex(item => this.isInOrder(state.name, item));
+            if (index === -1) return;
+
+            const [item] = state.queue.splice(index, 1);
+            state.running++;
+            this.updateSaturation(state);
+            this.run(state, item);
+        }
+    }
+
+    async run(state, item) {
+        const { videoId, fragmentNum, key, redo } = item;
+        try {
+            await state.handler(videoId, fragmentNum);
+            if (this.attached.has(videoId)) {
+                this.fragmentReady(state.name, videoId, fragmentNum, redo);
+            }
+        } catch (error) {
+            // Work interrupted by a detach (pause/stop) isn't a failure
+            if (this.attached.has(videoId)) {
+                console.error(`❌ ${state.name} failed for ${videoId} fragment ${fragmentNum}:`, error.message);
+                this.fragmentFailed(state.name, videoId, fragmentNum, error);
+            }
+        } finally {
+            state.running--;
+            state.keys.delete(key);
+            if (state.reruns.delete(key)) {
+                this.schedule(state.name, videoId, fragmentNum, true);
+            }
+            this.pump(state);
+
+            // Room may have opened up for the stage feeding this one
+            const previousStage = this.stages.get(STAGES[STAGES.indexOf(state.name) - 1]);
+            if (previousStage) {
+                this.pump(previousStage);
+            }
+        }
+    }
+
+    updateSaturation(state) {
+        state.saturated = state.queue.length >= state.maxQueued;
+
+        const queued = new Map();
+        for (const { videoId } of state.queue) {
+            queued.set(videoId, (queued.get(videoId) || 0) + 1);
+        }
+        for (const [videoId, count] of queued) {
+            if (count < state.maxQueued || state.saturatedVideos.has(videoId)) continue;
+            state.saturatedVideos.add(videoId);
+            console.log(`⏸️ ${state.name} queue for ${videoId} is full (${count}), holding back its producer`);
+            this.emit('saturated', { stage: state.name, videoId });
+        }
+        for (const videoId of state.saturatedVideos) {
+            if ((queued.get(videoId) || 0) >= state.maxQueued) continue;
+            state.saturatedVideos.delete(videoId);
+            console.log(`▶️ ${state.name} queue for ${videoId} drained, resuming its producer`);
+            this.emit('drained', { stage: state.name, videoId });
+        }
+    }
+
+    /**
+     * Whether a video has a full queue's worth of fragments waiting in a stage
+     */
+    isSaturated(stage, videoId) {
+        return !!this.stages.get(stage)?.saturatedVideos.has(videoId);
+    }
+
+    /**
+     * Current queue sizes, for status endpoints and logging
+     */
+    getStats() {
+        return Object.fromEntries([...this.stages.values()].map(state => [state.name, {
+            queued: state.queue.length,
+            running: state.running,
+            concurrency: state.concurrency,
+            maxQueued: state.maxQueued,
+            saturated: state.saturated
+        }]));
+    }
+}
+
+// Shared orchestrator for the whole server
+const pipeline = new PipelineOrchestrator();
+
+export { pipeline, PipelineOrchestrator };
@@ -5,10 +5,35 @@ import { google } from 'googleapis';
 import fs from 'fs/promises';
 import path from 'path';
 import { extractAudio } from './audioExtractor.js';
-import { setupTranscriptionWatcher, getTranscriptionStatus } from './transcriptionHandler.js';
-import { setupTranslationWatcher, getTranslationStatus } from './translationIntegrator.js';
-import { setupAudioWatcher, getAudioStatus } from './audioIntegrator.js';
-import AudioSyncManager from './audioSyncManager.js';
+import { transcribeFragment, getTranscriptionStatus } from './transcriptionHandler.js';
+import { translateFragment, flushCarryOver, getTranslationStatus } from './translationIntegrator.js';
+import { processAudioFragment, getAudioStatus, getLoudnessStatus } from './audioIntegrator.js';
+import { mixFragment } from './audioMixer.js';
+import { pipeline } from './pipelineOrchestrator.js';
+import { createJob, getJob, listJobs, updateJob, deleteJob, FINISHED_STATUSES } from './jobStore.js';
+import { resumeUnfinishedJobs } from './jobRecovery.js';
+import { listAsrProviders } from './asrProviders.js';
+import { listTranslationProviders } from './translationProviders.js';
+import { listTtsProviders } from './ttsProviders.js';
+import { LANGUAGES, resolveLanguage, getJobLanguages } from './languages.js';
+import { getManifest, getSortedFragments, dropManifest } from './fragmentManifest.js';
+import { haltProcessing, pauseJob, stopJob, resumePausedJob } from './jobControl.js';
+import { exportSubtitles } from './subtitleExporter.js';
+import { buildPlaylist, getHlsDir } from './hlsPlaylist.js';
+import { startExport, getExports, getExportFile, EXPORT_FORMATS, SUBTITLE_MODES } from './videoExporter.js';
+import {
+  validateGlossaryEntry,
+  listTerms,
+  getTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  importTerms
+} from './glossary.js';
+import { getMemoryStats, clearMemory, TRANSLATION_MEMORY_MODES } from './translationMemory.js';
+import { TRANSLATION_MODES } from './translationHandler.js';
+import { parseRoutePair, TRANSLATION_ROUTES } from './translationRoutes.js';
+import { getUsageReport, getPriceTable, checkBudget } from './usageLedger.js';
 import { createReadStream } from 'fs';
 import { stat } from 'fs/promises';
 import { promisify } from 'util';
@@ -60,20 +85,19 @@ async function getExistingVideoDetails(videoId) {
 
 // Check if audio exists for a video
 async function checkAudioExists(videoId) {
-  try {
-    const audioDir = path.join(BASE_TEMP_DIR, videoId, 'ExtractedAudio');
-    await fs.access(audioDir);
-    
-    const finalDir = path.join(audioDir, 'FinalExtracted');
-    const files = await fs.readdir(finalDir);
-    return {
-      exists: true,
-      hasChunks: files.some(f => f.endsWith('.wav')),
-      files: files.filter(f => f.endsWith('.wav'))
-    };
-  } catch {
+  const job = await getJob(videoId);
+  if (!job || job.stages.extraction.status === 'pending') {
     return { exists: false };
   }
+
+  const files = getSortedFragments(await getManifest(videoId))
+    .filter(fragment => fragment.audio)
+    .map(fragment => path.basename(fragment.audio.file));
+  return {
+    exists: true,
+    hasChunks: files.length > 0,
+    files
+  };
 }
 
 // Validate YouTube API key
@@ -88,6 +112,42 @@ const youtube = google.youtube({
   auth: process.env.YOUTUBE_API_KEY
 });
 
+// Fetch video information from the YouTube Data API
+async function fetchVideoInfo(videoId) {
+  const response = await youtube.videos.list({
+    part: ['snippet', 'contentDetails', 'status', 'liveStreamingDetails'],
+    id: [videoId]
+  });
+
+  if (!response.data.items || response.data.items.length === 0) {
+    return null;
+  }
+
+  const video = response.data.items[0];
+  return {
+    id: video.id,
+    title: video.snippet.title,
+    description: video.snippet.description,
+    channelTitle: video.snippet.channelTitle,
+    channelId: video.snippet.channelId,
+    thumbnails: video.snippet.thumbnails,
+    duration: video.contentDetails.duration,
+    privacyStatus: video.status.privacyStatus,
+    isLiveContent: video.snippet.liveBroadcastContent !== 'none',
+    liveStreamingDetails: video.liveStreamingDetails || null,
+    savedAt: new Date().toISOString(),
+    rawApiResponse: response.data
+  };
+}
+
+// Save video details next to the video's processing files
+async function saveVideoInfo(videoId, videoInfo) {
+  const videoDir = path.join(BASE_TEMP_DIR, videoId);
+  await ensureDirectoryExists(videoDir);
+  const detailsPath = path.join(videoDir, 'ytVideoDetails.json');
+  await fs.writeFile(detailsPath, JSON.stringify(videoInfo, null, 2));
+}
+
 // Utility function to extract video ID from URL
 const extractVideoId = (url) => {
   const patterns = [
@@ -102,79 +162,62 @@ const extractVideoId = (url) => {
   return null;
 };
 
-// Store active transcription watchers
-const activeWatchers = new Map();
+// Register the per-fragment handler for each pipeline stage
+pipeline.registerStage('transcription', transcribeFragment);
+pipeline.registerStage('translation', translateFragment);
+pipeline.registerStage('audio', processAudioFragment);
+pipeline.registerStage('mixing', mixFragment);
+
+// The last fragment's carried-over sentence has no next fragment to go to; the pipeline
+// translates (and if need be dubs) that fragment again
+pipeline.on('extractionCompleted', ({ videoId }) => {
+  flushCarryOver(videoId).catch(error => {
+    console.error(`❌ Error flushing carried-over text for ${videoId}:`, error);
+  });
+});
 
-// Function to start transcription watcher for a video
-async function startTranscriptionWatcher(videoId) {
-  if (!activeWatchers.has(videoId)) {
-    const watcher = await setupTranscriptionWatcher(videoId);
-    activeWatchers.set(videoId, watcher);
+// Why a job can't be started (again) right now, or null if it can. A paused job keeps its
+// state and is picked up again through the resume endpoint; a finished one is only processed
+// again when the caller asks for a rerun.
+function getStartConflict(job, rerun = false) {
+  if (job?.status === 'running') {
+    return `Job ${job.id} is already running`;
   }
+  if (job?.status === 'paused') {
+    return `Job ${job.id} is paused; resume it with POST /api/jobs/${job.id}/resume`;
+  }
+  if (FINISHED_STATUSES.has(job?.status) && !rerun) {
+    return `Job ${job.id} is already ${job.status}; pass "rerun": true to process it again`;
+  }
+  return null;
 }
 
-// Store active translation watchers
-const activeTranslationWatchers = new Map();
-
-// Function to start translation watcher for a video
-async function startTranslationWatcher(videoId) {
-    if (!activeTranslationWatchers.has(videoId)) {
-        const watcher = await setupTranslationWatcher(videoId);
-        activeTranslationWatchers.set(videoId, watcher);
-    }
-}
-
-// Store active audio watchers
-const activeAudioWatchers = new Map();
-
-// Function to start audio watcher for a video
-async function startAudioWatcher(videoId) {
-    if (!activeAudioWatchers.has(videoId)) {
-        const watcher = await setupAudioWatcher(videoId);
-        activeAudioWatchers.set(videoId, watcher);
-    }
-}
-
-// Map to store active audio sync managers
-const audioSyncManagers = new Map();
-
-// Function to start audio sync manager for a video
-async function startAudioSyncManager(videoId) {
-    if (audioSyncManagers.has(videoId)) {
-        console.log('Audio sync manager already running for video:', videoId);
-        return;
-    }
-
-    const syncManager = new AudioSyncManager(videoId);
-    audioSyncManagers.set(videoId, syncManager);
-    
-    // Start the sync manager
-    await syncManager.start();
-}
+// Create (or refresh) the job record, then run extraction; the pipeline takes it from there
+async function startJob({ videoId, url, isLive, liveStreamChoice, options = {}, rerun = false }) {
+  const conflict = getStartConflict(await getJob(videoId), rerun);
+  if (conflict) {
+    const error = new Error(conflict);
+    error.code = 'job_conflict';
+    throw error;
+  }
 
-// Add this function near the top with other utility functions
-async function ensureAudioDirectories(videoId) {
-  const baseDir = path.join(process.cwd(), 'temp_files', videoId);
-  const dirs = [
-    path.join(baseDir, 'FinalTranslatedAudio'),
-    path.join(baseDir, 'FinalTranslatedAudio', 'Hindi'),
-    path.join(baseDir, 'FinalTranslatedAudio', 'Sanskrit'),
-    path.join(baseDir, 'FinalTranslatedAudio', 'Marathi')
-  ];
+  await createJob({
+    id: videoId,
+    sourceUrl: url,
+    isLive,
+    liveStreamChoice,
+    options
+  });
 
-  for (const dir of dirs) {
-    try {
-      await fs.access(dir);
-    } catch {
-      await fs.mkdir(dir, { recursive: true });
-    }
-  }
+  // Attach before extracting so every extracted fragment gets scheduled
+  await pipeline.attach(videoId);
+  return extractAudio(url, videoId, isLive, liveStreamChoice);
 }
 
 // Validate YouTube URL and get video information
 app.post('/api/validate-youtube', async (req, res) => {
   try {
-    const { url, checkOnly, liveStreamChoice } = req.body;
+    const { url, checkOnly, liveStreamChoice, options = {} } = req.body;
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
@@ -184,6 +227,11 @@ app.post('/api/validate-youtube', async (req, res) => {
       return res.status(400).json({ error: 'Invalid YouTube URL format' });
     }
 
+    const optionsError = validateJobOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     // Check if video already exists
     const existingVideo = await getExistingVideoDetails(videoId);
     const audioStatus = await checkAudioExists(videoId);
@@ -197,7 +245,13 @@ app.post('/api/validate-youtube', async (req, res) => {
       // If video exists but no audio, start audio extraction
       if (!audioStatus.exists) {
         try {
-          const extractionResult = await extractAudio(url, videoId, existingVideo.details.isLiveContent, liveStreamChoice);
+          const extractionResult = await startJob({
+            videoId,
+            url,
+            isLive: existingVideo.details.isLiveContent,
+            liveStreamChoice,
+            options
+          });
           return res.json({
             ...existingVideo.details,
             isExisting: true,
@@ -206,6 +260,9 @@ app.post('/api/validate-youtube', async (req, res) => {
             audioExtraction: extractionResult
           });
         } catch (extractionError) {
+          if (extractionError.code === 'job_conflict') {
+            return res.status(409).json({ ...existingVideo.details, error: extractionError.message });
+          }
           console.error('Audio extraction error:', extractionError);
           return res.json({
             ...existingVideo.details,
@@ -229,73 +286,42 @@ app.post('/api/validate-youtube', async (req, res) => {
 
     // If video doesn't exist, proceed with new video validation and audio extraction
     try {
-      const response = await youtube.videos.list({
-        part: ['snippet', 'contentDetails', 'status', 'liveStreamingDetails'],
-        id: [videoId]
-      });
-
-      if (!response.data.items || response.data.items.length === 0) {
+      const videoInfo = await fetchVideoInfo(videoId);
+      if (!videoInfo) {
         return res.status(404).json({ error: 'Video not found' });
       }
 
-      const video = response.data.items[0];
-      const videoInfo = {
-        id: video.id,
-        title: video.snippet.title,
-        description: video.snippet.description,
-        channelTitle: video.snippet.channelTitle,
-        channelId: video.snippet.channelId,
-        thumbnails: video.snippet.thumbnails,
-        duration: video.contentDetails.duration,
-        privacyStatus: video.status.privacyStatus,
-        isLiveContent: video.snippet.liveBroadcastContent !== 'none',
-        liveStreamingDetails: video.liveStreamingDetails || null,
-        savedAt: new Date().toISOString(),
-        rawApiResponse: response.data
-      };
-
       // If checkOnly flag is set, just return the video info
       if (checkOnly) {
         return res.json(videoInfo);
       }
 
       // Create directory and save video details
-      const videoDir = path.join(BASE_TEMP_DIR, videoId);
-      await ensureDirectoryExists(videoDir);
-      const detailsPath = path.join(videoDir, 'ytVideoDetails.json');
-      await fs.writeFile(detailsPath, JSON.stringify(videoInfo, null, 2));
+      await saveVideoInfo(videoId, videoInfo);
 
       videoInfo.savedLocation = videoId;
       videoInfo.isExisting = false;
 
-      // Start audio extraction
+      // Start audio extraction and the processing stages
       try {
-        const extractionResult = await extractAudio(url, videoId, videoInfo.isLiveContent, liveStreamChoice);
+        const extractionResult = await startJob({
+          videoId,
+          url,
+          isLive: videoInfo.isLiveContent,
+          liveStreamChoice,
+          options
+        });
         videoInfo.audioExtraction = extractionResult;
         videoInfo.message = 'Video details saved and audio extraction started';
       } catch (extractionError) {
+        if (extractionError.code === 'job_conflict') {
+          return res.status(409).json({ ...videoInfo, error: extractionError.message });
+        }
         console.error('Audio extraction error:', extractionError);
         videoInfo.audioError = extractionError.message;
         videoInfo.message = 'Video details saved but audio extraction failed';
       }
 
-      // Start transcription watcher after validation
-      if (!checkOnly) {
-        startTranscriptionWatcher(videoId).catch(error => {
-          console.error('Error starting transcription watcher:', error);
-        });
-        
-        // Start translation watcher after transcription watcher
-        startTranslationWatcher(videoId).catch(error => {
-          console.error('Error starting translation watcher:', error);
-        });
-
-        // Start audio watcher after translation watcher
-        startAudioWatcher(videoId).catch(error => {
-          console.error('Error starting audio watcher:', error);
-        });
-      }
-
       res.json(videoInfo);
     } catch (youtubeError) {
       console.error('YouTube API Error:', youtubeError.message);
@@ -336,7 +362,11 @@ app.post('/api/extract-audio', async (req, res) => {
       const videoDetails = JSON.parse(detailsContent);
       const isLive = videoDetails.isLiveContent;
 
-      const extractionResult = await extractAudio(url, savedLocation, isLive);
+      const extractionResult = await startJob({
+        videoId: savedLocation,
+        url,
+        isLive
+      });
       res.json({
         ...extractionResult,
         isLive,
@@ -346,6 +376,9 @@ app.post('/api/extract-audio', async (req, res) => {
         }
       });
     } catch (extractionError) {
+      if (extractionError.code === 'job_conflict') {
+        return res.status(409).json({ error: extractionError.message });
+      }
       console.error('Audio extraction error:', extractionError);
       res.status(500).json({
         error: 'Failed to extract audio',
@@ -365,79 +398,46 @@ app.post('/api/extract-audio', async (req, res) => {
 app.get('/api/extraction-status/:savedLocation', async (req, res) => {
   try {
     const { savedLocation } = req.params;
-    const baseDir = path.join(BASE_TEMP_DIR, savedLocation);
-    const extractedAudioDir = path.join(baseDir, 'ExtractedAudio');
-    const finalExtractedDir = path.join(extractedAudioDir, 'FinalExtracted');
-    const preprocessingDir = path.join(extractedAudioDir, 'PreProcessing');
-    
-    console.log('Checking extraction status for:', { 
-      savedLocation, 
-      finalExtractedDir,
-      preprocessingDir 
-    });
-    
-    try {
-      // Check if directories exist
-      await fs.access(finalExtractedDir);
-      await fs.access(preprocessingDir);
-      
-      // Get files from both directories
-      const finalFiles = await fs.readdir(finalExtractedDir);
-      const preprocessingFiles = await fs.readdir(preprocessingDir);
-      
-      console.log('Files found:', {
-        finalExtracted: finalFiles,
-        preprocessing: preprocessingFiles
-      });
-      
-      // Check status file
-      const statusPath = path.join(preprocessingDir, 'status.json');
-      const hasStatusFile = preprocessingFiles.includes('status.json');
-      
-      if (hasStatusFile) {
-        try {
-          const statusContent = await fs.readFile(statusPath, 'utf-8');
-          const status = JSON.parse(statusContent);
-          
-          // Add available files to status response
-          status.availableFiles = finalFiles.filter(f => f.endsWith('.wav'));
-          console.log('Sending status from file:', status);
-          return res.json(status);
-        } catch (err) {
-          console.error('Error reading status file:', err);
-        }
-      }
-      
-      // Return list of available files
-      const wavFiles = finalFiles.filter(f => f.endsWith('.wav'))
-        .sort((a, b) => {
-          const numA = parseInt(a.match(/fragment-(\d+)\.wav/)[1]);
-          const numB = parseInt(b.match(/fragment-(\d+)\.wav/)[1]);
-          return numA - numB;
-        });
-      
-      const response = {
-        status: wavFiles.length > 0 ? 'in_progress' : 'starting',
-        type: 'normal',
-        chunkCount: wavFiles.length,
-        totalProcessing: preprocessingFiles.filter(f => f.endsWith('.wav')).length,
-        latestChunk: wavFiles[wavFiles.length - 1],
-        availableFiles: wavFiles
-      };
-      
-      console.log('Sending generated status:', response);
-      return res.json(response);
-      
-    } catch (err) {
-      console.log('Directories not found, sending not_started status');
+    const job = await getJob(savedLocation);
+
+    if (!job || job.stages.extraction.status === 'pending') {
       return res.json({
         status: 'not_started',
-        type: 'normal',
+        type: job?.isLive ? 'live' : 'normal',
         chunkCount: 0,
         availableFiles: [],
         message: "Audio extraction has not been started"
       });
     }
+
+    // Extracted files and their offsets come from the manifest
+    const extraction = job.stages.extraction;
+    const extracted = getSortedFragments(await getManifest(savedLocation)).filter(fragment => fragment.audio);
+    const wavFiles = extracted.map(fragment => path.basename(fragment.audio.file));
+    const extractedSeconds = extracted.length ? extracted[extracted.length - 1].end : 0;
+
+    // Estimate progress from the known video duration and where the last fragment ends
+    let progress;
+    if (extraction.status === 'completed') {
+      progress = 100;
+    } else if (job.durationSeconds) {
+      progress = Math.min(99, (extractedSeconds / job.durationSeconds) * 100);
+    }
+
+    return res.json({
+      status: extraction.status === 'running' ? 'processing' : extraction.status,
+      type: job.isLive ? 'live' : 'normal',
+      progress,
+      chunkCount: wavFiles.length,
+      totalFragments: extraction.totalFragments,
+      extractedSeconds,
+      latestChunk: wavFiles[wavFiles.length - 1],
+      availableFiles: wavFiles,
+      startTime: extraction.startedAt,
+      lastUpdate: extraction.updatedAt,
+      completionTime: extraction.completedAt,
+      error: extraction.error || undefined
+    });
   } catch (error) {
     console.error('Error checking extraction status:', error);
     res.status(500).json({ 
@@ -447,6 +447,712 @@ app.get('/api/extraction-status/:savedLocation', async (req, res) => {
   }
 });
 
+// List the languages jobs can translate to and dub, with the defaults
+app.get('/api/languages', (req, res) => {
+  const defaults = getJobLanguages();
+  res.json(LANGUAGES.map(lang => ({
+    code: lang.code,
+    name: lang.name,
+    script: lang.script,
+    label: lang.label,
+    defaultText: defaults.text.includes(lang),
+    defaultAudio: defaults.audio.includes(lang)
+  })));
+});
+
+// Glossary of domain terms, used in translation prompts and as ASR hints
+app.get('/api/glossary', async (req, res) => {
+  try {
+    res.json(await listTerms());
+  } catch (error) {
+    console.error('Error listing glossary:', error);
+    res.status(500).json({
+      error: 'Failed to list glossary',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/glossary/:id', async (req, res) => {
+  try {
+    const entry = await getTerm(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error getting glossary term:', error);
+    res.status(500).json({
+      error: 'Failed to get term',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/glossary', async (req, res) => {
+  try {
+    const entryError = validateGlossaryEntry(req.body);
+    if (entryError) {
+      return res.status(400).json({ error: entryError });
+    }
+
+    const existing = (await listTerms()).find(entry => entry.term.toLowerCase() === req.body.term.trim().toLowerCase());
+    if (existing) {
+      return res.status(409).json({ error: 'Term already exists', entry: existing });
+    }
+
+    res.status(201).json(await createTerm(req.body));
+  } catch (error) {
+    console.error('Error creating glossary term:', error);
+    res.status(500).json({
+      error: 'Failed to create term',
+      details: error.message
+    });
+  }
+});
+
+// Import many terms at once. Body: an array of entries, or { "entries": [...], "replace": true }
+app.post('/api/glossary/import', async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body) ? req.body : req.body?.entries;
+    if (!Array.isArray(entries)) {
+      return res.status(400).json({ error: 'Body must be an array of entries or { entries: [...] }' });
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      const entryError = validateGlossaryEntry(entry);
+      if (entryError) {
+        return res.status(400).json({ error: `Entry ${index}: ${entryError}` });
+      }
+    }
+
+    res.json(await importTerms(entries, { replace: req.body?.replace === true }));
+  } catch (error) {
+    console.error('Error importing glossary:', error);
+    res.status(500).json({
+      error: 'Failed to import glossary',
+      details: error.message
+    });
+  }
+});
+
+app.patch('/api/glossary/:id', async (req, res) => {
+  try {
+    const existing = await getTerm(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+
+    const entryError = validateGlossaryEntry({ ...existing, ...req.body });
+    if (entryError) {
+      return res.status(400).json({ error: entryError });
+    }
+
+    res.json(await updateTerm(req.params.id, req.body));
+  } catch (error) {
+    console.error('Error updating glossary term:', error);
+    res.status(500).json({
+      error: 'Failed to update term',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/glossary/:id', async (req, res) => {
+  try {
+    if (!await deleteTerm(req.params.id)) {
+      return res.status(404).json({ error: 'Term not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting glossary term:', error);
+    res.status(500).json({
+      error: 'Failed to delete term',
+      details: error.message
+    });
+  }
+});
+
+// Translation memory shared by all videos: size and what it has saved
+app.get('/api/translation-memory', async (req, res) => {
+  try {
+    res.json(await getMemoryStats());
+  } catch (error) {
+    console.error('Error reading translation memory:', error);
+    res.status(500).json({
+      error: 'Failed to read translation memory',
+      details: error.message
+    });
+  }
+});
+
+app.delete('/api/translation-memory', async (req, res) => {
+  try {
+    await clearMemory();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error clearing translation memory:', error);
+    res.status(500).json({
+      error: 'Failed to clear translation memory',
+      details: error.message
+    });
+  }
+});
+
+// Usage and cost report, by day, job and provider. Query: from, to (YYYY-MM-DD) and videoId
+app.get('/api/usage', async (req, res) => {
+  try {
+    const { from, to, videoId } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    res.json(await getUsageReport({ from, to, videoId }));
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    res.status(500).json({
+      error: 'Failed to build usage report',
+      details: error.message
+    });
+  }
+});
+
+// Prices used for the usage ledger
+app.get('/api/usage/prices', async (req, res) => {
+  try {
+    res.json(await getPriceTable());
+  } catch (error) {
+    console.error('Error reading price table:', error);
+    res.status(500).json({
+      error: 'Failed to read price table',
+      details: error.message
+    });
+  }
+});
+
+// Checks per-job options, returning an error message or null
+function validateJobOptions(options) {
+  if (options.asrProvider && !listAsrProviders().includes(options.asrProvider)) {
+    return `Unknown ASR provider: ${options.asrProvider}. Available: ${listAsrProviders().join(', ')}`;
+  }
+  if (options.translationProvider && !listTranslationProviders().includes(options.translationProvider)) {
+    return `Unknown translation provider: ${options.translationProvider}. Available: ${listTranslationProviders().join(', ')}`;
+  }
+  if (options.translationProviders !== undefined) {
+    if (typeof options.translationProviders !== 'object' || Array.isArray(options.translationProviders)) {
+      return 'translationProviders must map language codes to provider names';
+    }
+    for (const [lang, provider] of Object.entries(options.translationProviders)) {
+      if (!resolveLanguage(lang)) {
+        return `Unknown language in translationProviders: ${lang}`;
+      }
+      if (!listTranslationProviders().includes(provider)) {
+        return `Unknown translation provider for ${lang}: ${provider}. Available: ${listTranslationProviders().join(', ')}`;
+      }
+    }
+  }
+  const ttsProviderNames = listTtsProviders().map(provider => provider.name);
+  if (options.ttsProvider && !ttsProviderNames.includes(options.ttsProvider)) {
+    return `Unknown TTS provider: ${options.ttsProvider}. Available: ${ttsProviderNames.join(', ')}`;
+  }
+  for (const key of ['ttsProviders', 'ttsVoices']) {
+    if (options[key] === undefined) continue;
+    if (typeof options[key] !== 'object' || Array.isArray(options[key])) {
+      return `${key} must map language codes to ${key === 'ttsProviders' ? 'provider names' : 'voices'}`;
+    }
+    const unknown = Object.keys(options[key]).filter(lang => !resolveLanguage(lang));
+    if (unknown.length) {
+      return `Unknown languages in ${key}: ${unknown.join(', ')}`;
+    }
+  }
+  for (const [lang, provider] of Object.entries(options.ttsProviders || {})) {
+    if (!ttsProviderNames.includes(provider)) {
+      return `Unknown TTS provider for ${lang}: ${provider}. Available: ${ttsProviderNames.join(', ')}`;
+    }
+  }
+  if (options.useGlossary !== undefined && typeof options.useGlossary !== 'boolean') {
+    return 'useGlossary must be true or false';
+  }
+  if (options.qualityCheck !== undefined && typeof options.qualityCheck !== 'boolean') {
+    return 'qualityCheck must be true or false';
+  }
+  if (options.budget !== undefined && options.budget !== null &&
+    (typeof options.budget !== 'number' || !Number.isFinite(options.budget) || options.budget < 0)) {
+    return 'budget must be a non-negative number (USD), or 0 for no cap';
+  }
+  if (options.translationMemory !== undefined && !TRANSLATION_MEMORY_MODES.includes(options.translationMemory)) {
+    return `translationMemory must be one of: ${TRANSLATION_MEMORY_MODES.join(', ')}`;
+  }
+  if (options.translationMode !== undefined && !TRANSLATION_MODES.includes(options.translationMode)) {
+    return `translationMode must be one of: ${TRANSLATION_MODES.join(', ')}`;
+  }
+  if (options.translationRoutes !== undefined) {
+    if (!options.translationRoutes || typeof options.translationRoutes !== 'object' || Array.isArray(options.translationRoutes)) {
+      return 'translationRoutes must be an object like { "hi>mr": "direct" }';
+    }
+    for (const [pair, route] of Object.entries(options.translationRoutes)) {
+      if (!parseRoutePair(pair)) return `translationRoutes: unknown language pair: ${pair}`;
+      if (!TRANSLATION_ROUTES.includes(route)) return `translationRoutes["${pair}"] must be one of: ${TRANSLATION_ROUTES.join(', ')}`;
+    }
+  }
+  if (options.context !== undefined) {
+    if (typeof options.context !== 'object' || Array.isArray(options.context)) {
+      return 'context must be an object';
+    }
+    for (const [key, value] of Object.entries(options.context)) {
+      if (['enabled', 'carryOver'].includes(key)) {
+        if (typeof value !== 'boolean') return `context.${key} must be true or false`;
+      } else if (['asrPromptChars', 'historySentences', 'historyChars', 'maxCarryChars'].includes(key)) {
+        if (!Number.isInteger(value) || value < 0) return `context.${key} must be a non-negative integer`;
+      } else {
+        return `Unknown context setting: ${key}`;
+      }
+    }
+  }
+  if (options.durationFit !== undefined) {
+    if (!options.durationFit || typeof options.durationFit !== 'object' || Array.isArray(options.durationFit)) {
+      return 'durationFit must be an object';
+    }
+    for (const [key, value] of Object.entries(options.durationFit)) {
+      if (['enabled', 'shorten'].includes(key)) {
+        if (typeof value !== 'boolean') return `durationFit.${key} must be true or false`;
+      } else if (key === 'maxTempo') {
+        if (typeof value !== 'number' || value < 1 || value > 2) return 'durationFit.maxTempo must be between 1 and 2';
+      } else if (key === 'minTempo') {
+        if (typeof value !== 'number' || value < 0.5 || value > 1) return 'durationFit.minTempo must be between 0.5 and 1';
+      } else if (['tolerance', 'minFill'].includes(key)) {
+        if (typeof value !== 'number' || value < 0) return `durationFit.${key} must be a non-negative number`;
+      } else if (key === 'maxShortenAttempts') {
+        if (!Number.isInteger(value) || value < 0) return 'durationFit.maxShortenAttempts must be a non-negative integer';
+      } else {
+        return `Unknown durationFit setting: ${key}`;
+      }
+    }
+  }
+  if (options.mix !== undefined) {
+    if (!options.mix || typeof options.mix !== 'object' || Array.isArray(options.mix)) {
+      return 'mix must be an object';
+    }
+    for (const [key, value] of Object.entries(options.mix)) {
+      if (key === 'enabled') {
+        if (typeof value !== 'boolean') return 'mix.enabled must be true or false';
+      } else if (key === 'duckDepth') {
+        if (typeof value !== 'number' || value < 0 || value > 60) return 'mix.duckDepth must be between 0 and 60 dB';
+      } else if (key === 'attack') {
+        if (typeof value !== 'number' || value <= 0 || value > 2000) return 'mix.attack must be between 0 and 2000 ms';
+      } else if (key === 'release') {
+        if (typeof value !== 'number' || value <= 0 || value > 9000) return 'mix.release must be between 0 and 9000 ms';
+      } else if (key === 'originalVolume') {
+        if (typeof value !== 'number' || value < 0 || value > 1) return 'mix.originalVolume must be between 0 and 1';
+      } else {
+        return `Unknown mix setting: ${key}`;
+      }
+    }
+  }
+  if (options.loudness !== undefined) {
+    if (!options.loudness || typeof options.loudness !== 'object' || Array.isArray(options.loudness)) {
+      return 'loudness must be an object';
+    }
+    for (const [key, value] of Object.entries(options.loudness)) {
+      if (key === 'enabled') {
+        if (typeof value !== 'boolean') return 'loudness.enabled must be true or false';
+      } else if (key === 'integrated') {
+        if (typeof value !== 'number' || value < -70 || value > -5) return 'loudness.integrated must be between -70 and -5 LUFS';
+      } else if (key === 'truePeak') {
+        if (typeof value !== 'number' || value < -9 || value > 0) return 'loudness.truePeak must be between -9 and 0 dBTP';
+      } else if (key === 'lra') {
+        if (typeof value !== 'number' || value < 1 || value > 50) return 'loudness.lra must be between 1 and 50 LU';
+      } else if (key === 'tolerance') {
+        if (typeof value !== 'number' || value < 0) return 'loudness.tolerance must be a non-negative number';
+      } else {
+        return `Unknown loudness setting: ${key}`;
+      }
+    }
+  }
+  if (options.segmentation && !['fixed', 'silence'].includes(options.segmentation)) {
+    return 'segmentation must be "fixed" or "silence"';
+  }
+  for (const key of ['allowedLanguages', 'textLanguages', 'audioLanguages']) {
+    if (options[key] === undefined) continue;
+    if (!Array.isArray(options[key])) {
+      return `${key} must be an array of language codes`;
+    }
+    const unknown = options[key].filter(lang => !resolveLanguage(lang));
+    if (unknown.length) {
+      return `Unknown languages in ${key}: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// List all processing jobs
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Failed to list jobs',
+      details: error.message
+    });
+  }
+});
+
+// Get a single job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({
+      error: 'Failed to get job',
+      details: error.message
+    });
+  }
+});
+
+// Create a job for a YouTube URL and start processing it
+app.post('/api/jobs', async (req, res) => {
+  try {
+    const { url, liveStreamChoice, options = {}, rerun = false } = req.body;
+    if (!url) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+
+    const videoId = extractVideoId(url);
+    if (!videoId) {
+      return res.status(400).json({ error: 'Invalid YouTube URL format' });
+    }
+
+    const optionsError = validateJobOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    // Reuse saved video details when we have them
+    let videoInfo = (await getExistingVideoDetails(videoId))?.details;
+    if (!videoInfo) {
+      videoInfo = await fetchVideoInfo(videoId);
+      if (!videoInfo) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      await saveVideoInfo(videoId, videoInfo);
+    }
+
+    const isLive = Boolean(videoInfo.isLiveContent);
+    if (isLive && !liveStreamChoice) {
+      return res.status(400).json({ error: 'Live stream choice is required for live content' });
+    }
+
+    // Checked here as well so the conflict is reported before the job goes to the background
+    const existingJob = await getJob(videoId);
+    const conflict = getStartConflict(existingJob, rerun === true);
+    if (conflict) {
+      return res.status(409).json({ error: conflict, job: existingJob });
+    }
+
+    // Run the pipeline in the background; progress is tracked in the job store
+    startJob({ videoId, url, isLive, liveStreamChoice, options, rerun: rerun === true }).catch(error => {
+      console.error('Error running job:', error);
+    });
+
+    const job = await getJob(videoId);
+    res.status(201).json(job);
+  } catch (error) {
+    console.error('Error creating job:', error);
+    res.status(500).json({
+      error: 'Failed to create job',
+      details: error.message
+    });
+  }
+});
+
+// Update job options, e.g. { "options": { "autoResume": false } }
+app.patch('/api/jobs/:id', async (req, res) => {
+  try {
+    const { options } = req.body;
+    if (!options || typeof options !== 'object') {
+      return res.status(400).json({ error: 'options object is required' });
+    }
+
+    const optionsError = validateJobOptions(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(await updateJob(req.params.id, { options }));
+  } catch (error) {
+    console.error('Error updating job:', error);
+    res.status(500).json({
+      error: 'Failed to update job',
+      details: error.message
+    });
+  }
+});
+
+// Pause a running job; POST /api/jobs/:id/resume picks it up where it left off
+app.post('/api/jobs/:id/pause', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'running' && job.status !== 'pending') {
+      return res.status(409).json({ error: `Job is ${job.status}, only running jobs can be paused`, job });
+    }
+
+    res.json(await pauseJob(job.id));
+  } catch (error) {
+    console.error('Error pausing job:', error);
+    res.status(500).json({
+      error: 'Failed to pause job',
+      details: error.message
+    });
+  }
+});
+
+// Resume a paused job
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'paused') {
+      return res.status(409).json({ error: `Job is ${job.status}, only paused jobs can be resumed`, job });
+    }
+
+    const budget = await checkBudget(job.id);
+    if (budget.exceeded) {
+      return res.status(409).json({
+        error: `Job has spent its budget ($${budget.spent.toFixed(4)} of $${budget.budget}). Raise options.budget to resume.`,
+        job
+      });
+    }
+
+    res.json(await resumePausedJob(job.id));
+  } catch (error) {
+    console.error('Error resuming job:', error);
+    res.status(500).json({
+      error: 'Failed to resume job',
+      details: error.message
+    });
+  }
+});
+
+// Stop a job: kills extraction, drops queued work and halts audio generation
+app.post('/api/jobs/:id/stop', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (FINISHED_STATUSES.has(job.status) || job.status === 'stopped') {
+      return res.status(409).json({ error: `Job is already ${job.status}`, job });
+    }
+
+    res.json(await stopJob(job.id));
+  } catch (error) {
+    console.error('Error stopping job:', error);
+    res.status(500).json({
+      error: 'Failed to stop job',
+      details: error.message
+    });
+  }
+});
+
+// Delete a job record (and its files when purge=true)
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    haltProcessing(id);
+    await deleteJob(id);
+
+    if (req.query.purge === 'true') {
+      await fs.rm(path.join(BASE_TEMP_DIR, id), { recursive: true, force: true });
+      dropManifest(id);
+    }
+
+    res.json({ status: 'deleted', id, purged: req.query.purge === 'true' });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({
+      error: 'Failed to delete job',
+      details: error.message
+    });
+  }
+});
+
+// Get a video's manifest: each fragment's offsets in the source and its derived files
+app.get('/api/videos/:id/manifest', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.json(await getManifest(req.params.id));
+  } catch (error) {
+    console.error('Error getting manifest:', error);
+    res.status(500).json({
+      error: 'Failed to get manifest',
+      details: error.message
+    });
+  }
+});
+
+// Get subtitles for the original transcript (language 'original') or a translation ('Hindi', 'hi')
+app.get('/api/videos/:id/subtitles/:language.:format', async (req, res) => {
+  const { id, language, format } = req.params;
+
+  if (!['srt', 'vtt'].includes(format)) {
+    return res.status(400).json({ error: 'Format must be srt or vtt' });
+  }
+
+  try {
+    const job = await getJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const subtitles = await exportSubtitles(id, language, format);
+    if (subtitles === null) {
+      return res.status(404).json({ error: `No subtitles for language: ${language}` });
+    }
+
+    res.set({
+      'Content-Type': format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${id}-${language}.${format}"`
+    });
+    res.send(subtitles);
+  } catch (error) {
+    console.error('Error exporting subtitles:', error);
+    res.status(500).json({
+      error: 'Failed to export subtitles',
+      details: error.message
+    });
+  }
+});
+
+// Validates a dubbed video export request, returning an error message or null
+function validateExportRequest(request) {
+  if (request.format !== undefined && !EXPORT_FORMATS.includes(request.format)) {
+    return `Unknown export format: ${request.format}. Available: ${EXPORT_FORMATS.join(', ')}`;
+  }
+  if (request.subtitles !== undefined && !SUBTITLE_MODES.includes(request.subtitles)) {
+    return `Unknown subtitles mode: ${request.subtitles}. Available: ${SUBTITLE_MODES.join(', ')}`;
+  }
+  if (request.includeOriginalAudio !== undefined && typeof request.includeOriginalAudio !== 'boolean') {
+    return 'includeOriginalAudio must be true or false';
+  }
+  for (const key of ['languages', 'subtitleLanguages']) {
+    if (request[key] === undefined) continue;
+    if (!Array.isArray(request[key])) {
+      return `${key} must be a list of language names or codes`;
+    }
+    const unknown = request[key].filter(lang => !resolveLanguage(lang) && !(key === 'subtitleLanguages' && lang === 'original'));
+    if (unknown.length) {
+      return `Unknown languages in ${key}: ${unknown.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+// List a video's dubbed video exports and their progress, newest first
+app.get('/api/videos/:id/exports', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.json({ exports: await getExports(req.params.id) });
+  } catch (error) {
+    console.error('Error listing exports:', error);
+    res.status(500).json({
+      error: 'Failed to list exports',
+      details: error.message
+    });
+  }
+});
+
+// Start a dubbed video export: the original video with a track per dubbed language
+app.post('/api/videos/:id/exports', async (req, res) => {
+  const request = req.body || {};
+  const validationError = validateExportRequest(request);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.status(202).json(await startExport(req.params.id, request));
+  } catch (error) {
+    if (error.code === 'export_running') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'nothing_to_export') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error starting export:', error);
+    res.status(500).json({
+      error: 'Failed to start export',
+      details: error.message
+    });
+  }
+});
+
+// Get one export's progress
+app.get('/api/videos/:id/exports/:exportId', async (req, res) => {
+  try {
+    const item = (await getExports(req.params.id)).find(candidate => candidate.id === req.params.exportId);
+    if (!item) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    res.json(item);
+  } catch (error) {
+    console.error('Error getting export:', error);
+    res.status(500).json({
+      error: 'Failed to get export',
+      details: error.message
+    });
+  }
+});
+
+// Download a finished export
+app.get('/api/videos/:id/exports/:exportId/file', async (req, res) => {
+  try {
+    const filePath = await getExportFile(req.params.id, req.params.exportId);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Export not found or not finished' });
+    }
+    res.download(filePath);
+  } catch (error) {
+    console.error('Error downloading export:', error);
+    res.status(500).json({
+      error: 'Failed to download export',
+      details: error.message
+    });
+  }
+});
+
 // Add endpoint to check transcription status
 app.get('/api/transcription-status/:videoId', async (req, res) => {
   try {
@@ -481,15 +1187,6 @@ app.get('/api/translation-status/:videoId', async (req, res) => {
 app.get('/api/audio-status/:videoId', async (req, res) => {
     try {
         const { videoId } = req.params;
-        
-        // Ensure directories exist
-        try {
-            await ensureAudioDirectories(videoId);
-        } catch (error) {
-            console.error('Error ensuring directories exist:', error);
-            // Continue even if directory creation fails
-        }
-        
         const status = await getAudioStatus(videoId);
         res.json(status);
     } catch (error) {
@@ -498,35 +1195,18 @@ app.get('/api/audio-status/:videoId', async (req, res) => {
     }
 });
 
-// Update the existing video processing endpoint to include audio generation
-app.post('/api/process-video', async (req, res) => {
+// Measured loudness of the dubbed fragments and how consistent it is
+app.get('/api/loudness-status/:videoId', async (req, res) => {
     try {
-        const { videoUrl } = req.body;
-        
-        // ... existing validation and extraction code ...
-
-        // Start audio generation watcher after transcription is set up
-        const audioWatcher = await setupAudioWatcher(videoId);
-        
-        res.json({
-            status: 'success',
-            message: 'Video processing started',
-            videoId
-        });
+        const { videoId } = req.params;
+        const status = await getLoudnessStatus(videoId);
+        res.json(status);
     } catch (error) {
-        console.error('Error processing video:', error);
-        res.status(500).json({ error: 'Failed to process video' });
+        console.error('Error getting loudness status:', error);
+        res.status(500).json({ error: 'Failed to get loudness status' });
     }
 });
 
-// Update the translation watcher to start audio sync after translations
-activeTranslationWatchers.forEach(async (watcher, videoId) => {
-    watcher.on('change', async (eventType, filename) => {
-        // Start audio sync manager after translation is complete
-        await startAudioSyncManager(videoId);
-    });
-});
-
 // Create HTTP server
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
@@ -560,58 +1240,38 @@ function broadcastNewFragment(videoId, language, fragmentNumber) {
 }
 
 // Remove duplicate endpoints and keep only these two endpoints
+// Dubbed fragments for a language, in playback order, from the video's manifest
+// ?rendition=mixed lists the voice mixed over the ducked original instead of the voice only
 app.get('/api/audio/:videoId/:language/fragments', async (req, res) => {
   const { videoId, language } = req.params;
-  const languageDir = path.join(BASE_TEMP_DIR, videoId, 'FinalTranslatedAudio', language);
+  const kind = req.query.rendition === 'mixed' ? 'mixedAudio' : 'dubbedAudio';
   
   try {
-    console.log(`📂 Checking fragments in ${languageDir}`);
-    
-    // First ensure the directory exists
-    await ensureAudioDirectories(videoId);
-    
-    // Check if directory exists
-    const dirExists = await fs.access(languageDir)
-      .then(() => true)
-      .catch(() => false);
-    
-    if (!dirExists) {
-      console.log(`❌ Directory not found: ${languageDir}`);
-      return res.json({ 
-        files: [],
-        directory: languageDir,
-        totalFiles: 0,
-        audioFiles: 0
-      });
-    }
+    const manifest = await getManifest(videoId);
+    const sorted = getSortedFragments(manifest);
+    const fragments = sorted
+      .filter(fragment => fragment[kind]?.[language])
+      .map(fragment => ({
+        fragment: fragment.fragment,
+        file: path.basename(fragment[kind][language].file),
+        duration: fragment.dubbedAudio?.[language]?.duration,
+        start: fragment.start,
+        end: fragment.end
+      }));
 
-    // Read directory contents
-    const allFiles = await fs.readdir(languageDir);
-    console.log(`📁 All files in directory:`, allFiles);
-    
-    // Filter and sort MP3 files only
-    const audioFiles = allFiles
-      .filter(file => file.endsWith('.mp3'))
-      .sort((a, b) => {
-        const numA = parseInt(a.match(/\d+/)?.[0] || '0');
-        const numB = parseInt(b.match(/\d+/)?.[0] || '0');
-        return numA - numB;
-      });
-
-    console.log(`✅ Found ${audioFiles.length} MP3 fragments:`, audioFiles);
-    
     res.json({
-      files: audioFiles,
-      directory: languageDir,
-      totalFiles: allFiles.length,
-      audioFiles: audioFiles.length
+      files: fragments.map(fragment => fragment.file),
+      fragments,
+      totalFiles: fragments.length,
+      audioFiles: fragments.length,
+      // Renditions the player can choose between
+      renditions: sorted.some(fragment => fragment.mixedAudio?.[language]) ? ['voice', 'mixed'] : ['voice']
     });
   } catch (error) {
     console.error(`❌ Error getting fragments for ${language}:`, error);
     res.status(500).json({ 
       error: 'Failed to get fragments',
-      details: error.message,
-      path: languageDir
+      details: error.message
     });
   }
 });
@@ -698,11 +1358,73 @@ app.get('/api/audio/:videoId/:language/:filename', async (req, res) => {
   }
 });
 
+// Continuous HLS stream of a language's dubbed audio: the playlist is built from the manifest
+// on each request, segments are served from the language's HLS folder
+app.get('/api/hls/:videoId/:language/:file', async (req, res) => {
+  const { videoId, file } = req.params;
+  let { language } = req.params;
+
+  try {
+    // Only the job's audio languages have HLS folders (by name or code)
+    const job = await getJob(videoId);
+    const audioLanguage = job && getJobLanguages(job.options).audio
+      .find(lang => lang.name === language || lang.code === language);
+    if (!audioLanguage) {
+      return res.status(404).json({ error: `${language} is not an audio language of ${videoId}` });
+    }
+    language = audioLanguage.name;
+
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (file === 'playlist.m3u8') {
+      const playlist = await buildPlaylist(videoId, language);
+      if (!playlist) {
+        return res.status(404).json({ error: `No HLS segments for ${language} yet` });
+      }
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      return res.send(playlist);
+    }
+
+    if (!/^segment-\d+\.ts$/.test(file)) {
+      return res.status(404).json({ error: 'Unknown HLS file' });
+    }
+    const segmentPath = path.join(getHlsDir(videoId, language), file);
+    if (!existsSync(segmentPath)) {
+      return res.status(404).json({ error: 'HLS segment not found' });
+    }
+    res.setHeader('Content-Type', 'video/mp2t');
+    createReadStream(segmentPath)
+      .on('error', error => {
+        console.error('❌ Error streaming HLS segment:', error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Error streaming HLS segment' });
+        }
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error(`❌ Error serving HLS ${file} for ${language}:`, error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to serve HLS', details: error.message });
+    }
+  }
+});
+
 // Add status endpoint
 app.get('/api/status', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    pipeline: pipeline.getStats(),
+    ttsProviders: listTtsProviders()
+  });
 });
 
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Pick up whatever was in progress when the server last stopped
+  resumeUnfinishedJobs().catch(error => {
+    console.error('Error resuming jobs:', error);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getManifest, getSortedFragments } from './fragmentManifest.js';
+import { resolveLanguage } from './languages.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+// Caption layout: at most two lines of 42 characters per cue (YouTube's recommendation)
+const MAX_LINE_LENGTH = 42;
+const MAX_CUE_LENGTH = MAX_LINE_LENGTH * 2;
+const MIN_CUE_SECONDS = 0.5;
+
+/**
+ * Reads a JSON file relative to the video's temp_files folder, or null if it can't be read
+ */
+async function readArtifact(videoId, file) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(BASE_TEMP_DIR, videoId, file), 'utf-8'));
+    } catch (error) {
+        console.error(`❌ Error reading ${file} for subtitles:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Finds the manifest key for a requested subtitle language.
+ * 'original' is the transcript; anything else is matched against the translated
+ * languages by name or code ('Hindi', 'hi').
+ * @returns {string|null} - 'original', a translation language name, or null if unknown
+ */
+function resolveSubtitleLanguage(manifest, language) {
+    if (language.toLowerCase() === 'original') return 'original';
+
+    const translated = new Set(getSortedFragments(manifest)
+        .flatMap(fragment => Object.keys(fragment.translations || {})));
+    const name = resolveLanguage(language)?.name || language;
+    return [...translated].find(lang => lang.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Splits text into pieces that fit in one cue, preferring sentence and clause breaks
+ */
+function splitCueText(text) {
+    const sentences = text
+        .split(/(?<=[.!?।॥])\s+/u)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+
+    const pieces = [];
+    for (const sentence of sentences) {
+        let rest = sentence;
+        while (rest.length > MAX_CUE_LENGTH) {
+            // Break at the last clause or word boundary that fits
+            const window = rest.slice(0, MAX_CUE_LENGTH + 1);
+            const clauseBreak = window.search(/[,;:][^,;:]*$/u);
+            const breakAt = clauseBreak > MAX_CUE_LENGTH / 2 ? clauseBreak + 1 : window.lastIndexOf(' ');
+            const cut = breakAt > 0 ? breakAt : MAX_CUE_LENGTH;
+            pieces.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+        if (rest) pieces.push(rest);
+    }
+    return pieces;
+}
+
+/**
+ * Wraps cue text onto at most two balanced lines
+ */
+function wrapCueText(text) {
+    if (text.length <= MAX_LINE_LENGTH) return text;
+
+    // Break at the space closest to the middle
+    const middle = Math.floor(text.length / 2);
+    const before = text.lastIndexOf(' ', middle);
+    const after = text.indexOf(' ', middle);
+    const breakAt = before === -1 ? after
+        : after === -1 ? before
+        : (middle - before <= after - middle ? before : after);
+    if (breakAt === -1) return text;
+
+    return `${text.slice(0, breakAt)}\n${text.slice(breakAt + 1)}`;
+}
+
+/**
+ * Spreads pieces of text over a time range, in proportion to their length
+ */
+function distributeOverRange(pieces, start, end) {
+    const totalLength = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let cursor = start;
+    return pieces.map(piece => {
+        const cueEnd = cursor + (end - start) * (piece.length / totalLength);
+        const cue = { start: cursor, end: cueEnd, text: piece };
+        cursor = cueEnd;
+        return cue;
+    });
+}
+
+/**
+ * Cues for one fragment of the original transcript: its segments moved onto the
+ * source timeline, clamped to the fragment's range
+ */
+function getTranscriptCues(fragment, transcription) {
+    const segments = (transcription.segments || []).filter(segment => segment.text?.trim());
+    if (segments.length === 0) {
+        return transcription.text?.trim()
+            ? distributeOverRange(splitCueText(transcription.text.trim()), fragment.start, fragment.end)
+            : [];
+    }
+
+    return segments.flatMap(segment => {
+        const start = Math.min(fragment.start + segment.start, fragment.end);
+        const end = Math.min(fragment.start + segment.end, fragment.end);
+        return distributeOverRange(splitCueText(segment.text.trim()), start, end);
+    });
+}
+
+/**
+ * Cues for one fragment of a translation. The translated text has no timings of its own,
+ * so it is aligned to the fragment's range: sentence by sentence onto the transcript
+ * segments when the counts match, otherwise spread over the span where speech was heard.
+ */
+function getTranslationCues(fragment, translation, transcription) {
+    const text = (typeof translation === 'string' ? translation : translation?.text)?.trim();
+    if (!text) return [];
+
+    const segments = (transcription?.segments || []).filter(segment => segment.text?.trim());
+    const sentences = text
+        .split(/(?<=[.!?।॥])\s+/u)
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+
+    if (segments.length > 1 && segments.length === sentences.length) {
+        return segments.flatMap((segment, index) => {
+            const start = Math.min(fragment.start + segment.start, fragment.end);
+            const end = Math.min(fragment.start + segment.end, fragment.end);
+            return distributeOverRange(splitCueText(sentences[index]), start, end);
+        });
+    }
+
+    const speechStart = segments.length ? fragment.start + segments[0].start : fragment.start;
+    const speechEnd = segments.length ? fragment.start + segments[segments.length - 1].end : fragment.end;
+    return distributeOverRange(
+        splitCueText(text),
+        Math.min(speechStart, fragment.end),
+        Math.min(speechEnd, fragment.end)
+    );
+}
+
+/**
+ * Builds the cues for a video on a single timeline, in seconds from the start of the source
+ * @param {string} videoId - Video ID
+ * @param {string} language - 'original', or a translated language name or code
+ * @returns {Promise<Array|null>} - [{ start, end, text }], or null if the language has no subtitles
+ */
+async function buildSubtitleCues(videoId, language) {
+    const manifest = await getManifest(videoId);
+    const subtitleLanguage = resolveSubtitleLanguage(manifest, language);
+    if (!subtitleLanguage) return null;
+
+    const cues = [];
+    for (const fragment of getSortedFragments(manifest)) {
+        if (fragment.start === undefined || !fragment.transcription) continue;
+
+        const transcription = await readArtifact(videoId, fragment.transcription.file);
+        if (subtitleLanguage === 'original') {
+            if (transcription) cues.push(...getTranscriptCues(fragment, transcription));
+            continue;
+        }
+
+        const translationFile = fragment.translations?.[subtitleLanguage]?.file;
+        if (!translationFile) continue;
+        const translated = await readArtifact(videoId, translationFile);
+        if (translated) cues.push(...getTranslationCues(fragment, translated.translation, transcription));
+    }
+
+    // Keep cues in order without overlaps, and long enough to read
+    let previousEnd = 0;
+    return cues
+        .map(cue => {
+            const start = Math.max(cue.start, previousEnd);
+            const end = Math.max(cue.end, start + MIN_CUE_SECONDS);
+            previousEnd = end;
+            return { start, end, text: wrapCueText(cue.text) };
+        });
+}
+
+/**
+ * Formats seconds as a subtitle timestamp: 00:01:02,345 (SRT) or 00:01:02.345 (VTT)
+ */
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+    const minutes = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, '0');
+    const secs = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+    const ms = String(totalMs % 1000).padStart(3, '0');
+    return `${hours}:${minutes}:${secs}${separator}${ms}`;
+}
+
+function toSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+        .join('\n');
+}
+
+function toVtt(cues) {
+    const body = cues
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+        .join('\n');
+    return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Renders a video's subtitles
+ * @param {string} videoId - Video ID
+ * @param {string} language - 'original', or a translated language name or code
+ * @param {string} format - 'srt' or 'vtt'
+ * @returns {Promise<string|null>} - Subtitle file contents, or null if the language has no subtitles
+ */
+async function exportSubtitles(videoId, language, format) {
+    const cues = await buildSubtitleCues(videoId, language);
+    if (!cues) return null;
+    return format === 'vtt' ? toVtt(cues) : toSrt(cues);
+}
+
+export { buildSubtitleCues, exportSubtitles };
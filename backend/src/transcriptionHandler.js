@@ -1,22 +1,12 @@
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
-import { createReadStream } from 'fs';
-import { watch } from 'fs';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
-
-// Initialize OpenAI client
-if (!process.env.OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY is not set in environment variables');
-    process.exit(1);
-}
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+import { getJob, markFragment } from './jobStore.js';
+import { getAsrProvider } from './asrProviders.js';
+import { resolveLanguage } from './languages.js';
+import { getAsrHints } from './glossary.js';
+import { getContextSettings, getAsrContextPrompt } from './fragmentContext.js';
+import { recordUsage } from './usageLedger.js';
+import { getManifest, getSortedFragments, recordArtifact } from './fragmentManifest.js';
 
 // Ensure directory exists
 async function ensureDirectoryExists(dirPath) {
@@ -27,8 +17,74 @@ async function ensureDirectoryExists(dirPath) {
     }
 }
 
+/**
+ * Transcribes a fragment and works out its spoken language.
+ * - options.language set: that language is used as-is
+ * - Otherwise the provider auto-detects. With an allowed-language list, Google gets the
+ *   list as alternative language codes; Whisper providers auto-detect first and, if the
+ *   result is outside the list, retry with each allowed language and keep the most confident.
+ * @returns {Object} - { transcription, language: { code, name, confidence, transcriptConfidence, method }, attempts }
+ *                     (attempts: how many times the audio was sent to the provider)
+ */
+async function transcribeWithLanguageDetection(provider, audioPath, options, allowedLanguages = []) {
+    const allowed = allowedLanguages.map(resolveLanguage).filter(Boolean);
+    const describe = (transcription, method, fallback = null) => {
+        const language = resolveLanguage(transcription.language) || fallback;
+        return {
+            code: language?.code || transcription.language || null,
+            name: language?.name || transcription.language || null,
+            // The provider's probability for the detected language, where it reports one
+            confidence: transcription.languageConfidence ?? null,
+            // The transcript's confidence in that language, which best-of-allowed compares
+            transcriptConfidence: transcription.confidence,
+            method
+        };
+    };
+
+    if (options.language) {
+        const transcription = await provider.transcribe(audioPath, options);
+        return { transcription, language: describe(transcription, 'forced', resolveLanguage(options.language)), attempts: 1 };
+    }
+
+    if (allowed.length && provider.supportsAlternativeLanguages) {
+        const transcription = await provider.transcribe(audioPath, {
+            ...options,
+            language: allowed[0].code,
+            alternativeLanguages: allowed.slice(1).map(lang => lang.code)
+        });
+        return { transcription, language: describe(transcription, 'detected'), attempts: 1 };
+    }
+
+    const transcription = await provider.transcribe(audioPath, options);
+    const detected = resolveLanguage(transcription.language);
+    if (!allowed.length || allowed.some(lang => lang.code === detected?.code)) {
+        return { transcription, language: describe(transcription, 'detected'), attempts: 1 };
+    }
+
+    // Detected something outside the allowed list: try each allowed language instead
+    console.log(`Detected ${transcription.language}, not in allowed languages; trying ${allowed.map(lang => lang.code).join(', ')}`);
+    let best = null;
+    let attempts = 1;
+    for (const lang of allowed) {
+        attempts++;
+        try {
+            const candidate = await provider.transcribe(audioPath, { ...options, language: lang.code });
+            if (!best || (candidate.confidence ?? 0) > (best.transcription.confidence ?? 0)) {
+                best = { transcription: candidate, lang };
+            }
+        } catch (error) {
+            console.error(`Transcription as ${lang.name} failed:`, error.message);
+        }
+    }
+    if (!best) {
+        throw new Error('Transcription failed for every allowed language');
+    }
+    return { transcription: best.transcription, language: describe(best.transcription, 'best-of-allowed', best.lang), attempts };
+}
+
 // Function to transcribe a single audio fragment
-async function transcribeAudioFragment(audioPath, outputPath) {
+// provider: an ASR provider from asrProviders.js; options are passed through to it
+async function transcribeAudioFragment(audioPath, outputPath, provider = getAsrProvider(), options = {}, allowedLanguages = []) {
     try {
         console.log('\n=== Starting Transcription ===');
         console.log(`Input: ${audioPath}`);
@@ -46,30 +102,15 @@ async function transcribeAudioFragment(audioPath, outputPath) {
             throw error;
         }
         
-        // 2. Create stream and verify
-        let audioStream;
-        try {
-            audioStream = createReadStream(audioPath);
-            console.log('✓ Audio stream created');
-        } catch (error) {
-            console.error('❌ Stream creation error:', error.message);
-            throw error;
-        }
-        
-        // 3. Make API call
-        console.log('Making Whisper API call...');
+        // 2. Transcribe with the selected provider
         let transcription;
+        let language;
+        let attempts;
         try {
-            transcription = await openai.audio.transcriptions.create({
-                file: audioStream,
-                model: 'whisper-1',
-                response_format: 'verbose_json',
-                temperature: 0,
-                language: 'en'
-            });
-            console.log('✓ API call successful');
+            ({ transcription, language, attempts } = await transcribeWithLanguageDetection(provider, audioPath, options, allowedLanguages));
+            console.log(`✓ Transcribed with ${provider.name} (language: ${language.name}, ${language.method})`);
         } catch (error) {
-            console.error('❌ API call failed:', error.message);
+            console.error(`❌ ${provider.name} transcription failed:`, error.message);
             if (error.response) {
                 console.error('API Response:', {
                     status: error.response.status,
@@ -79,16 +120,21 @@ async function transcribeAudioFragment(audioPath, outputPath) {
             throw error;
         }
 
-        // 4. Prepare results
+        // 3. Prepare results
         const results = {
             text: transcription.text,
             segments: transcription.segments,
+            words: transcription.words,
+            language,
+            confidence: transcription.confidence,
             duration: transcription.duration,
+            provider: transcription.provider,
             audioFile: path.basename(audioPath),
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            attempts
         };
 
-        // 5. Save results
+        // 4. Save results
         try {
             // Ensure the directory exists again just before writing
             await ensureDirectoryExists(path.dirname(outputPath));
@@ -117,131 +163,63 @@ async function transcribeAudioFragment(audioPath, outputPath) {
     }
 }
 
-// Function to setup transcription for a video
-async function setupTranscriptionWatcher(videoId) {
-    try {
-        console.log('\n=== Setting up Transcription Process ===');
-        console.log('Video ID:', videoId);
-
-        const baseDir = process.cwd();
-        console.log('Base directory:', baseDir);
+// Function to transcribe one extracted fragment of a video (called by the pipeline orchestrator)
+async function transcribeFragment(videoId, fragmentNum) {
+    const baseDir = process.cwd();
+    const fileName = `fragment-${fragmentNum}`;
+    const audioPath = path.join(baseDir, 'temp_files', videoId, 'ExtractedAudio', 'FinalExtracted', `${fileName}.wav`);
+    const outputPath = path.join(baseDir, 'temp_files', videoId, 'ExtractedText', `${fileName}.json`);
 
-        const finalExtractedDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedAudio', 'FinalExtracted');
-        const extractedTextDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedText');
-
-        console.log('Directories:');
-        console.log('- FinalExtracted:', finalExtractedDir);
-        console.log('- ExtractedText:', extractedTextDir);
-
-        // Verify FinalExtracted exists
-        try {
-            await fs.access(finalExtractedDir);
-            console.log('✓ FinalExtracted directory exists');
-        } catch (error) {
-            console.error('❌ FinalExtracted directory not found');
-            throw error;
-        }
-
-        // Create ExtractedText directory
-        try {
-            await ensureDirectoryExists(extractedTextDir);
-            console.log('✓ ExtractedText directory ready');
-            
-            // Verify write permissions
-            const testPath = path.join(extractedTextDir, '.test');
-            await fs.writeFile(testPath, 'test');
-            await fs.unlink(testPath);
-            console.log('✓ Write permissions verified');
-        } catch (error) {
-            console.error('❌ Cannot create or write to ExtractedText directory:', error.message);
-            throw error;
-        }
-
-        // Get existing transcriptions
-        const existingTranscriptions = new Set();
-        try {
-            const files = await fs.readdir(extractedTextDir);
-            const jsonFiles = files.filter(f => f.endsWith('.json'));
-            console.log(`Found ${jsonFiles.length} existing transcriptions`);
-            jsonFiles.forEach(f => {
-                existingTranscriptions.add(f.replace('.json', '.wav'));
-                console.log(`- Existing: ${f}`);
-            });
-        } catch (error) {
-            console.log('No existing transcriptions found');
-        }
-
-        // Process audio files
-        try {
-            console.log('\n=== Starting Initial File Processing ===');
-            const audioFiles = await fs.readdir(finalExtractedDir);
-            const wavFiles = audioFiles.filter(file => file.endsWith('.wav'));
-            console.log(`Found ${wavFiles.length} WAV files to process`);
-
-            const sortedAudioFiles = wavFiles.sort((a, b) => {
-                const numA = parseInt(a.match(/fragment-(\d+)\.wav$/)?.[1] || '0');
-                const numB = parseInt(b.match(/fragment-(\d+)\.wav$/)?.[1] || '0');
-                return numA - numB;
-            });
-
-            console.log('Processing order:', sortedAudioFiles.join(', '));
+    console.log(`\n>>> Starting transcription for: ${videoId}/${fileName}.wav`);
+    try {
+        // Provider and its options can be chosen per job
+        const job = await getJob(videoId);
+        const provider = getAsrProvider(job?.options?.asrProvider);
+        const options = { ...job?.options?.asrOptions };
+        const allowedLanguages = job?.options?.allowedLanguages || [];
 
-            // Process each file
-            for (const file of sortedAudioFiles) {
-                if (!existingTranscriptions.has(file)) {
-                    console.log(`\n>>> Starting transcription for: ${file}`);
-                    const audioPath = path.join(finalExtractedDir, file);
-                    const outputPath = path.join(extractedTextDir, `${path.basename(file, '.wav')}.json`);
-                    
-                    try {
-                        await transcribeAudioFragment(audioPath, outputPath);
-                        console.log(`✓ Successfully transcribed: ${file}`);
-                        existingTranscriptions.add(file);
-                    } catch (error) {
-                        console.error(`❌ Failed to transcribe ${file}:`, error.message);
-                        // Continue with next file even if one fails
-                    }
-                } else {
-                    console.log(`Skipping existing: ${file}`);
-                }
+        // Glossary terms as phrase hints (Google) and prompt vocabulary (Whisper)
+        if (job?.options?.useGlossary !== false) {
+            const hints = await getAsrHints();
+            if (hints.phrases.length) {
+                options.phrases = [...(options.phrases || []), ...hints.phrases];
+                options.prompt = [options.prompt, hints.prompt].filter(Boolean).join(' ');
             }
+        }
 
-            console.log('\n=== Initial Processing Complete ===');
-        } catch (error) {
-            console.error('❌ Error processing files:', error.message);
-            throw error;
+        // The end of the previous fragment's transcript goes last: Whisper weighs the end of its
+        // prompt most, and reads it as the text just before this audio
+        const previousText = await getAsrContextPrompt(videoId, fragmentNum, getContextSettings(job?.options));
+        if (previousText) {
+            options.prompt = [options.prompt, previousText].filter(Boolean).join(' ');
         }
 
-        // Set up watcher for new files
-        console.log('\n=== Setting up File Watcher ===');
-        const watcher = watch(finalExtractedDir, { persistent: true });
-        
-        watcher.on('change', async (eventType, filename) => {
-            console.log(`File watcher event: ${eventType} - ${filename}`);
-            if (filename && filename.endsWith('.wav')) {
-                // Wait a bit to ensure file is completely written
-                setTimeout(async () => {
-                    if (!existingTranscriptions.has(filename)) {
-                        console.log(`\n>>> Processing new file: ${filename}`);
-                        const audioPath = path.join(finalExtractedDir, filename);
-                        const outputPath = path.join(extractedTextDir, `${path.basename(filename, '.wav')}.json`);
-                        
-                        try {
-                            await transcribeAudioFragment(audioPath, outputPath);
-                            console.log(`✓ Successfully transcribed new file: ${filename}`);
-                            existingTranscriptions.add(filename);
-                        } catch (error) {
-                            console.error(`❌ Failed to transcribe new file ${filename}:`, error.message);
-                        }
-                    }
-                }, 1000);
-            }
+        const results = await transcribeAudioFragment(audioPath, outputPath, provider, options, allowedLanguages);
+        // Every attempt sent the whole fragment, so every attempt is billed
+        await recordUsage({
+            videoId,
+            fragment: fragmentNum,
+            stage: 'transcription',
+            provider: provider.name,
+            model: options.model || null,
+            units: ((results.duration || 0) / 60) * results.attempts
         });
-
-        console.log('✓ File watcher setup complete');
-        return watcher;
+        await recordArtifact(videoId, fragmentNum, 'transcription', {
+            file: path.join('ExtractedText', `${fileName}.json`),
+            duration: results.duration,
+            language: results.language.code
+        });
+        await markFragment(videoId, 'transcription', fragmentNum, 'completed', {
+            file: path.basename(outputPath),
+            provider: provider.name,
+            language: results.language.code
+        });
+        console.log(`✓ Successfully transcribed: ${fileName}.wav`);
     } catch (error) {
-        console.error('\n❌ Fatal Error:', error.message);
+        console.error(`❌ Failed to transcribe ${fileName}.wav:`, error.message);
+        await markFragment(videoId, 'transcription', fragmentNum, 'error', {
+            error: error.message
+        });
         throw error;
     }
 }
@@ -249,21 +227,24 @@ async function setupTranscriptionWatcher(videoId) {
 // Function to get transcription status
 async function getTranscriptionStatus(videoId) {
     try {
-        const baseDir = process.cwd();
-        const finalExtractedDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedAudio', 'FinalExtracted');
-        const extractedTextDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedText');
-
-        const audioFiles = await fs.readdir(finalExtractedDir).then(
-            files => files.filter(f => f.endsWith('.wav'))
-        ).catch(() => []);
+        const job = await getJob(videoId);
+        if (!job) {
+            throw new Error(`Job not found: ${videoId}`);
+        }
 
-        const transcriptionFiles = await fs.readdir(extractedTextDir).then(
-            files => files.filter(f => f.endsWith('.json'))
-        ).catch(() => []);
+        // Files come from the manifest; failures from the job store
+        const fragments = getSortedFragments(await getManifest(videoId));
+        const audioFiles = fragments.filter(fragment => fragment.audio);
+        const transcriptionFiles = fragments.filter(fragment => fragment.transcription);
+        const failedFiles = Object.entries(job.stages.transcription.fragments)
+            .filter(([, fragment]) => fragment.status === 'error')
+            .map(([num]) => `fragment-${num}.wav`);
 
         return {
+            status: job.stages.transcription.status,
             totalAudioFiles: audioFiles.length,
             transcribedFiles: transcriptionFiles.length,
+            failedFiles,
             progress: audioFiles.length ? (transcriptionFiles.length / audioFiles.length) * 100 : 0,
             isComplete: audioFiles.length > 0 && audioFiles.length === transcriptionFiles.length
         };
@@ -278,4 +259,4 @@ async function getTranscriptionStatus(videoId) {
     }
 }
 
-export { setupTranscriptionWatcher, getTranscriptionStatus };
+export { transcribeFragment, getTranscriptionStatus };
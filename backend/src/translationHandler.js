@@ -1,41 +1,24 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
-import fs from 'fs/promises';
-import path from 'path';
+import { resolveLanguage, getJobLanguages } from './languages.js';
+import { getTranslationProviderFor } from './translationProviders.js';
+import { getGlossaryForText } from './glossary.js';
+import { getMemoryMode, lookupTranslation, rememberTranslation } from './translationMemory.js';
+import { priceUsage } from './usageLedger.js';
+import { getTranslationRoute, getRoutingTable } from './translationRoutes.js';
 
 dotenv.config();
 
-// Initialize OpenAI
-if (!process.env.OPENAI_API_KEY) {
-    console.error('Error: OPENAI_API_KEY is not set in environment variables');
-    process.exit(1);
-}
-
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
 // Constants
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 const MAX_TEXT_LENGTH = 4000; // Characters
-const GPT_COST_PER_1K_TOKENS = 0.002;
-
-// List of target languages with codes
-const targetLanguages = [
-    { name: "Hindi", code: "hi" },
-    { name: "Marathi", code: "mr" },
-    { name: "Gujarati", code: "gu" },
-    { name: "Tamil", code: "ta" },
-    { name: "Telugu", code: "te" },
-    { name: "Malayalam", code: "ml" },
-    { name: "Kannada", code: "kn" },
-    { name: "Punjabi", code: "pa" },
-    { name: "French", code: "fr" },
-    { name: "Russian", code: "ru" },
-    { name: "Spanish", code: "es" },
-    { name: "Sanskrit", code: "sa" }
-];
+
+// How the target languages are translated from English: one call per language, or one call
+// for all of them (per provider) with single calls for whatever the batch got wrong
+const TRANSLATION_MODES = ['single', 'batched'];
+const DEFAULT_MODE = process.env.TRANSLATION_MODE || 'single';
+
+const NO_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
 
 /**
  * Validates and sanitizes input text
@@ -49,8 +32,9 @@ function validateInput(text) {
         throw new Error('Input text must be a non-empty string');
     }
 
-    // Remove potentially harmful characters, keeping only letters, numbers, punctuation, and spaces
-    text = text.replace(/[^\p{L}\p{N}\p{P}\p{Z}]/gu, '');
+    // Remove potentially harmful characters, keeping only letters, combining marks (Indic vowel
+    // signs and viramas), numbers, punctuation, and spaces
+    text = text.replace(/[^\p{L}\p{M}\p{N}\p{P}\p{Z}]/gu, '');
 
     // Check if text is within length limits
     if (text.length > MAX_TEXT_LENGTH) {
@@ -66,35 +50,16 @@ function validateInput(text) {
 }
 
 /**
- * Detects the language of input text using GPT-3.5
+ * Detects the language of input text
  * @param {string} text - Text to analyze
+ * @param {Object} provider - Translation provider (detection is skipped if it can't detect)
  * @returns {Object} - Detected language info and token usage
  */
-async function detectLanguage(text) {
-    // Prepare messages for GPT-3.5
-    const messages = [
-        {
-            "role": "system",
-            "content": "You are a language detector. Return only a JSON response with the detected language name and confidence score."
-        },
-        {
-            "role": "user",
-            "content": `Detect the language of this text:\n${text}`
-        }
-    ];
-
-    // Make API call with specific parameters
-    const completion = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: messages,
-        temperature: 0,           // Use deterministic output
-        max_tokens: 800           // Limit response length
-    });
-
-    return {
-        detectedLanguage: completion.choices[0].message.content,
-        usage: completion.usage
-    };
+async function detectLanguage(text, provider) {
+    if (!provider.detectLanguage) {
+        return { detectedLanguage: null, usage: { total_tokens: 0 } };
+    }
+    return provider.detectLanguage(text);
 }
 
 /**
@@ -109,6 +74,8 @@ async function withRetry(operation, retries = MAX_RETRIES) {
             return await operation();
         } catch (error) {
             if (i === retries - 1) throw error;  // If last retry, throw error
+            // Unreadable model output: retrying would bill the same reply again
+            if (error.retryable === false) throw error;
             console.log(`Attempt ${i + 1} failed, retrying in ${RETRY_DELAY}ms...`);
             // Wait with exponential backoff
             await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (i + 1)));
@@ -117,169 +84,433 @@ async function withRetry(operation, retries = MAX_RETRIES) {
 }
 
 /**
- * Translates text to English
- * @param {string} originalText - Text to translate
- * @returns {Promise<Object>} - English translation and usage metrics
+ * Gets the translation mode for a job
  */
-async function getEnglishTranslation(originalText) {
-    // Prepare messages for GPT-3.5
-    const messages = [
-        {
-            "role": "system",
-            "content": `You are a translator. Return only the English translation, without adding any extra meanings or commentary.
-Rules:
-1. Output must be valid JSON only, with the structure: {"English": "text"}
-2. Be concise and faithful to the original.
-3. No extra text outside the JSON.
-4. Preserve formatting and punctuation.
-5. Maintain the original tone and style.`
-        },
-        {
-            "role": "user",
-            "content": `Translate to English only:\n${originalText}`
-        }
-    ];
+function getTranslationMode(jobOptions = {}) {
+    const mode = jobOptions?.translationMode || DEFAULT_MODE;
+    return TRANSLATION_MODES.includes(mode) ? mode : 'single';
+}
 
-    // Use retry wrapper for API call
-    return await withRetry(async () => {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: messages,
-            temperature: 0.1,     // Slight variation allowed
-            max_tokens: 500      // Allow longer translations
-        });
+/**
+ * A translation memory match as a provider result
+ */
+function memoryResult(match, provider) {
+    return {
+        text: match.translation,
+        usage: NO_USAGE,
+        model: match.model,
+        provider: provider.name,
+        memory: { hit: true, savedTokens: match.tokens, suggestion: null }
+    };
+}
 
-        const response = completion.choices[0].message.content.trim();
-        const parsed = JSON.parse(response);
+/**
+ * Translates text with a provider, reusing the translation memory where it can.
+ * On a miss the provider is called (with a fuzzy suggestion, if any) and the result remembered.
+ * @param {Object} request - { from, to, model, glossary, history, memoryMode }
+ * @returns {Promise<Object>} - Provider result, plus memory: { hit, savedTokens, suggestion }
+ */
+async function translateWithMemory(text, provider, { memoryMode = 'off', ...request }) {
+    const memoryRequest = { from: request.from, to: request.to, provider: provider.name, glossary: request.glossary || [] };
+    if (memoryMode === 'off') {
+        const result = await withRetry(() => provider.translate(text, request));
+        return { ...result, memory: { hit: false, savedTokens: 0, suggestion: null } };
+    }
 
-        return {
-            text: parsed.English,
-            usage: completion.usage
-        };
+    const { match, suggestion } = await lookupTranslation(text, memoryRequest, memoryMode);
+    if (match) {
+        return memoryResult(match, provider);
+    }
+
+    // Use retry wrapper for API call
+    const result = await withRetry(() => provider.translate(text, { ...request, suggestion }));
+    await rememberTranslation(text, memoryRequest, result);
+    return { ...result, memory: { hit: false, savedTokens: 0, suggestion } };
+}
+
+/**
+ * Translates text to English
+ * @param {string} originalText - Text to translate
+ * @param {Object} sourceLanguage - Language of the text (from languages.js), if known
+ * @param {Object} provider - Translation provider
+ * @param {Object} request - { model, glossary, history, memoryMode }: model override, glossary terms
+ *                           in the text, the previous fragment's text with its translation, and
+ *                           the translation memory mode
+ * @returns {Promise<Object>} - English translation and usage metrics
+ */
+async function getEnglishTranslation(originalText, sourceLanguage, provider, request = {}) {
+    return translateWithMemory(originalText, provider, {
+        ...request,
+        from: sourceLanguage,
+        to: resolveLanguage('en')
     });
 }
 
 /**
- * Translates English text to a target language
- * @param {string} englishText - Text to translate
+ * Translates text to a target language, from English unless the request says otherwise
+ * @param {string} text - Text to translate
  * @param {Object} language - Target language info
+ * @param {Object} provider - Translation provider
+ * @param {Object} request - { from, model, glossary, history, memoryMode }, as for getEnglishTranslation
  * @returns {Promise<Object>} - Translation and usage metrics
  */
-async function getSingleLanguageTranslation(englishText, language) {
-    // Prepare messages for GPT-3.5
-    const messages = [
-        {
-            "role": "system",
-            "content": `You are a translator. Translate the English text into ${language.name}.
-Rules:
-1. Output valid JSON only, with structure: {"${language.name}": "text"}
-2. Be concise and accurate.
-3. Preserve cultural context and idioms appropriately.
-4. Maintain formatting and punctuation.
-5. Consider regional variations and formal/informal tone.`
-        },
-        {
-            "role": "user",
-            "content": `Translate this English text to ${language.name}:\n${englishText}`
+async function getSingleLanguageTranslation(text, language, provider, request = {}) {
+    const result = await translateWithMemory(text, provider, {
+        from: resolveLanguage('en'),
+        ...request,
+        to: language
+    });
+    return { ...result, languageCode: language.code };
+}
+
+/**
+ * Translates text to several languages with one call per provider. Memory hits are
+ * reused as usual (fuzzy suggestions aren't sent in a batch); everything else goes into the
+ * batch. Languages the batch left out or got wrong are returned for single calls.
+ * @param {Object} from - Language of the text (English, or the source on a direct route)
+ * @param {Object[]} languages - Target languages (not English)
+ * @param {Object} request - { model, glossaries, history, memoryMode }, with glossaries and
+ *                           history keyed by language name
+ * @returns {Promise<Object>} - { results: { [language name]: result }, calls: the batch calls
+ *                              ([{ provider, model, usage }], billed whether or not they were
+ *                              usable), single: [language], fallback: [{ language, reason }] }
+ */
+async function getBatchTranslations(text, from, languages, options, request) {
+    const results = {};
+    const calls = [];
+    const single = [];
+    const fallback = [];
+
+    // Providers that can't batch translate one language at a time, as in single mode
+    const groups = new Map();
+    for (const lang of languages) {
+        const provider = getTranslationProviderFor(options, lang);
+        if (provider.translateBatch) {
+            groups.set(provider, [...(groups.get(provider) || []), lang]);
+        } else {
+            single.push(lang);
         }
-    ];
+    }
 
-    // Use retry wrapper for API call
-    return await withRetry(async () => {
-        const completion = await openai.chat.completions.create({
-            model: "gpt-3.5-turbo",
-            messages: messages,
-            temperature: 0.1,
-            max_tokens: 800
-        });
+    for (const [provider, group] of groups) {
+        const memoryRequestFor = lang => ({ from, to: lang, provider: provider.name, glossary: request.glossaries[lang.name] || [] });
+        const pending = [];
+        for (const lang of group) {
+            const match = request.memoryMode === 'off'
+                ? null
+                : (await lookupTranslation(text, memoryRequestFor(lang), 'exact')).match;
+            if (match) {
+                results[lang.name] = { ...memoryResult(match, provider), languageCode: lang.code };
+            } else {
+                pending.push(lang);
+            }
+        }
+        // Nothing to batch with: an ordinary call does the same job
+        if (pending.length < 2) {
+            single.push(...pending);
+            continue;
+        }
 
-        const response = completion.choices[0].message.content.trim();
-        const parsed = JSON.parse(response);
+        try {
+            const batch = await withRetry(() => provider.translateBatch(text, {
+                from,
+                targets: pending,
+                model: request.model,
+                glossaries: request.glossaries,
+                history: request.history
+            }));
+            calls.push({ provider: batch.provider, model: batch.model, usage: batch.usage });
 
-        return {
-            text: parsed[language.name],
-            usage: completion.usage,
-            languageCode: language.code
-        };
-    });
+            // The memory saves each language's share of the call
+            const share = Math.round(batch.usage.total_tokens / pending.length);
+            for (const lang of pending) {
+                const translated = batch.translations[lang.name];
+                if (!translated) {
+                    fallback.push({ language: lang, reason: batch.invalid[lang.name] || 'missing from the response' });
+                    continue;
+                }
+                const result = {
+                    text: translated,
+                    usage: NO_USAGE,
+                    model: batch.model,
+                    provider: batch.provider,
+                    repaired: batch.repaired,
+                    languageCode: lang.code,
+                    memory: { hit: false, savedTokens: 0, suggestion: null }
+                };
+                if (request.memoryMode !== 'off') {
+                    await rememberTranslation(text, memoryRequestFor(lang), { ...result, usage: { total_tokens: share } });
+                }
+                results[lang.name] = result;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Batch translation with ${provider.name} failed, translating one by one:`, error.message);
+            if (error.usage) {
+                calls.push({ provider: error.provider, model: error.model, usage: error.usage });
+            }
+            fallback.push(...pending.map(language => ({ language, reason: error.message })));
+        }
+    }
+
+    for (const { language, reason } of fallback) {
+        console.log(`↩️ ${language.name} ${reason}; translating it on its own`);
+    }
+    return { results, calls, single, fallback };
 }
 
 /**
  * Main translation function that handles the entire translation process
  * @param {string} originalText - Text to translate
- * @returns {Promise<Object>} - All translations and metrics
+ * @param {string} sourceLanguage - Language detected at transcription time (code or name).
+ *                                  Only when missing is the language detected here.
+ * @param {Object[]} targetLanguages - Registry entries to translate to (defaults to the registry's
+ *                                     text languages). English is always produced, as the pivot;
+ *                                     languages on a direct route are translated from the source.
+ * @param {Object} options - Job options: providers for each language, useGlossary
+ *                           (false to leave glossary terms out of the prompts), translationMemory
+ *                           and translationMode ('single' or 'batched')
+ * @param {Object} history - Chat history by language name, from the previous fragment (fragmentContext.js)
+ * @returns {Promise<Object>} - All translations, metrics, usage: the billable provider calls
+ *                              ([{ provider, model, units }], units in tokens) for the usage ledger,
+ *                              failures: { [language name]: { error, rawResponse, provider, model } }
+ *                              for languages that couldn't be translated (their translation is null),
+ *                              and routes: { [language name]: { route, from, via } } (translationRoutes.js)
  */
-async function translateText(originalText) {
+async function translateText(originalText, sourceLanguage = null, targetLanguages = getJobLanguages().text, options = {}, history = {}) {
     const startTime = Date.now();
     let totalTokens = 0;
     let totalPromptTokens = 0;
     let totalCompletionTokens = 0;
+    let memoryLookups = 0;
+    let memoryHits = 0;
+    let savedTokens = 0;
+    const memoryMode = getMemoryMode(options);
+    const translationMode = getTranslationMode(options);
+    let batchCalls = 0;
+    let batchedLanguages = 0;
+    const fallbackLanguages = [];
+    // Every provider call and memory hit, priced once translation is done
+    const calls = [];
+
+    // Counts tokens spent, and tokens saved by the translation memory
+    const trackUsage = (result) => {
+        totalPromptTokens += result.usage.prompt_tokens;
+        totalCompletionTokens += result.usage.completion_tokens;
+        totalTokens += result.usage.total_tokens;
+        if (memoryMode !== 'off') memoryLookups++;
+        if (result.memory.hit) {
+            memoryHits++;
+            savedTokens += result.memory.savedTokens;
+        }
+        calls.push({
+            provider: result.provider,
+            model: result.model,
+            units: result.usage.total_tokens,
+            savedUnits: result.memory.hit ? result.memory.savedTokens : 0
+        });
+    };
+
+    // Records why a language failed; a reply that couldn't be read was still billed
+    const failures = {};
+    const trackFailure = (language, provider, error) => {
+        console.error(`Translation failed for ${language.name}:`, error.message);
+        if (error.usage) {
+            totalPromptTokens += error.usage.prompt_tokens;
+            totalCompletionTokens += error.usage.completion_tokens;
+            totalTokens += error.usage.total_tokens;
+            calls.push({ provider: error.provider, model: error.model, units: error.usage.total_tokens, savedUnits: 0 });
+        }
+        failures[language.name] = {
+            error: error.message,
+            rawResponse: error.raw ?? null,
+            provider: error.provider || provider.name,
+            model: error.model || null
+        };
+    };
 
     try {
         // Step 1: Validate input text
         originalText = validateInput(originalText);
 
-        // Step 2: Detect original language
-        const languageDetection = await detectLanguage(originalText);
-        totalTokens += languageDetection.usage.total_tokens;
-
-        // Step 3: Get English translation
-        const englishResult = await getEnglishTranslation(originalText);
-        const englishTranslation = englishResult.text;
-        
-        // Track token usage
-        totalTokens += englishResult.usage.total_tokens;
-        totalPromptTokens += englishResult.usage.prompt_tokens;
-        totalCompletionTokens += englishResult.usage.completion_tokens;
-
-        // Step 4: Translate to all target languages in parallel
-        const translationPromises = targetLanguages.map(lang =>
-            getSingleLanguageTranslation(englishTranslation, lang)
-                .then(result => {
-                    // Track token usage for each translation
-                    totalPromptTokens += result.usage.prompt_tokens;
-                    totalCompletionTokens += result.usage.completion_tokens;
-                    totalTokens += result.usage.total_tokens;
-                    return { 
-                        [lang.name]: {
-                            text: result.text,
-                            languageCode: result.languageCode
-                        }
-                    };
-                })
-                .catch(error => {
-                    console.error(`Translation failed for ${lang.name}:`, error.message);
-                    return { [lang.name]: null };
-                })
-        );
+        // Step 2: Use the language stored with the transcription; only older
+        // transcriptions without one need a detection call
+        const source = resolveLanguage(sourceLanguage);
+        const english = resolveLanguage('en');
+        const englishProvider = getTranslationProviderFor(options, english);
+        const model = options.translationOptions?.model;
+        const glossaryFor = (text, language) => options.useGlossary === false
+            ? Promise.resolve([])
+            : getGlossaryForText(text, language);
+        let detectedLanguage = source?.name || sourceLanguage;
+        if (!detectedLanguage) {
+            const languageDetection = await detectLanguage(originalText, englishProvider);
+            totalTokens += languageDetection.usage.total_tokens;
+            detectedLanguage = languageDetection.detectedLanguage;
+            calls.push({ provider: englishProvider.name, model: null, units: languageDetection.usage.total_tokens, savedUnits: 0 });
+        }
+
+        // Step 3: Route each language: straight from the source, or through English.
+        // With an English source there is only one step either way.
+        const routingTable = getRoutingTable(options);
+        const otherLanguages = targetLanguages.filter(lang => lang.code !== 'en');
+        const routes = Object.fromEntries([english, ...otherLanguages]
+            .map(lang => [lang.name, getTranslationRoute(source, lang, options, routingTable)]));
+        const direct = source?.code === 'en' ? [] : otherLanguages.filter(lang => routes[lang.name].route === 'direct');
+        const pivoted = otherLanguages.filter(lang => !direct.includes(lang));
+
+        const toEntry = (name, result) => ({
+            [name]: {
+                text: result.text,
+                languageCode: result.languageCode,
+                provider: result.provider,
+                model: result.model,
+                route: routes[name].route,
+                repaired: result.repaired || false,
+                fromMemory: result.memory.hit,
+                memorySuggestion: result.memory.suggestion
+            }
+        });
+        const translateOne = (text, from, lang) => glossaryFor(text, lang)
+            .then(glossary => getSingleLanguageTranslation(text, lang, getTranslationProviderFor(options, lang), {
+                from,
+                model,
+                glossary,
+                history: history[lang.name],
+                memoryMode
+            }))
+            .then(result => {
+                // Track token usage for each translation
+                trackUsage(result);
+                return toEntry(lang.name, result);
+            })
+            .catch(error => {
+                trackFailure(lang, getTranslationProviderFor(options, lang), error);
+                return { [lang.name]: null };
+            });
+
+        // Translates text into several languages: one call each in parallel, or batched
+        const translateLanguages = async (text, from, languages) => {
+            if (translationMode !== 'batched') {
+                return Promise.all(languages.map(lang => translateOne(text, from, lang)));
+            }
+
+            const glossaries = Object.fromEntries(await Promise.all(languages
+                .map(async lang => [lang.name, await glossaryFor(text, lang)])));
+            const batch = await getBatchTranslations(text, from, languages, options, { model, glossaries, history, memoryMode });
+            for (const call of batch.calls) {
+                totalPromptTokens += call.usage.prompt_tokens;
+                totalCompletionTokens += call.usage.completion_tokens;
+                totalTokens += call.usage.total_tokens;
+                calls.push({ provider: call.provider, model: call.model, units: call.usage.total_tokens, savedUnits: 0 });
+            }
+            batchCalls += batch.calls.length;
+            fallbackLanguages.push(...batch.fallback.map(({ language }) => language.name));
+
+            const batched = Object.entries(batch.results).map(([name, result]) => {
+                trackUsage(result);
+                if (!result.memory.hit) batchedLanguages++;
+                return toEntry(name, result);
+            });
+            const singles = await Promise.all([...batch.single, ...batch.fallback.map(({ language }) => language)]
+                .map(lang => translateOne(text, from, lang)));
+            return [...batched, ...singles];
+        };
+
+        // Step 4: English (used as-is for English sources), then the pivoted languages from it.
+        // Direct languages don't wait for English.
+        const pivotStep = async () => {
+            if (source?.code === 'en') {
+                return { englishTranslation: originalText, englishResult: null, translations: await translateLanguages(originalText, english, pivoted) };
+            }
+
+            let englishResult;
+            try {
+                englishResult = await getEnglishTranslation(originalText, source, englishProvider, {
+                    model,
+                    glossary: await glossaryFor(originalText, english),
+                    history: history.English,
+                    memoryMode
+                });
+
+                // Track token usage
+                trackUsage(englishResult);
+            } catch (error) {
+                // Pivoted languages are translated from English, so they all fail with it
+                trackFailure(english, englishProvider, error);
+                return {
+                    englishTranslation: null,
+                    englishResult: null,
+                    translations: pivoted.map(lang => {
+                        failures[lang.name] = { error: 'No English translation to translate from', rawResponse: null, provider: null, model: null };
+                        return { [lang.name]: null };
+                    })
+                };
+            }
+            return { englishTranslation: englishResult.text, englishResult, translations: await translateLanguages(englishResult.text, english, pivoted) };
+        };
 
         // Wait for all translations to complete
-        const translations = await Promise.all(translationPromises);
+        const [{ englishTranslation, englishResult, translations: pivotedTranslations }, directTranslations] = await Promise.all([
+            pivotStep(),
+            translateLanguages(originalText, source, direct)
+        ]);
+        const translations = [...pivotedTranslations, ...directTranslations];
         const endTime = Date.now();
 
+        // Price what was spent and what the memory saved with the price table
+        let cost = 0;
+        let savedCost = 0;
+        for (const call of calls) {
+            cost += (await priceUsage('translation', call.provider, call.model, call.units)).cost;
+            savedCost += (await priceUsage('translation', call.provider, call.model, call.savedUnits)).cost;
+        }
+
         // Combine all translations into final result
         const allTranslations = {
             original: {
                 text: originalText,
-                detectedLanguage: languageDetection.detectedLanguage
+                detectedLanguage,
+                languageCode: source?.code || null
             },
-            English: {
+            English: englishTranslation === null ? null : {
                 text: englishTranslation,
-                languageCode: 'en'
+                languageCode: 'en',
+                provider: englishResult?.provider || null,
+                route: routes.English.route,
+                repaired: englishResult?.repaired || false,
+                fromMemory: englishResult?.memory.hit || false,
+                memorySuggestion: englishResult?.memory.suggestion || null
             },
             ...Object.assign({}, ...translations)
         };
 
-        // Return translations and metrics
+        // Return translations, metrics and the calls to record in the usage ledger
         return {
             translations: allTranslations,
+            usage: calls
+                .filter(call => call.units > 0)
+                .map(({ provider, model, units }) => ({ provider, model, units })),
+            failures,
+            routes,
             metrics: {
                 translationTime: (endTime - startTime) / 1000,  // Time in seconds
                 promptTokens: totalPromptTokens,
                 completionTokens: totalCompletionTokens,
                 totalTokens: totalTokens,
-                gptCost: (totalTokens / 1000) * GPT_COST_PER_1K_TOKENS,
-                characterCount: originalText.length
+                cost,
+                characterCount: originalText.length,
+                memoryLookups,
+                memoryHits,
+                savedTokens,
+                savedCost,
+                // For comparing modes: languageCount is how many languages were translated from
+                // English, batchCalls how many batch requests were made, batchedLanguages how many
+                // languages they translated, fallbackLanguages the ones retried on their own
+                mode: translationMode,
+                languageCount: otherLanguages.length,
+                batchCalls,
+                batchedLanguages,
+                fallbackLanguages
             }
         };
     } catch (error) {
@@ -288,4 +519,30 @@ async function translateText(originalText) {
     }
 }
 
-export { translateText, targetLanguages }; 
\ No newline at end of file
+/**
+ * Translates text again for one language, asking for a rendering of at most maxChars (for
+ * dubbed speech that runs too long). The translation memory is bypassed: a shortened
+ * rendering isn't the translation to reuse elsewhere.
+ * @param {string} text - Text the language was translated from
+ * @param {Object} from - Its language (registry entry)
+ * @param {Object} to - Target language (registry entry)
+ * @param {Object} options - Job options (provider, model, useGlossary)
+ * @returns {Promise<Object>} - { text, usage: [{ provider, model, units }] }
+ */
+async function translateShorter(text, from, to, options = {}, maxChars) {
+    const provider = getTranslationProviderFor(options, to);
+    const glossary = options.useGlossary === false ? [] : await getGlossaryForText(text, to);
+    const result = await withRetry(() => provider.translate(text, {
+        from,
+        to,
+        model: options.translationOptions?.model,
+        glossary,
+        maxChars
+    }));
+    return {
+        text: result.text,
+        usage: result.usage.total_tokens ? [{ provider: result.provider, model: result.model, units: result.usage.total_tokens }] : []
+    };
+}
+
+export { translateText, translateShorter, TRANSLATION_MODES }; 
\ No newline at end of file
@@ -1,12 +1,27 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { watch } from 'fs';
-import { translateText, targetLanguages } from './translationHandler.js';
+import { translateText, translateShorter } from './translationHandler.js';
+import { resolveLanguage, getJobLanguages } from './languages.js';
+import { checkTranslation } from './glossary.js';
+import { checkTranslationQuality } from './translationQuality.js';
+import { recordUsage } from './usageLedger.js';
+import { getTranslationRoute, getRoutingTable } from './translationRoutes.js';
+import {
+    getContextSettings,
+    splitTrailingPartial,
+    readTranslationContext,
+    saveTranslationContext,
+    buildTranslationHistory
+} from './fragmentContext.js';
+import { getJob, markFragment, reopenFragment } from './jobStore.js';
+import { getManifest, getSortedFragments, recordLanguageArtifacts } from './fragmentManifest.js';
+import { pipeline } from './pipelineOrchestrator.js';
 
 /**
  * Ensures all required directories exist
+ * @param {Object[]} languages - The job's text languages
  */
-async function ensureTranslationDirectories(videoId) {
+async function ensureTranslationDirectories(videoId, languages) {
     const baseDir = process.cwd();
     const translationsDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedText');
 
@@ -14,21 +29,58 @@ async function ensureTranslationDirectories(videoId) {
     await fs.mkdir(translationsDir, { recursive: true });
 
     // Create directory for each language
-    for (const lang of targetLanguages) {
+    for (const lang of languages) {
         const langDir = path.join(translationsDir, lang.name);
         await fs.mkdir(langDir, { recursive: true });
     }
 
-    // Also create English directory
-    await fs.mkdir(path.join(translationsDir, 'English'), { recursive: true });
-
     return translationsDir;
 }
 
+/**
+ * The metrics kept with a fragment's job state, for comparing translation modes
+ */
+function summarizeMetrics(metrics) {
+    const { mode, translationTime, totalTokens, cost, languageCount, batchCalls, fallbackLanguages } = metrics;
+    return { mode, translationTime, totalTokens, cost, languageCount, batchCalls, fallbackLanguages };
+}
+
+/**
+ * Averages the fragment metrics of each translation mode a job used
+ * @returns {Object} - { [mode]: { fragments, averageTime, averageTokens, averageCost, tokensPerLanguage, costPerLanguage, fallbackRate } }
+ */
+function compareModes(fragments) {
+    const totals = {};
+    for (const { metrics } of fragments) {
+        if (!metrics) continue;
+        const mode = totals[metrics.mode] ||= { fragments: 0, time: 0, tokens: 0, cost: 0, languages: 0, fallbacks: 0 };
+        mode.fragments++;
+        mode.time += metrics.translationTime;
+        mode.tokens += metrics.totalTokens;
+        mode.cost += metrics.cost;
+        mode.languages += metrics.languageCount;
+        mode.fallbacks += metrics.fallbackLanguages.length;
+    }
+
+    return Object.fromEntries(Object.entries(totals).map(([name, mode]) => [name, {
+        fragments: mode.fragments,
+        averageTime: mode.time / mode.fragments,
+        averageTokens: mode.tokens / mode.fragments,
+        averageCost: mode.cost / mode.fragments,
+        tokensPerLanguage: mode.languages ? mode.tokens / mode.languages : 0,
+        costPerLanguage: mode.languages ? mode.cost / mode.languages : 0,
+        // Share of languages a batch got wrong and had to translate again
+        fallbackRate: mode.languages ? mode.fallbacks / mode.languages : 0
+    }]));
+}
+
 /**
  * Processes a single transcription file
+ * @param {boolean} isLastFragment - No partial sentence is carried out of the last fragment
  */
-async function processTranscription(transcriptionPath, videoId) {
+async function processTranscription(transcriptionPath, videoId, languages, options = {}, isLastFragment = false) {
+    const fragmentNum = parseInt(path.basename(transcriptionPath).match(/fragment-(\d+)\.json$/)?.[1] || '0');
+
     try {
         console.log(`\n=== Processing transcription: ${path.basename(transcriptionPath)} ===`);
         
@@ -36,39 +88,80 @@ async function processTranscription(transcriptionPath, videoId) {
         const transcriptionContent = await fs.readFile(transcriptionPath, 'utf-8');
         const transcription = JSON.parse(transcriptionContent);
         
-        // Get translations
-        const translationResult = await translateText(transcription.text);
+        // Get translations, starting from the language detected during transcription
+        // (older transcriptions may store it as a plain string, or not at all)
+        const sourceLanguage = transcription.language?.code ?? transcription.language ?? null;
+
+        // Pick up the sentence the previous fragment left unfinished, and leave this
+        // fragment's unfinished one for the next
+        const context = getContextSettings(options);
+        const previous = context.enabled ? await readTranslationContext(videoId, fragmentNum - 1) : null;
+        const carriedIn = context.enabled && context.carryOver ? previous?.carriedOut || '' : '';
+        let sourceText = [carriedIn, transcription.text.trim()].filter(Boolean).join(' ');
+        let carriedOut = '';
+        if (context.enabled && context.carryOver && !isLastFragment) {
+            ({ complete: sourceText, partial: carriedOut } = splitTrailingPartial(sourceText, context));
+        }
+        if (carriedIn || carriedOut) {
+            console.log(`↪️ Fragment ${fragmentNum}: ${carriedIn.length} characters carried in, ${carriedOut.length} carried out`);
+        }
+
+        // History for direct routes comes from the transcript, for pivoted ones from English
+        const routingTable = getRoutingTable(options);
+        const historyLanguages = [resolveLanguage('en'), ...languages];
+        const routes = Object.fromEntries(historyLanguages.map(lang =>
+            [lang.name, getTranslationRoute(resolveLanguage(sourceLanguage), lang, options, routingTable)]));
+        const history = buildTranslationHistory(previous, historyLanguages, context, routes);
+        const translationResult = await translateText(sourceText, sourceLanguage, languages, options, history);
+
+        // Optional quality pass: back-translate each language and compare it with English
+        const qualityResult = await checkTranslationQuality(
+            translationResult.translations.English?.text,
+            translationResult.translations,
+            languages,
+            options
+        );
+        for (const usage of [...translationResult.usage, ...qualityResult.usage]) {
+            await recordUsage({ videoId, fragment: fragmentNum, stage: 'translation', ...usage });
+        }
         
         // Save translations for each language
         const baseDir = process.cwd();
         const translationsDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedText');
         const fragmentName = path.basename(transcriptionPath);
 
-        // Save English translation
-        const englishDir = path.join(translationsDir, 'English');
-        await fs.writeFile(
-            path.join(englishDir, fragmentName),
-            JSON.stringify({
-                original: transcription.text,
-                translation: translationResult.translations.English,
-                metadata: {
-                    timestamp: new Date().toISOString(),
-                    metrics: translationResult.metrics
-                }
-            }, null, 2)
-        );
-
-        // Save translations for each target language
-        for (const lang of targetLanguages) {
+        // Save translations for each of the job's languages (English is the pivot, so the
+        // others are only there when it is, but it is only saved when the job asked for it)
+        const savedLanguages = [];
+        const glossaryIssues = {};
+        for (const lang of languages) {
             const langDir = path.join(translationsDir, lang.name);
             const translation = translationResult.translations[lang.name];
 
             if (translation) {
+                // Check glossary terms against the text this language was translated from
+                const sourceText = translation.route === 'direct'
+                    ? translationResult.translations.original.text
+                    : translationResult.translations.English.text;
+                const issues = options.useGlossary === false
+                    ? []
+                    : await checkTranslation(sourceText, translation.text, lang);
+                if (issues.length) {
+                    console.log(`⚠️ Glossary terms mistranslated in ${lang.name} fragment ${fragmentNum}:`, issues.map(issue => issue.term).join(', '));
+                    glossaryIssues[lang.name] = issues;
+                }
+
                 await fs.writeFile(
                     path.join(langDir, fragmentName),
                     JSON.stringify({
                         original: transcription.text,
                         translation: translation,
+                        glossaryIssues: issues,
+                        context: { carriedIn, carriedOut },
+                        routing: translationResult.routes[lang.name],
+                        // The text this language was translated from (the source or English)
+                        sourceText,
+                        quality: qualityResult.quality[lang.name] || null,
                         metadata: {
                             timestamp: new Date().toISOString(),
                             metrics: translationResult.metrics,
@@ -76,108 +169,128 @@ async function processTranscription(transcriptionPath, videoId) {
                         }
                     }, null, 2)
                 );
+                savedLanguages.push(lang.name);
             }
         }
 
-        console.log(`✓ Successfully processed and saved translations for: ${path.basename(transcriptionPath)}`);
+        // Languages that failed: keep the model's raw reply for review
+        const failedLanguages = {};
+        for (const lang of languages.filter(lang => !translationResult.translations[lang.name])) {
+            const failure = translationResult.failures[lang.name] || { error: 'Translation missing', rawResponse: null };
+            const failureFile = path.join('TranslationFailures', lang.name, fragmentName);
+            await fs.mkdir(path.join(baseDir, 'temp_files', videoId, 'TranslationFailures', lang.name), { recursive: true });
+            await fs.writeFile(path.join(baseDir, 'temp_files', videoId, failureFile), JSON.stringify({
+                sourceText: translationResult.routes[lang.name]?.route === 'direct'
+                    ? translationResult.translations.original.text
+                    : translationResult.translations.English?.text,
+                ...failure,
+                timestamp: new Date().toISOString()
+            }, null, 2));
+            failedLanguages[lang.name] = { error: failure.error, file: failureFile };
+        }
+
+        if (context.enabled) {
+            await saveTranslationContext(videoId, fragmentNum, {
+                sourceText: translationResult.translations.original.text,
+                carriedIn,
+                carriedOut,
+                translations: Object.fromEntries(Object.entries(translationResult.translations)
+                    .filter(([name, translation]) => name !== 'original' && translation)
+                    .map(([name, translation]) => [name, translation.text]))
+            });
+        }
+
+        await recordLanguageArtifacts(videoId, fragmentNum, 'translations', Object.fromEntries(
+            savedLanguages.map(lang => [lang, { file: path.join('FinalTranslatedText', lang, fragmentName) }])
+        ));
+        // Languages that did translate still go on to dubbing
+        const failedNames = Object.keys(failedLanguages);
+        await markFragment(videoId, 'translation', fragmentNum, failedNames.length ? 'translation_failed' : 'completed', {
+            file: fragmentName,
+            languages: savedLanguages,
+            glossaryIssues,
+            failedLanguages,
+            metrics: summarizeMetrics(translationResult.metrics),
+            quality: Object.fromEntries(Object.entries(qualityResult.quality)
+                .map(([language, { score, flags }]) => [language, { score, flags }])),
+            ...(failedNames.length && { error: `Translation failed for ${failedNames.join(', ')}` })
+        });
+
+        if (failedNames.length) {
+            console.log(`⚠️ Translation failed for ${failedNames.join(', ')} in ${path.basename(transcriptionPath)}; raw responses saved for review`);
+        } else {
+            console.log(`✓ Successfully processed and saved translations for: ${path.basename(transcriptionPath)}`);
+        }
         return true;
     } catch (error) {
         console.error(`❌ Error processing transcription ${path.basename(transcriptionPath)}:`, error);
+        await markFragment(videoId, 'translation', fragmentNum, 'error', { error: error.message })
+            .catch(err => console.error('Error recording translation failure:', err));
         return false;
     }
 }
 
 /**
- * Gets existing translations to avoid reprocessing
+ * Whether a fragment turned out to be the last one after it carried a partial sentence out
  */
-async function getExistingTranslations(translationsDir) {
-    try {
-        const existingTranslations = new Set();
-        const englishDir = path.join(translationsDir, 'English');
-        
-        try {
-            const files = await fs.readdir(englishDir);
-            files.forEach(file => existingTranslations.add(file));
-        } catch (error) {
-            // English directory might not exist yet
-        }
+async function carriedOutOfLast(videoId, fragmentNum) {
+    const extraction = (await getJob(videoId))?.stages.extraction;
+    if (extraction?.status !== 'completed' || fragmentNum !== extraction.totalFragments - 1) return false;
+    return !!(await readTranslationContext(videoId, fragmentNum))?.carriedOut;
+}
 
-        return existingTranslations;
-    } catch (error) {
-        console.error('Error getting existing translations:', error);
-        return new Set();
+/**
+ * Translates one transcribed fragment of a video (called by the pipeline orchestrator)
+ */
+async function translateFragment(videoId, fragmentNum) {
+    const baseDir = process.cwd();
+    const transcriptionPath = path.join(baseDir, 'temp_files', videoId, 'ExtractedText', `fragment-${fragmentNum}.json`);
+
+    const job = await getJob(videoId);
+    const languages = getJobLanguages(job?.options).text;
+    const extraction = job?.stages.extraction;
+    const isLastFragment = extraction?.status === 'completed' && fragmentNum >= extraction.totalFragments - 1;
+
+    await ensureTranslationDirectories(videoId, languages);
+    let success = await processTranscription(transcriptionPath, videoId, languages, job?.options, isLastFragment);
+
+    // Extraction may have finished while this fragment was being translated. Nothing has been
+    // dubbed from it yet, so translate it again before passing it on.
+    if (success && !isLastFragment && await carriedOutOfLast(videoId, fragmentNum)) {
+        console.log(`↩️ Fragment ${fragmentNum} is the last one; translating it again with the sentence it carried out`);
+        success = await processTranscription(transcriptionPath, videoId, languages, job?.options, true);
+    }
+    if (!success) {
+        throw new Error(`Translation failed for fragment ${fragmentNum}`);
     }
 }
 
 /**
- * Sets up translation watcher for a video
+ * Once extraction has finished, has the pipeline translate the last fragment again if it
+ * carried a partial sentence out: no fragment follows to pick it up. Audio already dubbed
+ * from the first translation is dubbed and mixed again.
+ * @returns {Promise<boolean>} - Whether the last fragment was queued again
  */
-async function setupTranslationWatcher(videoId) {
-    try {
-        console.log('\n=== Setting up Translation Process ===');
-        console.log('Video ID:', videoId);
+async function flushCarryOver(videoId) {
+    if (!pipeline.isAttached(videoId)) return false;
+    const job = await getJob(videoId);
+    const extraction = job?.stages.extraction;
+    if (extraction?.status !== 'completed' || !extraction.totalFragments) return false;
 
-        const baseDir = process.cwd();
-        const transcriptionsDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedText');
-        
-        // Ensure translation directories exist
-        const translationsDir = await ensureTranslationDirectories(videoId);
-        console.log('✓ Translation directories created');
-
-        // Get existing translations
-        const existingTranslations = await getExistingTranslations(translationsDir);
-        console.log(`Found ${existingTranslations.size} existing translations`);
-
-        // Process existing transcriptions
-        try {
-            const files = await fs.readdir(transcriptionsDir);
-            const jsonFiles = files.filter(f => f.endsWith('.json'));
-            console.log(`Found ${jsonFiles.length} transcriptions to process`);
-
-            // Sort files by fragment number
-            const sortedFiles = jsonFiles.sort((a, b) => {
-                const numA = parseInt(a.match(/fragment-(\d+)\.json$/)?.[1] || '0');
-                const numB = parseInt(b.match(/fragment-(\d+)\.json$/)?.[1] || '0');
-                return numA - numB;
-            });
+    // A fragment still waiting for (or in) translation finds out it is the last one there
+    const lastFragment = extraction.totalFragments - 1;
+    const translation = job.stages.translation.fragments[lastFragment];
+    if (translation?.status !== 'completed' && translation?.status !== 'translation_failed') return false;
+    if (!(await readTranslationContext(videoId, lastFragment))?.carriedOut) return false;
 
-            // Process each file
-            for (const file of sortedFiles) {
-                if (!existingTranslations.has(file)) {
-                    const transcriptionPath = path.join(transcriptionsDir, file);
-                    await processTranscription(transcriptionPath, videoId);
-                } else {
-                    console.log(`Skipping existing translation: ${file}`);
-                }
-            }
-        } catch (error) {
-            console.error('Error processing existing transcriptions:', error);
+    console.log(`↩️ Fragment ${lastFragment} is the last one; queuing it to be translated again with the sentence it carried out`);
+    for (const stage of ['translation', 'audio', 'mixing']) {
+        if (job.stages[stage].fragments[lastFragment]) {
+            await reopenFragment(videoId, stage, lastFragment, stage === 'audio' ? { redub: true } : {});
         }
-
-        // Watch for new transcriptions
-        console.log('\n=== Setting up Transcription Watcher ===');
-        const watcher = watch(transcriptionsDir, { persistent: true });
-
-        watcher.on('change', async (eventType, filename) => {
-            if (filename && filename.endsWith('.json')) {
-                // Wait a bit to ensure file is completely written
-                setTimeout(async () => {
-                    if (!existingTranslations.has(filename)) {
-                        const transcriptionPath = path.join(transcriptionsDir, filename);
-                        if (await processTranscription(transcriptionPath, videoId)) {
-                            existingTranslations.add(filename);
-                        }
-                    }
-                }, 1000);
-            }
-        });
-
-        console.log('✓ Translation watcher setup complete');
-        return watcher;
-    } catch (error) {
-        console.error('Error setting up translation watcher:', error);
-        throw error;
     }
+    pipeline.redo('translation', videoId, lastFragment);
+    return true;
 }
 
 /**
@@ -185,36 +298,69 @@ async function setupTranslationWatcher(videoId) {
  */
 async function getTranslationStatus(videoId) {
     try {
-        const baseDir = process.cwd();
-        const transcriptionsDir = path.join(baseDir, 'temp_files', videoId, 'ExtractedText');
-        const translationsDir = path.join(baseDir, 'temp_files', videoId, 'FinalTranslatedText');
-
-        // Count transcription files
-        const transcriptionFiles = await fs.readdir(transcriptionsDir)
-            .then(files => files.filter(f => f.endsWith('.json')))
-            .catch(() => []);
+        const job = await getJob(videoId);
+        if (!job) {
+            throw new Error(`Job not found: ${videoId}`);
+        }
 
-        // Count translation files (using English as reference)
-        const englishDir = path.join(translationsDir, 'English');
-        const translatedFiles = await fs.readdir(englishDir)
-            .then(files => files.filter(f => f.endsWith('.json')))
-            .catch(() => []);
+        // Files come from the manifest
+        const fragments = getSortedFragments(await getManifest(videoId));
+        const transcriptionFiles = fragments.filter(fragment => fragment.transcription);
+        const translatedFiles = fragments.filter(fragment => Object.keys(fragment.translations || {}).length > 0);
 
         // Get status for each language
         const languageStatus = {};
-        for (const lang of [...targetLanguages, { name: 'English' }]) {
-            const langDir = path.join(translationsDir, lang.name);
-            const langFiles = await fs.readdir(langDir)
-                .then(files => files.filter(f => f.endsWith('.json')))
-                .catch(() => []);
+        for (const lang of getJobLanguages(job.options).text) {
+            const filesCount = translatedFiles
+                .filter(fragment => fragment.translations[lang.name])
+                .length;
             
+            // Back-translation scores, for jobs with the quality pass on
+            const checked = Object.values(job.stages.translation.fragments)
+                .map(fragment => fragment.quality?.[lang.name])
+                .filter(Boolean);
+            const scores = checked.map(quality => quality.score).filter(score => score !== null);
+
             languageStatus[lang.name] = {
-                filesCount: langFiles.length,
-                progress: transcriptionFiles.length ? (langFiles.length / transcriptionFiles.length) * 100 : 0
+                code: lang.code,
+                label: lang.label,
+                filesCount,
+                progress: transcriptionFiles.length ? (filesCount / transcriptionFiles.length) * 100 : 0,
+                averageQuality: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+                flaggedFragments: checked.filter(quality => quality.flags.length).length
             };
         }
 
+        // Fragments whose translation the quality pass flagged for review
+        const qualityFlags = Object.entries(job.stages.translation.fragments)
+            .flatMap(([num, fragment]) => Object.entries(fragment.quality || {})
+                .filter(([, quality]) => quality.flags.length)
+                .map(([language, quality]) => ({ fragment: parseInt(num), language, ...quality })))
+            .sort((a, b) => a.fragment - b.fragment);
+
+        // Languages that failed, with the file holding the model's raw reply
+        const failedTranslations = Object.entries(job.stages.translation.fragments)
+            .filter(([, fragment]) => fragment.status === 'translation_failed')
+            .flatMap(([num, fragment]) => Object.entries(fragment.failedLanguages || {})
+                .map(([language, failure]) => ({ fragment: parseInt(num), language, ...failure })))
+            .sort((a, b) => a.fragment - b.fragment);
+
+        // Fragments where a glossary term wasn't rendered as the glossary says
+        const glossaryIssues = Object.entries(job.stages.translation.fragments)
+            .flatMap(([num, fragment]) => Object.entries(fragment.glossaryIssues || {})
+                .flatMap(([language, issues]) => issues.map(issue => ({
+                    fragment: parseInt(num),
+                    language,
+                    ...issue
+                }))))
+            .sort((a, b) => a.fragment - b.fragment);
+
         return {
+            status: job.stages.translation.status,
+            glossaryIssues,
+            failedTranslations,
+            qualityFlags,
+            modeMetrics: compareModes(Object.values(job.stages.translation.fragments)),
             totalTranscriptions: transcriptionFiles.length,
             translatedFiles: translatedFiles.length,
             overallProgress: transcriptionFiles.length ? (translatedFiles.length / transcriptionFiles.length) * 100 : 0,
@@ -227,10 +373,59 @@ async function getTranslationStatus(videoId) {
             translatedFiles: 0,
             overallProgress: 0,
             languageStatus: {},
+            glossaryIssues: [],
+            failedTranslations: [],
+            qualityFlags: [],
+            modeMetrics: {},
             isComplete: false,
             error: error.message
         };
     }
 }
 
-export { setupTranslationWatcher, getTranslationStatus }; 
\ No newline at end of file
+/**
+ * Translates one language of a fragment again, asking for a rendering of at most maxChars.
+ * Used by dubbing when the speech runs too long for the fragment even sped up. The shorter
+ * text replaces the translation in FinalTranslatedText, keeping the earlier one.
+ * @param {string} languageName - Language name
+ * @returns {Promise<string|null>} - The shorter text, or null if none came back
+ */
+async function requestShorterTranslation(videoId, fragmentNum, languageName, maxChars) {
+    const filePath = path.join(process.cwd(), 'temp_files', videoId, 'FinalTranslatedText', languageName, `fragment-${fragmentNum}.json`);
+    try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        const job = await getJob(videoId);
+        const language = resolveLanguage(languageName);
+        // Files from before routing was recorded were translated from English
+        const fromCode = data.routing ? (data.routing.via || data.routing.from) : 'en';
+        const sourceText = data.sourceText || (await readTranslationContext(videoId, fragmentNum))?.translations?.English;
+        if (!sourceText) {
+            console.log(`⚠️ No source text kept for ${languageName} fragment ${fragmentNum}; can't ask for a shorter rendering`);
+            return null;
+        }
+
+        console.log(`✂️ Asking for a ${languageName} rendering of fragment ${fragmentNum} under ${maxChars} characters`);
+        const result = await translateShorter(sourceText, resolveLanguage(fromCode), language, job?.options || {}, maxChars);
+        for (const usage of result.usage) {
+            await recordUsage({ videoId, fragment: fragmentNum, stage: 'translation', ...usage });
+        }
+        if (!result.text || result.text.length >= data.translation.text.length) {
+            console.log(`⚠️ ${languageName} fragment ${fragmentNum} came back no shorter`);
+            return null;
+        }
+
+        data.shortened = [...(data.shortened || []), {
+            previousText: data.translation.text,
+            maxChars,
+            timestamp: new Date().toISOString()
+        }];
+        data.translation = { ...data.translation, text: result.text };
+        await fs.writeFile(filePath, JSON.stringify(data, null, 2));
+        return result.text;
+    } catch (error) {
+        console.error(`❌ Error shortening ${languageName} fragment ${fragmentNum}:`, error.message);
+        return null;
+    }
+}
+
+export { translateFragment, flushCarryOver, getTranslationStatus, requestShorterTranslation }; 
\ No newline at end of file
@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { splitSentences } from './fragmentContext.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+const MEMORY_FILE = path.join(BASE_TEMP_DIR, 'translation-memory.json');
+
+const MODES = ['off', 'exact', 'fuzzy'];
+const DEFAULT_MODE = process.env.TRANSLATION_MEMORY || 'exact';
+const FUZZY_THRESHOLD = parseFloat(process.env.TRANSLATION_MEMORY_FUZZY_THRESHOLD) || 0.8;
+const MAX_ENTRIES = parseInt(process.env.TRANSLATION_MEMORY_MAX_ENTRIES) || 50000;
+
+// Hits only bump counters, so writes are batched rather than one per lookup
+const PERSIST_DELAY = 1000;
+
+/*
+ * Translation memory: translations we have already paid for, shared by every video.
+ *
+ * Entries are keyed by the normalized source text, the language pair, the provider and
+ * the glossary version (a hash of the glossary renderings that applied to the text, so
+ * editing one term only invalidates the translations that contain it).
+ *
+ * Modes (options.translationMemory, default TRANSLATION_MEMORY):
+ * - off:   always call the provider
+ * - exact: reuse an exact match, for the whole text or for every one of its sentences
+ * - fuzzy: also look up the closest earlier translation and pass it to the provider as a
+ *          suggestion (it is never reused as-is)
+ *
+ * Entry shape:
+ * {
+ *   key, from, to, provider, glossaryVersion,
+ *   source,          // Source text as first seen
+ *   translation,
+ *   model,
+ *   tokens,          // Tokens the original call used (what every hit saves)
+ *   hits,
+ *   createdAt, lastUsedAt
+ * }
+ */
+
+// In-memory copy of the memory (key -> entry), loaded once and written back after changes.
+// Kept in least-recently-used-first order, so eviction takes from the front.
+let entries = null;
+let loadingPromise = null;
+let writeQueue = Promise.resolve();
+let persistTimer = null;
+
+/**
+ * Loads the memory from disk (only once per process)
+ */
+async function loadMemory() {
+    if (entries) return entries;
+    if (!loadingPromise) {
+        loadingPromise = (async () => {
+            try {
+                const list = JSON.parse(await fs.readFile(MEMORY_FILE, 'utf-8'))
+                    .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+                entries = new Map(list.map(entry => [entry.key, entry]));
+                console.log(`✓ Loaded ${entries.size} translation memory entries`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('❌ Error reading translation memory, starting empty:', error.message);
+                }
+                entries = new Map();
+            }
+            return entries;
+        })();
+    }
+    return loadingPromise;
+}
+
+/**
+ * Writes the memory to disk, queued and through a temp file + rename like the job store
+ */
+function persistMemory() {
+    persistTimer = null;
+    const snapshot = JSON.stringify([...entries.values()]);
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            await fs.mkdir(BASE_TEMP_DIR, { recursive: true });
+            const tempPath = `${MEMORY_FILE}.tmp`;
+            await fs.writeFile(tempPath, snapshot);
+            await fs.rename(tempPath, MEMORY_FILE);
+        })
+        .catch(error => {
+            console.error('❌ Error writing translation memory:', error.message);
+        });
+    return writeQueue;
+}
+
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persistMemory, PERSIST_DELAY);
+    // Don't keep the process alive just to write hit counters
+    persistTimer.unref?.();
+}
+
+/**
+ * Gets the memory mode for a job
+ */
+function getMemoryMode(jobOptions = {}) {
+    const mode = jobOptions?.translationMemory || DEFAULT_MODE;
+    return MODES.includes(mode) ? mode : 'exact';
+}
+
+/**
+ * Normalizes source text for matching: Unicode form, case and whitespace
+ */
+function normalizeText(text) {
+    return text.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Version of the glossary as it applies to one text
+ */
+function glossaryVersion(glossary = []) {
+    if (!glossary.length) return '';
+    const rules = glossary.map(({ term, rendering }) => `${term}=${rendering}`).sort().join('\n');
+    return createHash('sha1').update(rules).digest('hex').slice(0, 12);
+}
+
+function buildKey(normalized, { from, to, provider, glossary }) {
+    return createHash('sha1')
+        .update([from?.code || '', to.code, provider, glossaryVersion(glossary), normalized].join('\u0000'))
+        .digest('hex');
+}
+
+/**
+ * Character trigrams of a text, for fuzzy matching (works the same for every script)
+ */
+function trigrams(text) {
+    const padded = ` ${text} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Dice similarity of two texts' trigram sets, 0-1
+ */
+function similarity(a, b) {
+    const gramsA = trigrams(a);
+    const gramsB = trigrams(b);
+    let shared = 0;
+    for (const gram of gramsA) {
+        if (gramsB.has(gram)) shared++;
+    }
+    return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * Records a hit on an entry, moving it to the back of the LRU order
+ */
+function touch(entry) {
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+    schedulePersist();
+}
+
+/**
+ * Looks a text up in the memory
+ * @param {string} text - Source text
+ * @param {Object} request - { from, to, provider (name), glossary }
+ * @param {string} mode - 'exact' or 'fuzzy'
+ * @returns {Promise<Object>} - { match: { translation, model, tokens } | null, suggestion: { source, translation, similarity } | null }
+ */
+async function lookupTranslation(text, request, mode) {
+    const memory = await loadMemory();
+    const normalized = normalizeText(text);
+
+    const exact = memory.get(buildKey(normalized, request));
+    if (exact) {
+        touch(exact);
+        return { match: { translation: exact.translation, model: exact.model, tokens: exact.tokens }, suggestion: null };
+    }
+
+    // Every sentence translated before: put the translation back together
+    const sentences = splitSentences(text);
+    if (sentences.length > 1) {
+        const found = sentences.map(sentence => memory.get(buildKey(normalizeText(sentence), request)));
+        if (found.every(Boolean)) {
+            found.forEach(touch);
+            return {
+                match: {
+                    translation: found.map(entry => entry.translation).join(' '),
+                    model: found[0].model,
+                    tokens: found.reduce((sum, entry) => sum + entry.tokens, 0)
+                },
+                suggestion: null
+            };
+        }
+    }
+
+    if (mode !== 'fuzzy') {
+        return { match: null, suggestion: null };
+    }
+
+    // Closest earlier translation for the same language pair, provider and glossary
+    const version = glossaryVersion(request.glossary);
+    let best = null;
+    for (const entry of memory.values()) {
+        if (entry.to !== request.to.code || entry.from !== (request.from?.code || null) ||
+            entry.provider !== request.provider || entry.glossaryVersion !== version) {
+            continue;
+        }
+        const candidate = normalizeText(entry.source);
+        const ratio = candidate.length / normalized.length;
+        if (ratio < FUZZY_THRESHOLD || ratio > 1 / FUZZY_THRESHOLD) continue;
+
+        const score = similarity(normalized, candidate);
+        if (score >= FUZZY_THRESHOLD && (!best || score > best.similarity)) {
+            best = { source: entry.source, translation: entry.translation, similarity: Math.round(score * 100) / 100 };
+        }
+    }
+    return { match: null, suggestion: best };
+}
+
+/**
+ * Adds an entry, evicting the least recently used ones past TRANSLATION_MEMORY_MAX_ENTRIES
+ */
+function addEntry(memory, source, translation, request, model, tokens) {
+    const key = buildKey(normalizeText(source), request);
+    const now = new Date().toISOString();
+    const existing = memory.get(key);
+    memory.delete(key);
+    memory.set(key, {
+        key,
+        from: request.from?.code || null,
+        to: request.to.code,
+        provider: request.provider,
+        glossaryVersion: glossaryVersion(request.glossary),
+        source,
+        translation,
+        model,
+        tokens,
+        hits: existing?.hits || 0,
+        createdAt: existing?.createdAt || now,
+        lastUsedAt: now
+    });
+
+    for (const oldestKey of memory.keys()) {
+        if (memory.size <= MAX_ENTRIES) break;
+        memory.delete(oldestKey);
+    }
+}
+
+/**
+ * Stores a translation. When source and translation have the same number of sentences,
+ * each sentence is stored as well, so repeated sentences match inside new text.
+ * @param {string} text - Source text
+ * @param {Object} request - { from, to, provider (name), glossary }
+ * @param {Object} result - Provider result: { text, usage, model }
+ */
+async function rememberTranslation(text, request, result) {
+    if (!text || !result?.text) return;
+    const memory = await loadMemory();
+    addEntry(memory, text, result.text, request, result.model, result.usage?.total_tokens || 0);
+
+    const sourceSentences = splitSentences(text);
+    const translatedSentences = splitSentences(result.text);
+    if (sourceSentences.length > 1 && sourceSentences.length === translatedSentences.length) {
+        // Share the call's tokens out by sentence length
+        const tokens = result.usage?.total_tokens || 0;
+        sourceSentences.forEach((sentence, index) => {
+            const share = Math.round(tokens * sentence.length / text.length);
+            addEntry(memory, sentence, translatedSentences[index], request, result.model, share);
+        });
+    }
+    schedulePersist();
+}
+
+/**
+ * Totals for the whole memory
+ * @returns {Promise<Object>} - { entries, hits, savedTokens }
+ */
+async function getMemoryStats() {
+    const memory = await loadMemory();
+    let hits = 0;
+    let savedTokens = 0;
+    for (const entry of memory.values()) {
+        hits += entry.hits;
+        savedTokens += entry.hits * entry.tokens;
+    }
+    return { entries: memory.size, hits, savedTokens };
+}
+
+/**
+ * Empties the memory
+ */
+async function clearMemory() {
+    const memory = await loadMemory();
+    memory.clear();
+    clearTimeout(persistTimer);
+    await persistMemory();
+}
+
+export {
+    getMemoryMode,
+    lookupTranslation,
+    rememberTranslation,
+    getMemoryStats,
+    clearMemory,
+    MODES as TRANSLATION_MEMORY_MODES
+};
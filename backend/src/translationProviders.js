@@ -0,0 +1,453 @@
+import OpenAI from 'openai';
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { resolveLanguage } from './languages.js';
+import {
+    STRUCTURED_OUTPUT_MODES,
+    TranslationOutputError,
+    buildStructuredOutputRequest,
+    getRawOutput,
+    parseTranslationOutput,
+    parseBatchOutput
+} from './llmOutput.js';
+
+// Load environment variables
+dotenv.config();
+
+/*
+ * Machine-translation providers.
+ *
+ * Every provider exposes translate(text, { from, to, model, glossary, history, suggestion, maxChars }) and resolves to the same shape:
+ * {
+ *   text,          // Translated text
+ *   usage,         // { prompt_tokens, completion_tokens, total_tokens } (zeros when not metered)
+ *   model,         // Model that produced it, or null
+ *   provider,      // Provider name
+ *   repaired       // true when the model's reply had to be repaired to read it (chat providers)
+ * }
+ * from / to are language registry entries (from languages.js); from is null when unknown.
+ * glossary lists terms in the text and how they must be rendered: [{ term, rendering }].
+ * history holds the text just before this one and its translation: [{ source, translation }].
+ * suggestion is a similar earlier translation from the translation memory: { source, translation, similarity }.
+ * maxChars asks for a rendering no longer than that (used when dubbed speech runs too long).
+ *
+ * A reply that can't be read as a translation throws a TranslationOutputError (llmOutput.js)
+ * carrying the raw reply and the usage it cost.
+ *
+ * Providers may also expose detectLanguage(text), resolving to { detectedLanguage, usage },
+ * for older transcriptions that were saved without a language.
+ *
+ * Providers that can translate into several languages in one call expose
+ * translateBatch(text, { from, targets, model, glossaries, history }), where targets are
+ * registry entries and glossaries / history are keyed by language name. It resolves to:
+ * {
+ *   translations,  // { [language name]: text } for the languages that came back valid
+ *   invalid,       // { [language name]: reason } for the ones that didn't
+ *   usage, model, provider, repaired
+ * }
+ */
+
+const DEFAULT_PROVIDER = process.env.TRANSLATION_PROVIDER || 'openai';
+
+const NO_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+/**
+ * Prompt lines telling the model how to render glossary terms
+ */
+function formatGlossaryRules(glossary) {
+    if (!glossary?.length) return '';
+    const lines = glossary.map(({ term, rendering }) => rendering === term
+        ? `- "${term}": keep as-is`
+        : `- "${term}": "${rendering}"`);
+    return `\nAlways render these terms exactly as given:\n${lines.join('\n')}`;
+}
+
+/**
+ * Prompt rule asking the model to stay consistent with the earlier turns
+ */
+function formatHistoryRule(history) {
+    if (!history?.length) return '';
+    return '\nThe earlier messages are the preceding part of the same talk. Keep names, pronouns and terms consistent with them.';
+}
+
+/**
+ * Prompt lines offering a similar earlier translation as a starting point
+ */
+function formatSuggestionRule(suggestion) {
+    if (!suggestion) return '';
+    return `\nA similar text was translated before. Reuse its wording where it still fits:\n"${suggestion.source}" → "${suggestion.translation}"`;
+}
+
+/**
+ * Prompt rule asking for a rendering short enough to dub in the time available
+ */
+function formatLengthRule(maxChars) {
+    if (!maxChars) return '';
+    return `\nThis is for dubbing and must be spoken in limited time: keep it under ${maxChars} characters. Shorten the wording rather than leaving out meaning.`;
+}
+
+/**
+ * Previous source/translation pairs as earlier user and assistant turns
+ */
+function formatHistoryMessages(history, to, formatRequest) {
+    return (history || []).flatMap(({ source, translation }) => [
+        { "role": "user", "content": formatRequest(source) },
+        { "role": "assistant", "content": JSON.stringify({ [to.name]: translation }) }
+    ]);
+}
+
+/**
+ * Builds the chat messages for a translation. English (the pivot language) gets a
+ * stricter, faithful-translation prompt; other languages also get tone and script hints.
+ */
+function buildTranslationMessages(text, from, to, glossary = [], history = [], suggestion = null, maxChars = null) {
+    if (to.code === 'en') {
+        const fromLanguage = from ? ` from ${from.name}` : '';
+        const formatRequest = source => `Translate${fromLanguage} to English only:\n${source}`;
+        return [
+            {
+                "role": "system",
+                "content": `You are a translator. Return only the English translation, without adding any extra meanings or commentary.
+Rules:
+1. Output must be valid JSON only, with the structure: {"English": "text"}
+2. Be concise and faithful to the original.
+3. No extra text outside the JSON.
+4. Preserve formatting and punctuation.
+5. Maintain the original tone and style.${formatGlossaryRules(glossary)}${formatHistoryRule(history)}${formatSuggestionRule(suggestion)}${formatLengthRule(maxChars)}`
+            },
+            ...formatHistoryMessages(history, to, formatRequest),
+            {
+                "role": "user",
+                "content": formatRequest(text)
+            }
+        ];
+    }
+
+    const fromName = from?.name || 'English';
+    const formatRequest = source => `Translate this ${fromName} text to ${to.name}:\n${source}`;
+    return [
+        {
+            "role": "system",
+            "content": `You are a translator. Translate the ${fromName} text into ${to.name}.
+Rules:
+1. Output valid JSON only, with structure: {"${to.name}": "text"}
+2. Be concise and accurate.
+3. Preserve cultural context and idioms appropriately.
+4. Maintain formatting and punctuation.
+5. Consider regional variations and formal/informal tone.${to.script ? `\n6. Write it in ${to.script} script.` : ''}${formatGlossaryRules(glossary)}${formatHistoryRule(history)}${formatSuggestionRule(suggestion)}${formatLengthRule(maxChars)}`
+        },
+        ...formatHistoryMessages(history, to, formatRequest),
+        {
+            "role": "user",
+            "content": formatRequest(text)
+        }
+    ];
+}
+
+/**
+ * Prompt lines telling the model how to render glossary terms, for each language of a batch
+ */
+function formatBatchGlossaryRules(targets, glossaries = {}) {
+    const lines = targets.flatMap(to => (glossaries[to.name] || []).map(({ term, rendering }) => rendering === term
+        ? `- ${to.name}: "${term}": keep as-is`
+        : `- ${to.name}: "${term}": "${rendering}"`));
+    return lines.length ? `\nAlways render these terms exactly as given:\n${lines.join('\n')}` : '';
+}
+
+/**
+ * Builds the chat messages for translating English text into several languages at once.
+ * The previous fragment's history is merged into one earlier turn: its source is the same
+ * English text for every language.
+ */
+function buildBatchTranslationMessages(text, from, targets, glossaries = {}, history = {}) {
+    const fromName = from?.name || 'English';
+    const formatRequest = source => `Translate this ${fromName} text to ${targets.map(to => to.name).join(', ')}:\n${source}`;
+    const structure = JSON.stringify(Object.fromEntries(targets.map(to => [to.name, 'text'])));
+    const scripts = targets.filter(to => to.script).map(to => `${to.name} in ${to.script}`).join(', ');
+
+    const withHistory = targets.filter(to => history[to.name]?.length);
+    const previous = withHistory.length ? history[withHistory[0].name][0] : null;
+    const historyMessages = previous ? [
+        { "role": "user", "content": formatRequest(previous.source) },
+        {
+            "role": "assistant",
+            "content": JSON.stringify(Object.fromEntries(withHistory.map(to => [to.name, history[to.name][0].translation])))
+        }
+    ] : [];
+
+    return [
+        {
+            "role": "system",
+            "content": `You are a translator. Translate the ${fromName} text into each of these languages: ${targets.map(to => to.name).join(', ')}.
+Rules:
+1. Output valid JSON only, with one key per language: ${structure}
+2. Be concise and accurate.
+3. Preserve cultural context and idioms appropriately.
+4. Maintain formatting and punctuation.
+5. Consider regional variations and formal/informal tone.${scripts ? `\n6. Write each language in its own script: ${scripts}.` : ''}${formatBatchGlossaryRules(targets, glossaries)}${formatHistoryRule(previous ? [previous] : [])}`
+        },
+        ...historyMessages,
+        {
+            "role": "user",
+            "content": formatRequest(text)
+        }
+    ];
+}
+
+/**
+ * Reads a structured output mode from the environment
+ */
+function structuredOutputMode(envName, fallback) {
+    const mode = process.env[envName] || fallback;
+    return STRUCTURED_OUTPUT_MODES.includes(mode) ? mode : fallback;
+}
+
+/**
+ * Creates a provider for an OpenAI-style chat completions API
+ * @param {Object} config - { name, getClient, defaultModel, structuredOutput }; structuredOutput
+ *                          returns how to ask for JSON: 'json_schema', 'json_object', 'function' or 'none'
+ */
+function createChatProvider({ name, getClient, defaultModel, structuredOutput }) {
+    return {
+        name,
+
+        async translate(text, { from = null, to, model, glossary, history, suggestion, maxChars } = {}) {
+            const usedModel = model || defaultModel();
+            const mode = structuredOutput();
+            const completion = await getClient().chat.completions.create({
+                model: usedModel,
+                messages: buildTranslationMessages(text, from, to, glossary, history, suggestion, maxChars),
+                temperature: 0.1,
+                max_tokens: to.code === 'en' ? 500 : 800,
+                ...buildStructuredOutputRequest(mode, to.name)
+            });
+
+            const usage = completion.usage || NO_USAGE;
+            const choice = completion.choices[0];
+            const raw = getRawOutput(choice.message, mode);
+            try {
+                if (choice.message.refusal) {
+                    throw new TranslationOutputError(`Model refused: ${choice.message.refusal}`);
+                }
+                const { text: translated, repaired } = parseTranslationOutput(raw, to.name);
+                if (repaired) {
+                    console.warn(`⚠️ Repaired ${name} output for ${to.name}`);
+                }
+                return { text: translated, usage, model: usedModel, provider: name, repaired };
+            } catch (error) {
+                const truncated = choice.finish_reason === 'length' ? ' (response was cut off at max_tokens)' : '';
+                throw new TranslationOutputError(`${error.message}${truncated}`, { raw, usage, provider: name, model: usedModel });
+            }
+        },
+
+        async translateBatch(text, { from = null, targets, model, glossaries, history } = {}) {
+            const usedModel = model || defaultModel();
+            const mode = structuredOutput();
+            const completion = await getClient().chat.completions.create({
+                model: usedModel,
+                messages: buildBatchTranslationMessages(text, from, targets, glossaries, history),
+                temperature: 0.1,
+                max_tokens: Math.min(800 * targets.length, 4096),
+                ...buildStructuredOutputRequest(mode, targets.map(to => to.name))
+            });
+
+            const usage = completion.usage || NO_USAGE;
+            const choice = completion.choices[0];
+            const raw = getRawOutput(choice.message, mode);
+            const truncated = choice.finish_reason === 'length' ? ' (response was cut off at max_tokens)' : '';
+            try {
+                if (choice.message.refusal) {
+                    throw new TranslationOutputError(`Model refused: ${choice.message.refusal}`);
+                }
+                const { translations, invalid, repaired } = parseBatchOutput(raw, targets.map(to => ({ key: to.name, script: to.script })));
+                if (repaired) {
+                    console.warn(`⚠️ Repaired ${name} batch output`);
+                }
+                for (const key of Object.keys(invalid)) {
+                    invalid[key] += truncated;
+                }
+                return { translations, invalid, usage, model: usedModel, provider: name, repaired };
+            } catch (error) {
+                throw new TranslationOutputError(`${error.message}${truncated}`, { raw, usage, provider: name, model: usedModel });
+            }
+        },
+
+        async detectLanguage(text) {
+            const completion = await getClient().chat.completions.create({
+                model: defaultModel(),
+                messages: [
+                    {
+                        "role": "system",
+                        "content": "You are a language detector. Return only a JSON response with the detected language name and confidence score."
+                    },
+                    {
+                        "role": "user",
+                        "content": `Detect the language of this text:\n${text}`
+                    }
+                ],
+                temperature: 0,           // Use deterministic output
+                max_tokens: 800           // Limit response length
+            });
+
+            return {
+                detectedLanguage: completion.choices[0].message.content,
+                usage: completion.usage || NO_USAGE
+            };
+        }
+    };
+}
+
+// OpenAI chat completions
+
+let openaiClient = null;
+
+const openaiProvider = createChatProvider({
+    name: 'openai',
+    defaultModel: () => process.env.OPENAI_TRANSLATION_MODEL || 'gpt-3.5-turbo',
+    // JSON mode works with every current chat model; json_schema needs gpt-4o or later
+    structuredOutput: () => structuredOutputMode('OPENAI_STRUCTURED_OUTPUT', 'json_object'),
+    getClient() {
+        if (!openaiClient) {
+            if (!process.env.OPENAI_API_KEY) {
+                throw new Error('OPENAI_API_KEY is not set in environment variables');
+            }
+            openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        }
+        return openaiClient;
+    }
+});
+
+// Any OpenAI-compatible server (vLLM, llama.cpp server, Ollama, ...)
+
+let localClient = null;
+
+const openaiCompatibleProvider = createChatProvider({
+    name: 'openai-compatible',
+    defaultModel: () => process.env.TRANSLATION_LOCAL_MODEL || 'default',
+    // Support varies by server, so plain prompting (with repair) unless configured
+    structuredOutput: () => structuredOutputMode('TRANSLATION_LOCAL_STRUCTURED_OUTPUT', 'none'),
+    getClient() {
+        if (!localClient) {
+            if (!process.env.TRANSLATION_LOCAL_URL) {
+                throw new Error('TRANSLATION_LOCAL_URL is not set (e.g. http://localhost:8000/v1)');
+            }
+            localClient = new OpenAI({
+                baseURL: process.env.TRANSLATION_LOCAL_URL,
+                // Local servers usually ignore the key, but the client requires one
+                apiKey: process.env.TRANSLATION_LOCAL_API_KEY || 'not-needed'
+            });
+        }
+        return localClient;
+    }
+});
+
+// Deterministic offline stand-in: dictionary lookups, no network
+
+let mockDictionary = null;
+
+/**
+ * Loads the mock dictionary from TRANSLATION_MOCK_DICTIONARY, a JSON file of
+ * { "<language code>": { "<source word or phrase>": "<translation>" } }
+ */
+async function loadMockDictionary() {
+    if (!mockDictionary) {
+        mockDictionary = {};
+        if (process.env.TRANSLATION_MOCK_DICTIONARY) {
+            try {
+                mockDictionary = JSON.parse(await fs.readFile(process.env.TRANSLATION_MOCK_DICTIONARY, 'utf-8'));
+            } catch (error) {
+                console.error('❌ Error reading mock translation dictionary:', error.message);
+            }
+        }
+    }
+    return mockDictionary;
+}
+
+const mockProvider = {
+    name: 'mock',
+
+    async translate(text, { to, glossary = [], maxChars = null } = {}) {
+        const dictionary = {
+            ...(await loadMockDictionary())[to.code],
+            ...Object.fromEntries(glossary.map(({ term, rendering }) => [term, rendering]))
+        };
+
+        // Replace known phrases (dictionary and glossary), longest first; anything else is tagged with the language
+        const entries = Object.entries(dictionary).sort(([a], [b]) => b.length - a.length);
+        let translated = text;
+        for (const [source, target] of entries) {
+            const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            translated = translated.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu'), target);
+        }
+
+        translated = translated === text ? `[${to.code}] ${text}` : translated;
+        // Shorter renderings are simply cut at a word, so shortening can be exercised offline
+        if (maxChars && translated.length > maxChars) {
+            const cut = translated.slice(0, maxChars);
+            translated = cut.includes(' ') ? cut.slice(0, cut.lastIndexOf(' ')) : cut;
+        }
+
+        return {
+            text: translated,
+            usage: NO_USAGE,
+            model: null,
+            provider: 'mock'
+        };
+    },
+
+    // One lookup per language: there is no call to save, but it lets CI exercise batched jobs
+    async translateBatch(text, { targets, glossaries = {} } = {}) {
+        const translations = {};
+        for (const to of targets) {
+            translations[to.name] = (await this.translate(text, { to, glossary: glossaries[to.name] })).text;
+        }
+        return { translations, invalid: {}, usage: NO_USAGE, model: null, provider: 'mock', repaired: false };
+    },
+
+    async detectLanguage() {
+        return { detectedLanguage: null, usage: NO_USAGE };
+    }
+};
+
+const providers = {
+    [openaiProvider.name]: openaiProvider,
+    [openaiCompatibleProvider.name]: openaiCompatibleProvider,
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * Gets a translation provider by name (defaults to TRANSLATION_PROVIDER, then 'openai')
+ */
+function getTranslationProvider(name = DEFAULT_PROVIDER) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown translation provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Picks the provider a job uses for one target language: options.translationProviders
+ * (keyed by language code or name) wins over options.translationProvider, then the default
+ * @param {Object} jobOptions - Job options
+ * @param {Object} language - Language registry entry
+ */
+function getTranslationProviderFor(jobOptions = {}, language) {
+    const perLanguage = Object.entries(jobOptions.translationProviders || {})
+        .find(([key]) => resolveLanguage(key) === language)?.[1];
+    return getTranslationProvider(perLanguage || jobOptions.translationProvider || DEFAULT_PROVIDER);
+}
+
+/**
+ * Lists the available provider names
+ */
+function listTranslationProviders() {
+    return Object.keys(providers);
+}
+
+export {
+    getTranslationProvider,
+    getTranslationProviderFor,
+    listTranslationProviders,
+    DEFAULT_PROVIDER as DEFAULT_TRANSLATION_PROVIDER
+};
@@ -0,0 +1,182 @@
+import { resolveLanguage } from './languages.js';
+import { getTranslationProviderFor } from './translationProviders.js';
+
+/*
+ * Translation quality pass. Every translation except English is translated back into
+ * English with the same provider and compared with the English pivot, so reviewers can see
+ * where a language they can't read has probably gone wrong.
+ *
+ * Turned on per job with options.qualityCheck (default QUALITY_CHECK, off: it costs one more
+ * call per language). Thresholds:
+ * - QUALITY_MIN_SCORE (0.5): lowest acceptable back-translation score
+ * - QUALITY_LENGTH_RATIO_MIN / QUALITY_LENGTH_RATIO_MAX (0.5 / 2.5): translation length over
+ *   English length, in characters
+ * - QUALITY_MIN_SCRIPT_SHARE (0.8): share of the translation's letters that must be in the
+ *   language's script
+ *
+ * Result for each language:
+ * {
+ *   score,            // 0-1 word overlap (F1) of the back-translation with the English pivot; null if it failed
+ *   backTranslation,
+ *   lengthRatio,
+ *   scriptShare,
+ *   flags,            // 'low_score', 'length_ratio', 'wrong_script'
+ *   flagged,
+ *   provider, model,
+ *   error             // Only when the back-translation failed
+ * }
+ */
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Gets the quality settings for a job
+ */
+function getQualitySettings(jobOptions = {}) {
+    const envEnabled = ['true', '1', 'yes'].includes((process.env.QUALITY_CHECK || '').toLowerCase());
+    return {
+        enabled: jobOptions?.qualityCheck ?? envEnabled,
+        minScore: envNumber('QUALITY_MIN_SCORE', 0.5),
+        minLengthRatio: envNumber('QUALITY_LENGTH_RATIO_MIN', 0.5),
+        maxLengthRatio: envNumber('QUALITY_LENGTH_RATIO_MAX', 2.5),
+        minScriptShare: envNumber('QUALITY_MIN_SCRIPT_SHARE', 0.8)
+    };
+}
+
+/**
+ * Lower-cased words of a text
+ */
+function words(text) {
+    return text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Word overlap of two texts as an F1 score, 0-1. Word order is ignored, since back-translations
+ * often reorder a sentence without changing what it says.
+ */
+function wordOverlap(candidate, reference) {
+    const candidateWords = words(candidate);
+    const referenceWords = words(reference);
+    if (!candidateWords.length || !referenceWords.length) return 0;
+
+    const counts = new Map();
+    for (const word of referenceWords) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    let shared = 0;
+    for (const word of candidateWords) {
+        if (counts.get(word) > 0) {
+            shared++;
+            counts.set(word, counts.get(word) - 1);
+        }
+    }
+    if (!shared) return 0;
+
+    const precision = shared / candidateWords.length;
+    const recall = shared / referenceWords.length;
+    return (2 * precision * recall) / (precision + recall);
+}
+
+/**
+ * Share of a text's letters written in a script (null when the script can't be checked)
+ */
+function scriptShare(text, script) {
+    let pattern;
+    try {
+        pattern = new RegExp(`\\p{Script=${script}}`, 'u');
+    } catch {
+        return null;
+    }
+    const letters = text.match(/\p{L}/gu) || [];
+    if (!letters.length) return 0;
+    return letters.filter(letter => pattern.test(letter)).length / letters.length;
+}
+
+const round = value => value === null ? null : Math.round(value * 100) / 100;
+
+/**
+ * Scores one translation against the English pivot
+ * @param {string} englishText - English pivot
+ * @param {string} text - Translation
+ * @param {Object} language - Language registry entry
+ * @param {string|null} backTranslation - The translation in English again, or null if that failed
+ */
+function scoreTranslation(englishText, text, language, backTranslation, settings) {
+    const score = backTranslation === null ? null : wordOverlap(backTranslation, englishText);
+    const lengthRatio = text.length / englishText.length;
+    const share = language.script ? scriptShare(text, language.script) : null;
+
+    const flags = [];
+    if (score !== null && score < settings.minScore) flags.push('low_score');
+    if (lengthRatio < settings.minLengthRatio || lengthRatio > settings.maxLengthRatio) flags.push('length_ratio');
+    if (share !== null && share < settings.minScriptShare) flags.push('wrong_script');
+
+    return {
+        score: round(score),
+        backTranslation,
+        lengthRatio: round(lengthRatio),
+        scriptShare: round(share),
+        flags,
+        flagged: flags.length > 0
+    };
+}
+
+/**
+ * Runs the quality pass over a fragment's translations
+ * @param {string|null} englishText - English pivot (nothing is checked without it)
+ * @param {Object} translations - translateText's translations, by language name
+ * @param {Object[]} languages - The job's text languages
+ * @returns {Promise<Object>} - { quality: { [language name]: result }, usage: [{ provider, model, units }] }
+ */
+async function checkTranslationQuality(englishText, translations, languages, jobOptions = {}) {
+    const settings = getQualitySettings(jobOptions);
+    if (!settings.enabled || !englishText) {
+        return { quality: {}, usage: [] };
+    }
+
+    const english = resolveLanguage('en');
+    const quality = {};
+    const usage = [];
+    await Promise.all(languages
+        .filter(lang => lang.code !== 'en' && translations[lang.name])
+        .map(async lang => {
+            const { text } = translations[lang.name];
+            const provider = getTranslationProviderFor(jobOptions, lang);
+            try {
+                const result = await provider.translate(text, {
+                    from: lang,
+                    to: english,
+                    model: jobOptions.translationOptions?.model
+                });
+                usage.push({ provider: result.provider, model: result.model, units: result.usage.total_tokens });
+                quality[lang.name] = {
+                    ...scoreTranslation(englishText, text, lang, result.text, settings),
+                    provider: result.provider,
+                    model: result.model
+                };
+            } catch (error) {
+                // Length and script can still be checked without the back-translation
+                console.warn(`⚠️ Back-translation of ${lang.name} failed:`, error.message);
+                if (error.usage) {
+                    usage.push({ provider: error.provider, model: error.model, units: error.usage.total_tokens });
+                }
+                quality[lang.name] = {
+                    ...scoreTranslation(englishText, text, lang, null, settings),
+                    provider: provider.name,
+                    model: null,
+                    error: error.message
+                };
+            }
+
+            if (quality[lang.name].flagged) {
+                console.log(`🔎 ${lang.name} translation flagged for review: ${quality[lang.name].flags.join(', ')} (score ${quality[lang.name].score})`);
+            }
+        }));
+
+    return { quality, usage: usage.filter(item => item.units > 0) };
+}
+
+export { checkTranslationQuality };
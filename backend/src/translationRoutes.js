@@ -0,0 +1,81 @@
+import { resolveLanguage } from './languages.js';
+
+/*
+ * Translation routes: how each target language is reached from the source language.
+ *
+ * - pivot (default): source → English → target
+ * - direct: source → target in one call, for pairs where going through English loses
+ *   meaning (closely related languages) and to save a step on live streams
+ *
+ * Routes only apply when the source language is known and isn't English; English itself is
+ * always translated from the source. Direct pairs come from TRANSLATION_DIRECT_ROUTES
+ * (comma-separated source>target codes, or "none"), and a job's options.translationRoutes
+ * overrides them pair by pair:
+ * { "hi>mr": "direct", "sa>hi": "pivot" }
+ */
+
+const ROUTES = ['direct', 'pivot'];
+
+// Related languages that lose more than they gain going through English
+const DEFAULT_DIRECT_ROUTES = 'hi>mr,mr>hi,sa>hi';
+
+/**
+ * Parses a "source>target" pair (codes or names)
+ * @returns {Object|null} - { from, to } registry entries, or null if either is unknown
+ */
+function parseRoutePair(pair) {
+    const [from, to, extra] = typeof pair === 'string' ? pair.split('>') : [];
+    if (extra !== undefined) return null;
+    const source = resolveLanguage(from);
+    const target = resolveLanguage(to);
+    return source && target ? { from: source, to: target } : null;
+}
+
+function pairKey(from, to) {
+    return `${from.code}>${to.code}`;
+}
+
+/**
+ * Gets a job's routing table: TRANSLATION_DIRECT_ROUTES, then options.translationRoutes
+ * @returns {Map} - "source code>target code" -> 'direct' | 'pivot'
+ */
+function getRoutingTable(jobOptions = {}) {
+    const table = new Map();
+    const envRoutes = process.env.TRANSLATION_DIRECT_ROUTES ?? DEFAULT_DIRECT_ROUTES;
+    if (envRoutes.trim().toLowerCase() !== 'none') {
+        for (const pair of envRoutes.split(',')) {
+            const parsed = parseRoutePair(pair.trim());
+            if (parsed) table.set(pairKey(parsed.from, parsed.to), 'direct');
+        }
+    }
+    for (const [pair, route] of Object.entries(jobOptions?.translationRoutes || {})) {
+        const parsed = parseRoutePair(pair);
+        if (parsed && ROUTES.includes(route)) table.set(pairKey(parsed.from, parsed.to), route);
+    }
+    return table;
+}
+
+/**
+ * Decides how a target language is reached from the source language
+ * @param {Object|null} source - Source language registry entry (null when unknown)
+ * @param {Object} target - Target language registry entry
+ * @returns {Object} - { route: 'direct' | 'pivot', from, via }: from is the code translated
+ *                     from, via is 'en' for pivoted languages (null otherwise)
+ */
+function getTranslationRoute(source, target, jobOptions = {}, table = getRoutingTable(jobOptions)) {
+    // English, and everything translated from an English source, is one step anyway
+    if (target.code === 'en' || source?.code === 'en') {
+        return { route: 'direct', from: source?.code || null, via: null };
+    }
+    if (source && source !== target && table.get(pairKey(source, target)) === 'direct') {
+        return { route: 'direct', from: source.code, via: null };
+    }
+    return { route: 'pivot', from: source?.code || null, via: 'en' };
+}
+
+export {
+    getTranslationRoute,
+    getRoutingTable,
+    parseRoutePair,
+    ROUTES as TRANSLATION_ROUTES
+};
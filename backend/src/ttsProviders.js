@@ -0,0 +1,382 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import dotenv from 'dotenv';
+import { resolveLanguage } from './languages.js';
+import { createWavBuffer } from './audioSegmenter.js';
+
+// Configure dotenv with the path to your .env file
+dotenv.config({ path: path.join(process.cwd(), 'backend', '.env') });
+
+/*
+ * Text-to-speech providers.
+ *
+ * Every provider exposes synthesize(text, { language, voice }) and resolves to an audio
+ * Buffer (MP3 or WAV; ffmpeg converts either to the final MP3). language is a registry
+ * entry (from languages.js); voice is provider-specific and null means the provider's
+ * default for that language.
+ *
+ * isAvailable() reports whether the provider is configured. An unavailable provider is
+ * skipped in favour of TTS_FALLBACK_PROVIDER rather than failing the job.
+ */
+
+const DEFAULT_PROVIDER = process.env.TTS_PROVIDER || 'elevenlabs';
+const FALLBACK_PROVIDER = process.env.TTS_FALLBACK_PROVIDER || 'espeak-ng';
+
+/**
+ * Runs a command, optionally writing input to its stdin, and resolves with its stdout
+ */
+function runCommand(command, args, input = null) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        const stdout = [];
+        let stderr = '';
+
+        child.stdout.on('data', data => { stdout.push(data); });
+        child.stderr.on('data', data => { stderr += data.toString(); });
+        child.on('error', error => {
+            reject(new Error(`Failed to run ${command}: ${error.message}`));
+        });
+        child.on('close', code => {
+            if (code !== 0) {
+                reject(new Error(`${command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+                return;
+            }
+            resolve(Buffer.concat(stdout));
+        });
+
+        // The close handler reports failures; don't let a closed stdin (EPIPE) crash the server
+        child.stdin.on('error', () => {});
+        if (input !== null) {
+            child.stdin.write(input);
+        }
+        child.stdin.end();
+    });
+}
+
+// ElevenLabs
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+
+// Cache for voice IDs, and whether the API key has been checked
+let voiceCache = null;
+let apiKeyValidated = false;
+
+function getElevenLabsKey() {
+    return process.env.ELEVENLABS_API_KEY;
+}
+
+/**
+ * Fetch available voices from ElevenLabs API
+ */
+async function getVoices() {
+    try {
+        if (voiceCache) return voiceCache;
+
+        const response = await fetch(`${ELEVENLABS_API_URL}/voices`, {
+            headers: {
+                'xi-api-key': getElevenLabsKey()
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch voices: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        // Create a map of voice name to voice ID
+        const voiceMap = {};
+        data.voices.forEach(voice => {
+            if (!voiceMap[voice.name]) {
+                voiceMap[voice.name] = voice.voice_id;
+            }
+        });
+
+        voiceCache = voiceMap;
+        return voiceMap;
+    } catch (error) {
+        console.error('Error fetching voices:', error);
+        return null;
+    }
+}
+
+/**
+ * Validate API key with retry logic (once per process)
+ */
+async function validateApiKey(retries = 3, delay = 2000) {
+    if (apiKeyValidated) return true;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            console.log(`Attempt ${attempt} to validate API key...`);
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+
+            const response = await fetch(`${ELEVENLABS_API_URL}/user/subscription`, {
+                headers: {
+                    'xi-api-key': getElevenLabsKey()
+                },
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                throw new Error(`Invalid API key: ${response.status} ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            console.log('API key validated successfully. Character quota:', data.character_count, '/', data.character_limit);
+            apiKeyValidated = true;
+            return true;
+        } catch (error) {
+            console.error(`API key validation attempt ${attempt} failed:`, error);
+
+            if (attempt === retries) {
+                console.error('All validation attempts failed');
+                return false;
+            }
+
+            console.log(`Waiting ${delay}ms before next attempt...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+    return false;
+}
+
+const elevenLabsProvider = {
+    name: 'elevenlabs',
+
+    isAvailable() {
+        return Boolean(getElevenLabsKey());
+    },
+
+    async synthesize(text, { language, voice = null, retries = 3, delay = 2000 } = {}) {
+        if (!await validateApiKey()) {
+            throw new Error('Invalid ElevenLabs API key');
+        }
+
+        const voices = await getVoices();
+        if (!voices) {
+            throw new Error('Failed to fetch voices');
+        }
+
+        // The configured voice (by name or ID), then one named after the language
+        const voiceId = (voice && (voices[voice] || Object.values(voices).find(id => id === voice))) ||
+            voices[language.name] ||
+            Object.values(voices)[0]; // Fallback to first available voice
+        if (!voiceId) {
+            throw new Error(`No voice found for language: ${language.name}`);
+        }
+
+        console.log(`Using voice ID ${voiceId} for ${language.name}`);
+
+        for (let attempt = 1; attempt <= retries; attempt++) {
+            try {
+                console.log(`Attempt ${attempt} to generate audio...`);
+
+                const controller = new AbortController();
+                const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout for audio generation
+
+                const response = await fetch(`${ELEVENLABS_API_URL}/text-to-speech/${voiceId}`, {
+                    method: 'POST',
+                    headers: {
+                        'Accept': 'audio/mpeg',
+                        'Content-Type': 'application/json',
+                        'xi-api-key': getElevenLabsKey()
+                    },
+                    body: JSON.stringify({
+                        text: text,
+                        model_id: 'eleven_multilingual_v2',
+                        voice_settings: {
+                            stability: 0.5,
+                            similarity_boost: 0.75,
+                            style: 0.5,
+                            use_speaker_boost: true
+                        }
+                    }),
+                    signal: controller.signal
+                });
+
+                clearTimeout(timeoutId);
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}\n${errorText}`);
+                }
+
+                const audioBuffer = await response.arrayBuffer();
+                return Buffer.from(audioBuffer);
+            } catch (error) {
+                console.error(`Audio generation attempt ${attempt} failed:`, error);
+
+                if (attempt === retries) {
+                    throw error;
+                }
+
+                console.log(`Waiting ${delay}ms before next attempt...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+};
+
+// espeak-ng CLI (writes WAV to stdout)
+
+const espeakProvider = {
+    name: 'espeak-ng',
+
+    isAvailable() {
+        return true;
+    },
+
+    async synthesize(text, { language, voice = null } = {}) {
+        const command = process.env.ESPEAK_BIN || 'espeak-ng';
+        // espeak-ng voices are named by language code ('hi', 'mr', 'fr'); variants like 'hi+f3' also work
+        const args = ['-v', voice || language.code, '--stdout'];
+        if (process.env.ESPEAK_SPEED) args.push('-s', process.env.ESPEAK_SPEED);
+
+        console.log(`Running ${command} (${args[1]})...`);
+        return runCommand(command, [...args, '--stdin'], text);
+    }
+};
+
+// Piper CLI (one ONNX model per voice)
+
+const piperProvider = {
+    name: 'piper',
+
+    isAvailable() {
+        return true;
+    },
+
+    async synthesize(text, { language, voice = null } = {}) {
+        // Voices are model paths; by default PIPER_MODEL_DIR/<language code>.onnx
+        const model = voice || path.join(process.env.PIPER_MODEL_DIR || 'piper-models', `${language.code}.onnx`);
+        const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'piper-'));
+        const outputFile = path.join(outputDir, 'speech.wav');
+        try {
+            const command = process.env.PIPER_BIN || 'piper';
+            console.log(`Running ${command} (${path.basename(model)})...`);
+            await runCommand(command, ['--model', model, '--output_file', outputFile], text);
+            return await fs.readFile(outputFile);
+        } finally {
+            await fs.rm(outputDir, { recursive: true, force: true });
+        }
+    }
+};
+
+// Test providers: silence or a tone, roughly as long as the text would take to read
+
+const TEST_SAMPLE_RATE = 22050;
+const TEST_CHARS_PER_SECOND = 15;
+
+/**
+ * Builds a WAV as long as the text would take to say, filled by sampleAt(time)
+ */
+function createTestAudio(text, sampleAt) {
+    const seconds = Math.max(1, text.length / TEST_CHARS_PER_SECOND);
+    const samples = Math.round(seconds * TEST_SAMPLE_RATE);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        pcm.writeInt16LE(Math.round(sampleAt(i / TEST_SAMPLE_RATE)), i * 2);
+    }
+    return createWavBuffer(pcm, TEST_SAMPLE_RATE);
+}
+
+const silentProvider = {
+    name: 'silent',
+
+    isAvailable() {
+        return true;
+    },
+
+    async synthesize(text) {
+        return createTestAudio(text, () => 0);
+    }
+};
+
+const beepProvider = {
+    name: 'beep',
+
+    isAvailable() {
+        return true;
+    },
+
+    async synthesize(text) {
+        // 440 Hz at a quarter of full scale
+        return createTestAudio(text, time => Math.sin(2 * Math.PI * 440 * time) * 8192);
+    }
+};
+
+const providers = {
+    [elevenLabsProvider.name]: elevenLabsProvider,
+    [espeakProvider.name]: espeakProvider,
+    [piperProvider.name]: piperProvider,
+    [silentProvider.name]: silentProvider,
+    [beepProvider.name]: beepProvider
+};
+
+/**
+ * Gets a TTS provider by name (defaults to TTS_PROVIDER, then 'elevenlabs')
+ */
+function getTtsProvider(name = DEFAULT_PROVIDER) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown TTS provider: ${name}. Available: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Finds a per-language job option value ({ hi: ..., Sanskrit: ... }) for a language
+ */
+function findLanguageOption(optionMap, language) {
+    return Object.entries(optionMap || {})
+        .find(([key]) => resolveLanguage(key) === language)?.[1];
+}
+
+/**
+ * Picks the provider and voice a job uses for one language.
+ * Provider: options.ttsProviders[language], options.ttsProvider, the registry's ttsProvider,
+ * then TTS_PROVIDER. Voice: options.ttsVoices[language], then the registry's ttsVoice when
+ * it belongs to the chosen provider. Unavailable providers fall back to TTS_FALLBACK_PROVIDER.
+ * @param {Object} jobOptions - Job options
+ * @param {Object|string} language - Language registry entry, code or name
+ * @returns {{ provider: Object, voice: string|null, language: Object }}
+ */
+function getTtsSelection(jobOptions = {}, language) {
+    const entry = typeof language === 'string' ? resolveLanguage(language) : language;
+    if (!entry) {
+        throw new Error(`Unknown language for TTS: ${language}`);
+    }
+
+    const registryProvider = entry.ttsProvider || DEFAULT_PROVIDER;
+    const providerName = findLanguageOption(jobOptions.ttsProviders, entry) ||
+        jobOptions.ttsProvider ||
+        registryProvider;
+    const voice = findLanguageOption(jobOptions.ttsVoices, entry) ||
+        (providerName === registryProvider ? entry.ttsVoice : null);
+
+    const provider = getTtsProvider(providerName);
+    if (!provider.isAvailable()) {
+        console.warn(`⚠️ TTS provider ${providerName} is not configured, using ${FALLBACK_PROVIDER} for ${entry.name}`);
+        return { provider: getTtsProvider(FALLBACK_PROVIDER), voice: null, language: entry };
+    }
+    return { provider, voice, language: entry };
+}
+
+/**
+ * Lists the available provider names, with whether each is configured
+ */
+function listTtsProviders() {
+    return Object.values(providers).map(provider => ({
+        name: provider.name,
+        available: provider.isAvailable()
+    }));
+}
+
+export { getTtsProvider, getTtsSelection, listTtsProviders, DEFAULT_PROVIDER as DEFAULT_TTS_PROVIDER };
@@ -0,0 +1,286 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { getJob } from './jobStore.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+const LEDGER_FILE = path.join(BASE_TEMP_DIR, 'usage-ledger.jsonl');
+const PRICE_TABLE_FILE = process.env.PRICE_TABLE_FILE || path.join(BASE_TEMP_DIR, 'prices.json');
+
+/*
+ * Usage ledger: every billable call (transcription minutes, translation tokens, TTS
+ * characters) is recorded with its job, fragment and cost. The ledger is append-only
+ * (one JSON record per line) and shared by every job.
+ *
+ * Record shape:
+ * {
+ *   timestamp,
+ *   videoId, fragment,
+ *   stage,           // 'transcription', 'translation' or 'tts'
+ *   provider, model,
+ *   unit,            // 'minutes', 'tokens' or 'characters'
+ *   units,
+ *   cost             // USD, from the price table
+ * }
+ *
+ * Prices are per stage and provider, optionally per model, in USD per `per` units:
+ * { "translation": { "openai": { "unit": "tokens", "per": 1000, "price": 0.002, "models": { "gpt-4o": { "price": 0.01 } } } } }
+ * PRICE_TABLE_FILE (default temp_files/prices.json) is merged over the defaults below.
+ * Providers without a price (local engines, test providers) cost nothing.
+ *
+ * A job's options.budget (USD, default JOB_BUDGET) caps what it may spend: once its
+ * recorded cost reaches the cap, 'budgetExceeded' is emitted on usageEvents.
+ */
+
+const DEFAULT_PRICES = {
+    transcription: {
+        openai: { unit: 'minutes', per: 1, price: 0.006 },
+        google: { unit: 'minutes', per: 1, price: 0.016 }
+    },
+    translation: {
+        openai: { unit: 'tokens', per: 1000, price: 0.002 }
+    },
+    tts: {
+        elevenlabs: { unit: 'characters', per: 1000, price: 0.30 }
+    }
+};
+
+// Units each stage is measured in, for providers without a price entry
+const STAGE_UNITS = {
+    transcription: 'minutes',
+    translation: 'tokens',
+    tts: 'characters'
+};
+
+const usageEvents = new EventEmitter();
+
+// In-memory copy of the ledger, loaded once; new records are appended to the file
+let records = null;
+// Running cost per job (videoId -> USD), kept with the records so budget checks don't rescan them
+const jobCosts = new Map();
+let loadingPromise = null;
+let writeQueue = Promise.resolve();
+let priceTable = null;
+
+/**
+ * Adds a record's cost to its job's running total
+ */
+function addJobCost(record) {
+    if (!record.videoId) return;
+    jobCosts.set(record.videoId, (jobCosts.get(record.videoId) || 0) + record.cost);
+}
+
+/**
+ * Loads the ledger from disk (only once per process)
+ */
+async function loadLedger() {
+    if (records) return records;
+    if (!loadingPromise) {
+        loadingPromise = (async () => {
+            try {
+                const content = await fs.readFile(LEDGER_FILE, 'utf-8');
+                records = content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+                records.forEach(addJobCost);
+                console.log(`✓ Loaded ${records.length} usage records`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('❌ Error reading usage ledger, starting empty:', error.message);
+                }
+                records = [];
+            }
+            return records;
+        })();
+    }
+    return loadingPromise;
+}
+
+/**
+ * Appends a record to the ledger file. Appends are queued so lines never interleave.
+ */
+function appendRecord(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    writeQueue = writeQueue
+        .catch(() => {})
+        .then(async () => {
+            await fs.mkdir(BASE_TEMP_DIR, { recursive: true });
+            await fs.appendFile(LEDGER_FILE, line);
+        })
+        .catch(error => {
+            console.error('❌ Error writing usage ledger:', error.message);
+        });
+    return writeQueue;
+}
+
+/**
+ * Merges a price table over the defaults, stage by stage and provider by provider
+ */
+function mergePrices(base, overrides) {
+    const merged = structuredClone(base);
+    for (const [stage, providers] of Object.entries(overrides || {})) {
+        merged[stage] = merged[stage] || {};
+        for (const [provider, price] of Object.entries(providers)) {
+            merged[stage][provider] = { ...merged[stage][provider], ...price };
+        }
+    }
+    return merged;
+}
+
+/**
+ * Gets the price table: the defaults with PRICE_TABLE_FILE merged over them
+ */
+async function getPriceTable() {
+    if (priceTable) return priceTable;
+    let overrides = {};
+    try {
+        overrides = JSON.parse(await fs.readFile(PRICE_TABLE_FILE, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Error reading price table, using default prices:', error.message);
+        }
+    }
+    priceTable = mergePrices(DEFAULT_PRICES, overrides);
+    return priceTable;
+}
+
+/**
+ * Works out what some usage costs
+ * @param {string} stage - 'transcription', 'translation' or 'tts'
+ * @param {string} provider - Provider name
+ * @param {string|null} model - Model, when the price depends on it
+ * @param {number} units - Minutes, tokens or characters
+ * @returns {Promise<Object>} - { unit, cost }
+ */
+async function priceUsage(stage, provider, model, units) {
+    const prices = await getPriceTable();
+    const providerPrice = prices[stage]?.[provider];
+    if (!providerPrice) {
+        return { unit: STAGE_UNITS[stage], cost: 0 };
+    }
+
+    const price = { ...providerPrice, ...providerPrice.models?.[model] };
+    return {
+        unit: price.unit || STAGE_UNITS[stage],
+        cost: (units / (price.per || 1)) * price.price
+    };
+}
+
+/**
+ * Gets the budget cap for a job, in USD (null when it has none)
+ */
+function getJobBudget(job) {
+    const budget = job?.options?.budget ?? parseFloat(process.env.JOB_BUDGET);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+/**
+ * Total recorded cost for a job
+ */
+async function getJobCost(videoId) {
+    await loadLedger();
+    return jobCosts.get(videoId) || 0;
+}
+
+/**
+ * Checks whether a job has spent its budget
+ * @returns {Promise<Object>} - { spent, budget, exceeded }
+ */
+async function checkBudget(videoId) {
+    const job = await getJob(videoId);
+    const budget = getJobBudget(job);
+    const spent = await getJobCost(videoId);
+    return { spent, budget, exceeded: budget !== null && spent >= budget };
+}
+
+/**
+ * Records billable usage. Emits 'budgetExceeded' when it takes a running job to its budget.
+ * @param {Object} usage - { videoId, fragment, stage, provider, model, units }
+ * @returns {Promise<Object>} - The ledger record
+ */
+async function recordUsage({ videoId, fragment = null, stage, provider, model = null, units }) {
+    const ledger = await loadLedger();
+    const { unit, cost } = await priceUsage(stage, provider, model, units);
+    const record = {
+        timestamp: new Date().toISOString(),
+        videoId,
+        fragment,
+        stage,
+        provider,
+        model,
+        unit,
+        units,
+        cost
+    };
+    ledger.push(record);
+    addJobCost(record);
+    await appendRecord(record);
+
+    if (cost > 0 && videoId) {
+        const job = await getJob(videoId);
+        const budget = getJobBudget(job);
+        const spent = jobCosts.get(videoId);
+        // Work that was already running when the job was halted still gets recorded
+        if (budget !== null && spent >= budget && job && !job.control) {
+            usageEvents.emit('budgetExceeded', { videoId, spent, budget });
+        }
+    }
+    return record;
+}
+
+/**
+ * Adds a record to a group's totals
+ */
+function addToGroup(groups, key, fields, record) {
+    const group = groups.get(key) || { ...fields, records: 0, cost: 0, units: {} };
+    group.records++;
+    group.cost += record.cost;
+    group.units[record.unit] = (group.units[record.unit] || 0) + record.units;
+    groups.set(key, group);
+}
+
+/**
+ * Usage report, totalled by day, job and provider
+ * @param {Object} filters - { from, to } (YYYY-MM-DD, inclusive) and videoId
+ * @returns {Promise<Object>} - { total, byDay, byJob, byProvider }
+ */
+async function getUsageReport({ from = null, to = null, videoId = null } = {}) {
+    const ledger = await loadLedger();
+    const selected = ledger.filter(record => {
+        const day = record.timestamp.slice(0, 10);
+        return (!from || day >= from) && (!to || day <= to) && (!videoId || record.videoId === videoId);
+    });
+
+    const byDay = new Map();
+    const byJob = new Map();
+    const byProvider = new Map();
+    for (const record of selected) {
+        const day = record.timestamp.slice(0, 10);
+        addToGroup(byDay, day, { day }, record);
+        addToGroup(byJob, record.videoId, { videoId: record.videoId }, record);
+        addToGroup(byProvider, `${record.stage}:${record.provider}`, { stage: record.stage, provider: record.provider }, record);
+    }
+
+    const jobs = await Promise.all([...byJob.values()].map(async group => ({
+        ...group,
+        budget: getJobBudget(await getJob(group.videoId))
+    })));
+
+    return {
+        total: {
+            records: selected.length,
+            cost: selected.reduce((sum, record) => sum + record.cost, 0)
+        },
+        byDay: [...byDay.values()].sort((a, b) => a.day.localeCompare(b.day)),
+        byJob: jobs.sort((a, b) => b.cost - a.cost),
+        byProvider: [...byProvider.values()].sort((a, b) => b.cost - a.cost)
+    };
+}
+
+export {
+    usageEvents,
+    recordUsage,
+    priceUsage,
+    getPriceTable,
+    getJobBudget,
+    checkBudget,
+    getUsageReport
+};
@@ -0,0 +1,403 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { getJob, updateExport } from './jobStore.js';
+import { getManifest, getSortedFragments } from './fragmentManifest.js';
+import { resolveLanguage } from './languages.js';
+import { downloadVideo } from './audioExtractor.js';
+import { exportSubtitles } from './subtitleExporter.js';
+
+const BASE_TEMP_DIR = path.join(process.cwd(), 'temp_files');
+
+/*
+ * Dubbed video exports: the original video with one audio track per dubbed language, each
+ * tagged with its ISO 639-2 code, and optionally subtitles.
+ *
+ * An export runs in three steps, reported on the job record under exports[]:
+ * 1. downloading: the full video with yt-dlp (kept in Exports/ and reused by later exports)
+ * 2. building_tracks: each language's dubbed MP3s placed at their fragment's offset in the
+ *    source, one continuous AAC track per language
+ * 3. muxing: video, original audio (optional), dubbed tracks and subtitles into MP4 or MKV
+ *
+ * Export request:
+ * {
+ *   format,                 // 'mp4' (default) or 'mkv'
+ *   languages,              // Dubbed languages to include (default: every dubbed language)
+ *   includeOriginalAudio,   // Keep the source audio as the first track (default true)
+ *   subtitles,              // 'none' (default), 'soft' (a subtitle track per language) or 'burned'
+ *   subtitleLanguages       // Subtitle languages, 'original' for the transcript (default: the
+ *                           // dubbed languages); 'burned' takes the first one only
+ * }
+ */
+
+const EXPORT_FORMATS = ['mp4', 'mkv'];
+const SUBTITLE_MODES = ['none', 'soft', 'burned'];
+
+// Share of the overall progress each step accounts for
+const STEP_PROGRESS = {
+    downloading: [0, 40],
+    building_tracks: [40, 60],
+    muxing: [60, 100]
+};
+
+// Video ID -> ID of its running export (one at a time per video)
+const activeExports = new Map();
+
+function getExportsDir(videoId) {
+    return path.join(BASE_TEMP_DIR, videoId, 'Exports');
+}
+
+async function fileExists(filePath) {
+    try {
+        const stats = await fs.stat(filePath);
+        return stats.isFile() && stats.size > 0;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Runs ffmpeg, reporting progress (0-1) from its -progress output when the duration is known
+ * @returns {Promise<void>} - Rejects with the end of ffmpeg's log when it fails
+ */
+function runFfmpeg(args, { duration = null, onProgress = () => {}, cwd } = {}) {
+    return new Promise((resolve, reject) => {
+        let log = '';
+        const ffmpegProcess = spawn('ffmpeg', ['-y', '-nostats', '-progress', 'pipe:1', ...args], { cwd });
+
+        ffmpegProcess.stdout.on('data', data => {
+            const match = data.toString().match(/out_time_ms=(\d+)/g);
+            if (match && duration) {
+                const seconds = parseInt(match[match.length - 1].split('=')[1]) / 1e6;
+                onProgress(Math.min(seconds / duration, 1));
+            }
+        });
+        ffmpegProcess.stderr.on('data', data => {
+            log = (log + data.toString()).slice(-2000);
+        });
+        ffmpegProcess.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}: ${log.trim().split('\n').slice(-3).join(' ')}`));
+            }
+        });
+        ffmpegProcess.on('error', error => {
+            reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+        });
+    });
+}
+
+/**
+ * Gets a media file's duration in seconds with ffprobe (null if it can't be read)
+ */
+function probeDuration(filePath) {
+    return new Promise(resolve => {
+        let output = '';
+        const probe = spawn('ffprobe', ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath]);
+        probe.stdout.on('data', data => {
+            output += data.toString();
+        });
+        probe.on('close', () => {
+            const duration = parseFloat(output);
+            resolve(Number.isFinite(duration) ? duration : null);
+        });
+        probe.on('error', () => resolve(null));
+    });
+}
+
+/**
+ * The language most fragments were transcribed in, for tagging the original audio
+ */
+function getSourceLanguage(fragments) {
+    const counts = {};
+    for (const fragment of fragments) {
+        const code = fragment.transcription?.language;
+        if (code) counts[code] = (counts[code] || 0) + 1;
+    }
+    const [code] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    return resolveLanguage(code);
+}
+
+/**
+ * ffmpeg arguments that place a language's dubbed fragments at their offsets in the source
+ * and mix them into one track
+ * @param {Object[]} fragments - Manifest fragments with dubbed audio for the language
+ */
+function buildTrackArguments(videoDir, language, fragments, duration, outputPath) {
+    const inputs = fragments.flatMap(fragment => ['-i', path.join(videoDir, fragment.dubbedAudio[language].file)]);
+    const delayed = fragments.map((fragment, index) => {
+        const delay = Math.round(fragment.start * 1000);
+        return `[${index}:a]aresample=48000,adelay=delays=${delay}:all=1[a${index}]`;
+    });
+    const mixInputs = fragments.map((fragment, index) => `[a${index}]`).join('');
+    const filter = [
+        ...delayed,
+        `${mixInputs}amix=inputs=${fragments.length}:normalize=0:dropout_transition=0[out]`
+    ].join(';');
+
+    return [
+        ...inputs,
+        '-filter_complex', filter,
+        '-map', '[out]',
+        ...(duration ? ['-t', String(duration)] : []),
+        '-codec:a', 'aac', '-b:a', '192k',
+        outputPath
+    ];
+}
+
+/**
+ * ffmpeg arguments for the final mux
+ * @param {Object} plan - { sourcePath, tracks: [{ path, language }], subtitles: [{ path, language }],
+ *                        burnedSubtitles, includeOriginalAudio, sourceLanguage, format, outputPath }
+ */
+function buildMuxArguments(plan) {
+    const args = ['-i', plan.sourcePath];
+    plan.tracks.forEach(track => args.push('-i', track.path));
+    const softSubtitles = plan.burnedSubtitles ? [] : plan.subtitles;
+    softSubtitles.forEach(subtitle => args.push('-i', subtitle.path));
+
+    args.push('-map', '0:v:0');
+    if (plan.includeOriginalAudio) {
+        args.push('-map', '0:a:0?');
+    }
+    plan.tracks.forEach((track, index) => args.push('-map', `${index + 1}:a`));
+    softSubtitles.forEach((subtitle, index) => args.push('-map', `${plan.tracks.length + index + 1}:s`));
+
+    // Burned subtitles need the video re-encoded; ffmpeg runs in the export folder so the
+    // subtitles filter gets a plain file name
+    if (plan.burnedSubtitles) {
+        args.push('-vf', `subtitles=${path.basename(plan.burnedSubtitles.path)}`, '-codec:v', 'libx264', '-preset', 'veryfast', '-crf', '20');
+    } else {
+        args.push('-codec:v', 'copy');
+    }
+    args.push('-codec:a', 'aac', '-b:a', '192k');
+
+    // Tag every audio track, and make the first dubbed one the default
+    const audioTracks = [
+        ...(plan.includeOriginalAudio ? [{ language: plan.sourceLanguage, title: 'Original' }] : []),
+        ...plan.tracks.map(track => ({ language: track.language, title: track.language.label }))
+    ];
+    const firstDubbed = plan.includeOriginalAudio ? 1 : 0;
+    audioTracks.forEach((track, index) => {
+        args.push(
+            `-metadata:s:a:${index}`, `language=${track.language?.code3 || 'und'}`,
+            `-metadata:s:a:${index}`, `title=${track.title}`,
+            `-disposition:a:${index}`, index === firstDubbed ? 'default' : '0'
+        );
+    });
+
+    if (softSubtitles.length) {
+        args.push('-codec:s', plan.format === 'mp4' ? 'mov_text' : 'srt');
+        softSubtitles.forEach((subtitle, index) => {
+            args.push(
+                `-metadata:s:s:${index}`, `language=${subtitle.language?.code3 || 'und'}`,
+                `-metadata:s:s:${index}`, `title=${subtitle.language?.label || 'Original'}`
+            );
+        });
+    }
+    if (plan.format === 'mp4') {
+        args.push('-movflags', '+faststart');
+    }
+    args.push(plan.outputPath);
+    return args;
+}
+
+/**
+ * Downloads the source video once per video; later exports reuse it
+ */
+async function ensureSourceVideo(job, onProgress) {
+    const exportsDir = getExportsDir(job.id);
+    const sourcePath = path.join(exportsDir, 'source.mkv');
+    if (await fileExists(sourcePath)) {
+        console.log(`✅ Source video for ${job.id} already downloaded`);
+        return sourcePath;
+    }
+
+    await fs.mkdir(exportsDir, { recursive: true });
+    const downloadPath = path.join(exportsDir, 'source.download.mkv');
+    console.log(`⬇️ Downloading ${job.sourceUrl} for export...`);
+    await downloadVideo(job.sourceUrl, downloadPath, percent => onProgress(percent / 100));
+    await fs.rename(downloadPath, sourcePath);
+    return sourcePath;
+}
+
+/**
+ * Runs an export from start to finish, recording progress on the job
+ */
+async function runExport(videoId, exportId, request) {
+    const videoDir = path.join(BASE_TEMP_DIR, videoId);
+    const exportDir = path.join(getExportsDir(videoId), exportId);
+
+    let lastProgress = -1;
+    const report = async (step, fraction) => {
+        const [from, to] = STEP_PROGRESS[step];
+        const progress = Math.round(from + (to - from) * fraction);
+        if (progress === lastProgress) return;
+        lastProgress = progress;
+        await updateExport(videoId, exportId, { status: 'running', step, progress });
+    };
+    // Progress callbacks fire often; write to the job store without holding ffmpeg up
+    const reporter = step => fraction => {
+        report(step, fraction).catch(error => console.error('❌ Error recording export progress:', error.message));
+    };
+
+    const job = await getJob(videoId);
+    const fragments = getSortedFragments(await getManifest(videoId)).filter(fragment => fragment.start !== undefined);
+    await fs.mkdir(exportDir, { recursive: true });
+
+    // 1. Source video
+    await report('downloading', 0);
+    const sourcePath = await ensureSourceVideo(job, reporter('downloading'));
+    const duration = job.durationSeconds || await probeDuration(sourcePath);
+
+    // 2. One continuous track per dubbed language
+    await report('building_tracks', 0);
+    const reportTracks = reporter('building_tracks');
+    const tracks = [];
+    for (const [index, name] of request.languages.entries()) {
+        const dubbed = fragments.filter(fragment => fragment.dubbedAudio?.[name]);
+        const trackPath = path.join(exportDir, `${name}.m4a`);
+        console.log(`🎚️ Building the ${name} track from ${dubbed.length} fragments`);
+        await runFfmpeg(buildTrackArguments(videoDir, name, dubbed, duration, trackPath), {
+            duration,
+            onProgress: fraction => reportTracks((index + fraction) / request.languages.length)
+        });
+        tracks.push({ path: trackPath, language: resolveLanguage(name) });
+    }
+
+    // Subtitle files from the same cues as /api/videos/:id/subtitles
+    const subtitles = [];
+    if (request.subtitles !== 'none') {
+        const subtitleLanguages = request.subtitles === 'burned'
+            ? request.subtitleLanguages.slice(0, 1)
+            : request.subtitleLanguages;
+        for (const language of subtitleLanguages) {
+            const content = await exportSubtitles(videoId, language, 'srt');
+            if (!content) {
+                console.log(`⚠️ No ${language} subtitles for ${videoId}, leaving them out of the export`);
+                continue;
+            }
+            const subtitlePath = path.join(exportDir, `${language}.srt`);
+            await fs.writeFile(subtitlePath, content);
+            subtitles.push({ path: subtitlePath, language: language === 'original' ? getSourceLanguage(fragments) : resolveLanguage(language) });
+        }
+    }
+
+    // 3. Mux
+    await report('muxing', 0);
+    const fileName = `${videoId}-dubbed.${request.format}`;
+    const outputPath = path.join(exportDir, fileName);
+    await runFfmpeg(buildMuxArguments({
+        sourcePath,
+        tracks,
+        subtitles,
+        burnedSubtitles: request.subtitles === 'burned' ? subtitles[0] : null,
+        includeOriginalAudio: request.includeOriginalAudio,
+        sourceLanguage: getSourceLanguage(fragments),
+        format: request.format,
+        outputPath
+    }), { duration, onProgress: reporter('muxing'), cwd: exportDir });
+
+    const { size } = await fs.stat(outputPath);
+    return {
+        file: path.join('Exports', exportId, fileName),
+        size,
+        subtitleLanguages: subtitles.map(subtitle => subtitle.language?.name || 'original')
+    };
+}
+
+/**
+ * Starts a dubbed video export for a job. The export runs in the background; its progress
+ * is on the job's exports[] (GET /api/videos/:id/exports).
+ * @param {Object} request - See the export request above
+ * @returns {Promise<Object>} - The export record
+ */
+async function startExport(videoId, request = {}) {
+    const job = await getJob(videoId);
+    if (!job) {
+        throw new Error(`Job not found: ${videoId}`);
+    }
+    if (activeExports.has(videoId)) {
+        const error = new Error(`An export is already running for ${videoId}`);
+        error.code = 'export_running';
+        throw error;
+    }
+    // Reserve the slot before anything is awaited, so two requests can't both get past the check
+    const exportId = `export-${Date.now()}`;
+    activeExports.set(videoId, exportId);
+
+    let settings;
+    try {
+        // Only languages that have been dubbed can become tracks
+        const manifest = await getManifest(videoId);
+        const dubbedLanguages = new Set(getSortedFragments(manifest).flatMap(fragment => Object.keys(fragment.dubbedAudio || {})));
+        const languages = (request.languages?.length ? request.languages : [...dubbedLanguages])
+            .map(value => resolveLanguage(value)?.name || value)
+            .filter(name => dubbedLanguages.has(name));
+        if (!languages.length) {
+            const error = new Error('None of the requested languages have dubbed audio yet');
+            error.code = 'nothing_to_export';
+            throw error;
+        }
+
+        settings = {
+            format: request.format || 'mp4',
+            languages,
+            includeOriginalAudio: request.includeOriginalAudio ?? true,
+            subtitles: request.subtitles || 'none',
+            subtitleLanguages: request.subtitleLanguages?.length ? request.subtitleLanguages : languages
+        };
+        await updateExport(videoId, exportId, { ...settings, status: 'pending', step: null, progress: 0, file: null, error: null });
+    } catch (error) {
+        activeExports.delete(videoId);
+        throw error;
+    }
+    console.log(`📦 Exporting ${videoId} as ${settings.format} with ${settings.languages.join(', ')}`);
+
+    runExport(videoId, exportId, settings)
+        .then(result => {
+            console.log(`✅ Export ${exportId} of ${videoId} is ready: ${result.file}`);
+            return updateExport(videoId, exportId, {
+                ...result,
+                status: 'completed',
+                step: null,
+                progress: 100,
+                completedAt: new Date().toISOString()
+            });
+        })
+        .catch(error => {
+            console.error(`❌ Export ${exportId} of ${videoId} failed:`, error.message);
+            return updateExport(videoId, exportId, { status: 'error', error: error.message });
+        })
+        .finally(() => {
+            activeExports.delete(videoId);
+        });
+
+    return (await getExports(videoId)).find(item => item.id === exportId);
+}
+
+/**
+ * Lists a job's exports, newest first. Exports left running by a server restart are
+ * reported as failed.
+ */
+async function getExports(videoId) {
+    const job = await getJob(videoId);
+    return (job?.exports || [])
+        .map(item => ['pending', 'running'].includes(item.status) && activeExports.get(videoId) !== item.id
+            ? { ...item, status: 'error', error: 'Interrupted by a server restart' }
+            : item)
+        .reverse();
+}
+
+/**
+ * Gets the path of a completed export's file, or null if it isn't ready
+ */
+async function getExportFile(videoId, exportId) {
+    const item = (await getExports(videoId)).find(candidate => candidate.id === exportId);
+    if (item?.status !== 'completed' || !item.file) return null;
+    const filePath = path.join(BASE_TEMP_DIR, videoId, item.file);
+    return await fileExists(filePath) ? filePath : null;
+}
+
+export { startExport, getExports, getExportFile, EXPORT_FORMATS, SUBTITLE_MODES };
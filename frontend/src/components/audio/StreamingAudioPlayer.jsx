@@ -6,37 +6,82 @@
  * Flow:
  * 1. Uses useAudioPlayer hook for playback logic
  * 2. Renders play/pause button, volume control, and status
- * 3. Shows loading/buffering states
- * 4. Displays errors with retry option
+ * 3. Lets listeners choose between the voice only and the voice mixed over the original,
+ *    once mixed fragments exist (the player restarts at the current fragment)
+ * 4. Shows loading/buffering states
+ * 5. Displays errors with retry option
  * 
  * Dependencies:
  * - useAudioPlayer hook for playback logic
  * - PropTypes for type checking
  */
 
+import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { useAudioPlayer } from '../../hooks/useAudioPlayer';
+import { formatTimestamp } from '../../utils/formatters';
+
+// Renditions listeners can choose between
+const RENDITION_LABELS = {
+  voice: 'Voice only',
+  mixed: 'Mixed with original'
+};
 
 export function StreamingAudioPlayer({ videoId, language }) {
+  const [rendition, setRendition] = useState('voice');
+  // Number of the fragment being played, so switching renditions carries on from there
+  // (the renditions' lists differ, so its index in one means nothing in the other)
+  const positionRef = useRef(null);
+
   console.log('🎵 Rendering StreamingAudioPlayer:', {
     videoId,
     language,
+    rendition,
     timestamp: new Date().toISOString()
   });
 
+  // Each rendition gets a fresh player (its own fragment list and audio element)
+  return (
+    <RenditionPlayer
+      key={rendition}
+      videoId={videoId}
+      language={language}
+      rendition={rendition}
+      startAtFragment={positionRef.current}
+      onFragmentChange={fragment => { positionRef.current = fragment; }}
+      onRenditionChange={setRendition}
+    />
+  );
+}
+
+/**
+ * Player for one rendition of a language's fragments
+ */
+function RenditionPlayer({ videoId, language, rendition, startAtFragment, onFragmentChange, onRenditionChange }) {
   // Get audio player state and controls from hook
   const {
     isPlaying,
     isLoading,
     currentFragment,
     fragments,
+    fragmentDetails,
+    renditions,
     error,
     volume,
     isWaitingForNext,
     setVolume,
     setError,
     togglePlay
-  } = useAudioPlayer(videoId, language);
+  } = useAudioPlayer(videoId, language, rendition, startAtFragment);
+
+  // Where the current fragment sits in the source video
+  const currentDetails = fragmentDetails[currentFragment];
+
+  useEffect(() => {
+    if (currentDetails) {
+      onFragmentChange(currentDetails.fragment);
+    }
+  }, [currentDetails?.fragment]);
 
   /**
    * Handles volume slider changes
@@ -120,6 +165,8 @@ export function StreamingAudioPlayer({ videoId, language }) {
               isWaiting: isWaitingForNext
             })}
             Fragment: {currentFragment + 1}/{fragments.length || 0}
+            {currentDetails?.start !== undefined &&
+              ` (${formatTimestamp(currentDetails.start)} - ${formatTimestamp(currentDetails.end)})`}
             {isWaitingForNext && ' (Waiting for next fragment...)'}
           </div>
 
@@ -141,6 +188,22 @@ export function StreamingAudioPlayer({ videoId, language }) {
               {Math.round(volume * 100)}%
             </span>
           </div>
+
+          {renditions.length > 1 && (
+            <div className="flex rounded overflow-hidden border border-gray-300">
+              {renditions.map(name => (
+                <button
+                  key={name}
+                  onClick={() => name !== rendition && onRenditionChange(name)}
+                  className={`px-2 py-1 text-sm ${
+                    name === rendition ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {RENDITION_LABELS[name] || name}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -151,4 +214,13 @@ export function StreamingAudioPlayer({ videoId, language }) {
 StreamingAudioPlayer.propTypes = {
   videoId: PropTypes.string.isRequired,
   language: PropTypes.string.isRequired
+};
+
+RenditionPlayer.propTypes = {
+  videoId: PropTypes.string.isRequired,
+  language: PropTypes.string.isRequired,
+  rendition: PropTypes.oneOf(['voice', 'mixed']).isRequired,
+  startAtFragment: PropTypes.number,       // Fragment number to start at (where the other rendition was)
+  onFragmentChange: PropTypes.func.isRequired,
+  onRenditionChange: PropTypes.func.isRequired
 }; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Component with pause / resume / stop buttons for a processing job
+ * Used by: VideoDetails.jsx
+ * Purpose: Lets the user halt a running job and pick it up again later
+ * 
+ * Flow:
+ * 1. Receives the job record from VideoDetails.jsx through props
+ * 2. Shows the buttons that make sense for the current job status
+ * 3. Calls onAction with 'pause', 'resume' or 'stop' when a button is clicked
+ * 4. Disables the buttons while a request is in flight
+ * 5. Explains a pause caused by the job reaching its budget
+ */
+
+import PropTypes from 'prop-types';
+
+export function JobControls({ job, onAction, busy }) {
+  // Nothing to control until the job exists
+  if (!job) return null;
+
+  const canPause = job.status === 'running' || job.status === 'pending';
+  const canResume = job.status === 'paused';
+  const canStop = !['completed', 'completed_with_errors', 'stopped'].includes(job.status);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-4">
+      <div className="flex items-center justify-between">
+        <p className="font-medium">Job: 
+          {/* Job status badge with color coding */}
+          <span className={`ml-2 px-2 py-1 rounded ${
+            job.status === 'completed' ? 'bg-green-100 text-green-800' :
+            job.status === 'completed_with_errors' ? 'bg-orange-100 text-orange-800' :
+            job.status === 'running' ? 'bg-blue-100 text-blue-800' :
+            job.status === 'paused' ? 'bg-yellow-100 text-yellow-800' :
+            job.status === 'error' ? 'bg-red-100 text-red-800' :
+            'bg-gray-100 text-gray-800'
+          }`}>
+            {job.status}
+          </span>
+        </p>
+
+        {/* Action buttons */}
+        <div className="flex gap-2">
+          {canPause && (
+            <button
+              onClick={() => onAction('pause')}
+              disabled={busy}
+              className="py-2 px-4 bg-yellow-500 text-white rounded hover:bg-yellow-600 transition disabled:opacity-50"
+            >
+              Pause
+            </button>
+          )}
+          {canResume && (
+            <button
+              onClick={() => onAction('resume')}
+              disabled={busy}
+              className="py-2 px-4 bg-green-500 text-white rounded hover:bg-green-600 transition disabled:opacity-50"
+            >
+              Resume
+            </button>
+          )}
+          {canStop && (
+            <button
+              onClick={() => onAction('stop')}
+              disabled={busy}
+              className="py-2 px-4 bg-red-500 text-white rounded hover:bg-red-600 transition disabled:opacity-50"
+            >
+              Stop
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Paused automatically at the budget cap */}
+      {job.budgetAlert && (
+        <p className="mt-3 text-sm text-red-700">
+          Budget reached: ${job.budgetAlert.spent.toFixed(2)} spent of ${job.budgetAlert.budget}. Raise the job&apos;s budget to resume.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// PropTypes for type checking
+JobControls.propTypes = {
+  job: PropTypes.shape({
+    id: PropTypes.string,
+    status: PropTypes.string,      // pending/running/paused/stopped/completed/error
+    budgetAlert: PropTypes.shape({ // Set when the job was paused at its budget cap
+      spent: PropTypes.number,
+      budget: PropTypes.number
+    })
+  }),
+  onAction: PropTypes.func.isRequired, // Called with 'pause', 'resume' or 'stop'
+  busy: PropTypes.bool                 // True while an action request is in flight
+};
@@ -0,0 +1,98 @@
+/**
+ * Component for choosing a job's translation (text) and dubbing (audio) languages
+ * Used by: Home.jsx
+ * Purpose: Lets the user pick the target languages before processing starts
+ *
+ * Flow:
+ * 1. Fetches the language registry from the backend
+ * 2. Pre-selects the default text and audio languages
+ * 3. Calls onChange with { textLanguages, audioLanguages } (language codes) on every change
+ *
+ * Dependencies:
+ * - Backend API for the language list
+ */
+
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import { API_ENDPOINTS } from '../../utils/constants';
+
+export function LanguageSelector({ value, onChange }) {
+  const [languages, setLanguages] = useState([]);
+
+  useEffect(() => {
+    axios.get(API_ENDPOINTS.LANGUAGES)
+      .then(response => {
+        setLanguages(response.data);
+        // Start from the backend's defaults
+        onChange({
+          textLanguages: response.data.filter(lang => lang.defaultText).map(lang => lang.code),
+          audioLanguages: response.data.filter(lang => lang.defaultAudio).map(lang => lang.code)
+        });
+      })
+      .catch(error => {
+        console.error('Error fetching languages:', error);
+      });
+  }, []);
+
+  /**
+   * Toggles a language in one of the lists. Dubbing needs a translation,
+   * so selecting audio also selects text, and deselecting text deselects audio.
+   * @param {string} kind - 'textLanguages' or 'audioLanguages'
+   * @param {string} code - Language code
+   */
+  const toggle = (kind, code) => {
+    const selected = value[kind].includes(code);
+    const next = {
+      ...value,
+      [kind]: selected ? value[kind].filter(c => c !== code) : [...value[kind], code]
+    };
+
+    if (kind === 'audioLanguages' && !selected && !next.textLanguages.includes(code)) {
+      next.textLanguages = [...next.textLanguages, code];
+    }
+    if (kind === 'textLanguages' && selected) {
+      next.audioLanguages = next.audioLanguages.filter(c => c !== code);
+    }
+    onChange(next);
+  };
+
+  if (languages.length === 0) return null;
+
+  return (
+    <div className="mt-4">
+      <div className="grid grid-cols-[1fr_auto_auto] gap-x-6 gap-y-1 text-sm items-center">
+        <span className="font-medium">Language</span>
+        <span className="font-medium">Text</span>
+        <span className="font-medium">Audio</span>
+
+        {languages.map(lang => (
+          <div key={lang.code} className="contents">
+            <span>{lang.label}</span>
+            <input
+              type="checkbox"
+              aria-label={`Translate to ${lang.name}`}
+              checked={value.textLanguages.includes(lang.code)}
+              onChange={() => toggle('textLanguages', lang.code)}
+            />
+            <input
+              type="checkbox"
+              aria-label={`Dub in ${lang.name}`}
+              checked={value.audioLanguages.includes(lang.code)}
+              onChange={() => toggle('audioLanguages', lang.code)}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// PropTypes for type checking
+LanguageSelector.propTypes = {
+  value: PropTypes.shape({
+    textLanguages: PropTypes.arrayOf(PropTypes.string).isRequired,  // Codes to translate to
+    audioLanguages: PropTypes.arrayOf(PropTypes.string).isRequired  // Codes to dub
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
@@ -0,0 +1,59 @@
+/**
+ * Component with subtitle download links for the original transcript and each translation
+ * Used by: VideoDetails.jsx
+ * Purpose: Lets the user download SRT / WebVTT captions (e.g. to upload to YouTube)
+ *
+ * Flow:
+ * 1. Receives the job record from VideoDetails.jsx through props
+ * 2. Collects the languages that have translated fragments
+ * 3. Shows SRT and VTT links for the original transcript and each language
+ */
+
+import PropTypes from 'prop-types';
+import { API_ENDPOINTS } from '../../utils/constants';
+
+export function SubtitleDownloads({ job }) {
+  const transcribed = Object.values(job?.stages?.transcription?.fragments || {})
+    .some(fragment => fragment.status === 'completed');
+
+  // Nothing to download until something has been transcribed
+  if (!transcribed) return null;
+
+  // Languages saved for any translated fragment
+  const languages = [...new Set(
+    Object.values(job.stages.translation?.fragments || {})
+      .flatMap(fragment => fragment.languages || [])
+  )].sort();
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-4">
+      <h3 className="font-medium mb-4">Subtitles</h3>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+        {['original', ...languages].map(language => (
+          <div key={language} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+            <span className="text-sm capitalize">{language}</span>
+            <div className="flex gap-2 text-sm">
+              {['srt', 'vtt'].map(format => (
+                <a
+                  key={format}
+                  href={API_ENDPOINTS.SUBTITLES(job.id, language, format)}
+                  className="text-blue-600 hover:underline uppercase"
+                >
+                  {format}
+                </a>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// PropTypes for type checking
+SubtitleDownloads.propTypes = {
+  job: PropTypes.shape({
+    id: PropTypes.string,
+    stages: PropTypes.object      // Per-stage state, including per-fragment results
+  })
+};
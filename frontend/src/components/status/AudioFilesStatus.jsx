@@ -6,7 +6,7 @@
  * 
  * Flow:
  * 1. Receives status updates from VideoDetails.jsx
- * 2. Displays a section for each language being processed
+ * 2. Displays a section for each of the job's audio languages, labelled from the language registry
  * 3. Shows audio player and progress for each language
  * 4. Displays overall progress at the bottom
  * 
@@ -56,13 +56,6 @@ export function AudioFilesStatus({ status }) {
     overallProgress: status.audioStatus.overallProgress
   });
 
-  // Language display names mapping
-  const languageDisplayNames = {
-    Hindi: "Hindi Translation (हिंदी अनुवाद)",
-    Sanskrit: "Sanskrit Translation (संस्कृत अनुवाद)",
-    Marathi: "Marathi Translation (मराठी अनुवाद)"
-  };
-
   return (
     <div className="mt-8">
       <h2 className="text-2xl font-bold mb-4">Audio Files Status</h2>
@@ -80,7 +73,7 @@ export function AudioFilesStatus({ status }) {
           return (
             <div key={language} className="bg-white rounded-lg shadow p-4">
               <h3 className="text-xl font-semibold mb-3 text-blue-600">
-                {languageDisplayNames[language] || language}
+                {langStatus.label || language}
               </h3>
 
               <div className="space-y-4">
@@ -143,6 +136,7 @@ AudioFilesStatus.propTypes = {
   status: PropTypes.shape({
     audioStatus: PropTypes.shape({
       languageStatus: PropTypes.objectOf(PropTypes.shape({
+        label: PropTypes.string,      // Display name from the language registry
         filesCount: PropTypes.number,
         progress: PropTypes.number
       })),
@@ -0,0 +1,97 @@
+/**
+ * Component for displaying translation quality scores
+ * Used by: VideoDetails.jsx
+ * Purpose: Shows reviewers which languages and fragments the back-translation quality pass
+ * flagged, so they know where to look
+ *
+ * Flow:
+ * 1. Receives the translation status from VideoDetails.jsx through props
+ * 2. Shows the average back-translation score for each checked language, color coded
+ * 3. Lists the flagged fragments with the reasons they were flagged
+ */
+
+import PropTypes from 'prop-types';
+
+// What each quality flag means, for reviewers
+const FLAG_LABELS = {
+  low_score: 'Back-translation differs from English',
+  length_ratio: 'Unusual length',
+  wrong_script: 'Wrong script'
+};
+
+/**
+ * Badge colors for a score: green when good, amber when borderline, red when poor
+ */
+function scoreClass(score) {
+  if (score === null || score === undefined) return 'bg-gray-100 text-gray-800';
+  if (score >= 0.7) return 'bg-green-100 text-green-800';
+  if (score >= 0.5) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-red-100 text-red-800';
+}
+
+export function TranslationQuality({ status }) {
+  const checkedLanguages = Object.entries(status?.languageStatus || {})
+    .filter(([, langStatus]) => langStatus.averageQuality !== null && langStatus.averageQuality !== undefined);
+
+  // Nothing to show until the quality pass has scored something
+  if (!checkedLanguages.length && !status?.qualityFlags?.length) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-4">
+      <h2 className="text-xl font-bold mb-4">Translation Quality</h2>
+
+      {/* Average score per language */}
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+        {checkedLanguages.map(([language, langStatus]) => (
+          <div key={language} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+            <span className="text-sm">{langStatus.label || language}</span>
+            <span className={`text-sm px-2 py-1 rounded ${scoreClass(langStatus.averageQuality)}`}>
+              {langStatus.averageQuality.toFixed(2)}
+              {langStatus.flaggedFragments > 0 && ` · ${langStatus.flaggedFragments} flagged`}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Fragments to review */}
+      {status.qualityFlags?.length > 0 && (
+        <div className="mt-4">
+          <h3 className="font-semibold mb-2">Needs review:</h3>
+          <div className="bg-gray-50 p-4 rounded-lg max-h-60 overflow-y-auto">
+            {status.qualityFlags.map(flag => (
+              <div
+                key={`${flag.fragment}-${flag.language}`}
+                className="py-2 px-3 mb-1 bg-yellow-50 border-l-4 border-yellow-400 rounded text-sm"
+              >
+                <span className="font-medium">Fragment {flag.fragment}, {flag.language}</span>
+                {flag.score !== null && (
+                  <span className={`ml-2 px-2 py-0.5 rounded ${scoreClass(flag.score)}`}>{flag.score.toFixed(2)}</span>
+                )}
+                <span className="ml-2 text-gray-600">
+                  {flag.flags.map(name => FLAG_LABELS[name] || name).join(', ')}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// PropTypes for type checking
+TranslationQuality.propTypes = {
+  status: PropTypes.shape({
+    languageStatus: PropTypes.objectOf(PropTypes.shape({
+      label: PropTypes.string,
+      averageQuality: PropTypes.number,  // Mean back-translation score, null when unchecked
+      flaggedFragments: PropTypes.number
+    })),
+    qualityFlags: PropTypes.arrayOf(PropTypes.shape({
+      fragment: PropTypes.number,
+      language: PropTypes.string,
+      score: PropTypes.number,
+      flags: PropTypes.arrayOf(PropTypes.string)
+    }))
+  })
+};
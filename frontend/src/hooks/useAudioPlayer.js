@@ -5,7 +5,8 @@
  * 
  * Flow:
  * 1. Initializes audio player and state
- * 2. Polls backend for new fragments
+ * 2. Polls backend for new fragments of the chosen rendition (voice only, or mixed over the
+ *    original) with their position in the source video
  * 3. Manages playback state and fragment transitions
  * 4. Handles errors and cleanup
  * 
@@ -17,16 +18,18 @@
 import { useState, useEffect, useRef } from 'react';
 import { API_ENDPOINTS, API_BASE_URL, POLLING_INTERVALS } from '../utils/constants';
 
-export function useAudioPlayer(videoId, language) {
-  console.log('🎵 Initializing useAudioPlayer:', { videoId, language });
+export function useAudioPlayer(videoId, language, rendition = 'voice', startAtFragment = null) {
+  console.log('🎵 Initializing useAudioPlayer:', { videoId, language, rendition });
   console.log('📍 API Base URL:', API_BASE_URL);
-  console.log('🔗 Audio fragments endpoint:', API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language));
+  console.log('🔗 Audio fragments endpoint:', API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language, rendition));
 
   // Player state initialization
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [currentFragment, setCurrentFragment] = useState(0);
   const [fragments, setFragments] = useState([]);
+  const [renditions, setRenditions] = useState(['voice']);
+  const [fragmentDetails, setFragmentDetails] = useState([]);
   const [error, setError] = useState(null);
   const [volume, setVolume] = useState(1.0);
   const [currentTime, setCurrentTime] = useState(0);
@@ -37,6 +40,8 @@ export function useAudioPlayer(videoId, language) {
   const isUnmountingRef = useRef(false);
   const nextFragmentCheckRef = useRef(null);
   const currentDurationRef = useRef(null);
+  // Fragment number to start at, found in this rendition's list once it has loaded
+  const startAtRef = useRef(startAtFragment);
 
   const checkBackendAvailability = async () => {
     console.log('🔍 Checking backend availability...');
@@ -230,11 +235,11 @@ export function useAudioPlayer(videoId, language) {
   const checkForNewFragments = async () => {
     try {
       console.log('🔍 Fetching fragments list:', {
-        url: API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language),
+        url: API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language, rendition),
         currentCount: fragments.length
       });
 
-      const response = await fetch(API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language));
+      const response = await fetch(API_ENDPOINTS.AUDIO_FRAGMENTS(videoId, language, rendition));
       if (!response.ok) {
         console.error('❌ Fragments fetch error:', {
           status: response.status,
@@ -245,6 +250,9 @@ export function useAudioPlayer(videoId, language) {
 
       const data = await response.json();
       console.log('📦 Fragments response:', data);
+      if (data.renditions) {
+        setRenditions(data.renditions);
+      }
       
       if (data.files && Array.isArray(data.files)) {
         console.log('📁 Processing files:', data.files);
@@ -255,8 +263,9 @@ export function useAudioPlayer(videoId, language) {
             return isMP3;
           })
           .sort((a, b) => {
-            const numA = parseInt(a.match(/fragment-(\d+)\.mp3/)?.[1] || '0');
-            const numB = parseInt(b.match(/fragment-(\d+)\.mp3/)?.[1] || '0');
+            // fragment-3.mp3 (voice only) or fragment-3.mixed.mp3
+            const numA = parseInt(a.match(/fragment-(\d+)\./)?.[1] || '0');
+            const numB = parseInt(b.match(/fragment-(\d+)\./)?.[1] || '0');
             return numA - numB;
           });
 
@@ -271,6 +280,17 @@ export function useAudioPlayer(videoId, language) {
           console.log(`📥 Found ${newFragments.length - fragments.length} new fragments:`, 
             newFragments.slice(fragments.length));
           setFragments(newFragments);
+          setFragmentDetails(data.fragments || []);
+
+          // Start at that fragment, or the first one after it; until it is in this
+          // rendition, wait past the end of the list rather than play from the start
+          if (startAtRef.current !== null) {
+            const index = (data.fragments || []).findIndex(details => details.fragment >= startAtRef.current);
+            setCurrentFragment(index === -1 ? newFragments.length : index);
+            if (index !== -1) {
+              startAtRef.current = null;
+            }
+          }
           
           if (isWaitingForNext && currentFragment + 1 < newFragments.length) {
             console.log('🎵 Conditions met for auto-play:', {
@@ -675,6 +695,8 @@ export function useAudioPlayer(videoId, language) {
     isLoading,
     currentFragment,
     fragments,
+    fragmentDetails,
+    renditions,
     error,
     volume,
     currentTime,
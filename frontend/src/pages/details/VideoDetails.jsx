@@ -5,11 +5,15 @@
  * Flow:
  * 1. Extracts videoId from URL parameters
  * 2. Fetches video details from YouTube
- * 3. Polls for extraction and audio processing status
- * 4. Displays video info, extraction status, and audio status
+ * 3. Polls for job, extraction, translation and audio processing status
+ * 4. Displays video info, job controls, subtitle downloads, extraction status, translation
+ *    quality, and audio status
  * 
  * Dependencies:
+ * - JobControls for pausing, resuming and stopping the job
+ * - SubtitleDownloads for SRT / WebVTT captions
  * - ExtractionStatus for showing extraction progress
+ * - TranslationQuality for showing back-translation scores and flagged fragments
  * - AudioFilesStatus for showing audio processing
  * - formatDuration for time formatting
  * - Backend API for data fetching
@@ -22,18 +26,25 @@ import { toast } from 'react-hot-toast';
 import { formatDuration } from '../../utils/formatters';
 import { ExtractionStatus } from '../../components/status/ExtractionStatus';
 import { AudioFilesStatus } from '../../components/status/AudioFilesStatus';
+import { TranslationQuality } from '../../components/status/TranslationQuality';
+import { JobControls } from '../../components/controls/JobControls';
+import { SubtitleDownloads } from '../../components/controls/SubtitleDownloads';
 import { API_ENDPOINTS, POLLING_INTERVALS, TOAST_DURATIONS } from '../../utils/constants';
 
 export function VideoDetails() {
   // State management
   const [videoInfo, setVideoInfo] = useState(null);
   const [extractionStatus, setExtractionStatus] = useState(null);
+  const [translationStatus, setTranslationStatus] = useState(null);
+  const [job, setJob] = useState(null);
+  const [jobActionPending, setJobActionPending] = useState(false);
   const { videoId } = useParams();
 
   useEffect(() => {
     if (videoId) {
       // Fetch initial video details
       fetchVideoDetails();
+      fetchJob();
       // Start polling for status updates
       const pollInterval = startStatusPolling();
 
@@ -61,7 +72,7 @@ export function VideoDetails() {
   };
 
   /**
-   * Starts polling for extraction and audio status
+   * Starts polling for extraction, translation and audio status
    * @returns {number} Interval ID for cleanup
    */
   const startStatusPolling = () => {
@@ -80,9 +91,54 @@ export function VideoDetails() {
         .catch(error => {
           console.error('Error fetching status:', error);
         });
+
+      axios.get(API_ENDPOINTS.TRANSLATION_STATUS(videoId))
+        .then(response => setTranslationStatus(response.data))
+        .catch(error => {
+          console.error('Error fetching translation status:', error);
+        });
+
+      fetchJob();
     }, POLLING_INTERVALS.EXTRACTION_STATUS);
   };
 
+  /**
+   * Fetches the job record (status used by the job controls)
+   */
+  const fetchJob = async () => {
+    try {
+      const response = await axios.get(API_ENDPOINTS.JOB(videoId));
+      setJob(response.data);
+    } catch (error) {
+      // No job yet for this video
+      if (error.response?.status !== 404) {
+        console.error('Error fetching job:', error);
+      }
+    }
+  };
+
+  /**
+   * Pauses, resumes or stops the job
+   * @param {string} action - 'pause', 'resume' or 'stop'
+   */
+  const handleJobAction = async (action) => {
+    setJobActionPending(true);
+    try {
+      const response = await axios.post(API_ENDPOINTS.JOB_ACTION(videoId, action));
+      setJob(response.data);
+      toast.success(`Job ${response.data.status}`, {
+        duration: TOAST_DURATIONS.SUCCESS
+      });
+    } catch (error) {
+      console.error(`Error trying to ${action} job:`, error);
+      toast.error(error.response?.data?.error || `Failed to ${action} job`, {
+        duration: TOAST_DURATIONS.ERROR
+      });
+    } finally {
+      setJobActionPending(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-100 py-8 px-4">
       <div className="max-w-4xl mx-auto">
@@ -121,8 +177,13 @@ export function VideoDetails() {
               </div>
             </div>
 
+            {/* Job controls */}
+            <JobControls job={job} onAction={handleJobAction} busy={jobActionPending} />
+            <SubtitleDownloads job={job} />
+
             {/* Status components */}
             <ExtractionStatus status={extractionStatus} />
+            <TranslationQuality status={translationStatus} />
             <AudioFilesStatus status={extractionStatus} />
           </div>
         ) : (
@@ -3,13 +3,14 @@
  * Purpose: Allows users to input YouTube URLs and start the processing
  * 
  * Flow:
- * 1. User inputs YouTube URL
+ * 1. User inputs YouTube URL and picks the target languages
  * 2. Validates URL and checks if it's a live stream
  * 3. Shows live stream modal if needed
  * 4. Starts processing and redirects to details page
  * 
  * Dependencies:
  * - LiveStreamModal for handling live streams
+ * - LanguageSelector for choosing text and audio languages
  * - Backend API for validation and processing
  * - React Router for navigation
  */
@@ -19,6 +20,7 @@ import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { LiveStreamModal } from '../../components/modals/LiveStreamModal';
+import { LanguageSelector } from '../../components/controls/LanguageSelector';
 import { API_ENDPOINTS, TOAST_DURATIONS } from '../../utils/constants';
 
 export function Home() {
@@ -27,6 +29,7 @@ export function Home() {
   const [loading, setLoading] = useState(false);
   const [showLiveModal, setShowLiveModal] = useState(false);
   const [pendingLiveUrl, setPendingLiveUrl] = useState(null);
+  const [languages, setLanguages] = useState({ textLanguages: [], audioLanguages: [] });
   const navigate = useNavigate();
 
   /**
@@ -41,7 +44,8 @@ export function Home() {
     try {
       const response = await axios.post(API_ENDPOINTS.VALIDATE_YOUTUBE, { 
         url: pendingLiveUrl,
-        liveStreamChoice: choice 
+        liveStreamChoice: choice,
+        options: languages
       });
       
       toast.success('Live stream processing started!', {
@@ -99,7 +103,7 @@ export function Home() {
       
       if (videoId) {
         // Start background processing
-        axios.post(API_ENDPOINTS.VALIDATE_YOUTUBE, { url })
+        axios.post(API_ENDPOINTS.VALIDATE_YOUTUBE, { url, options: languages })
           .catch(error => {
             console.error('Background extraction error:', error);
           });
@@ -182,6 +186,9 @@ export function Home() {
               {loading ? 'Validating...' : 'Validate'}
             </button>
           </div>
+
+          {/* Target languages */}
+          <LanguageSelector value={languages} onChange={setLanguages} />
         </form>
       </div>
     </div>
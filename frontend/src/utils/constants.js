@@ -6,7 +6,13 @@ export const API_ENDPOINTS = {
   VALIDATE_YOUTUBE: `${API_BASE_URL}/api/validate-youtube`,
   EXTRACTION_STATUS: (videoId) => `${API_BASE_URL}/api/extraction-status/${videoId}`,
   AUDIO_STATUS: (videoId) => `${API_BASE_URL}/api/audio-status/${videoId}`,
-  AUDIO_FRAGMENTS: (videoId, language) => `${API_BASE_URL}/api/audio/${videoId}/${language}/fragments`,
+  TRANSLATION_STATUS: (videoId) => `${API_BASE_URL}/api/translation-status/${videoId}`,
+  LANGUAGES: `${API_BASE_URL}/api/languages`,
+  JOB: (videoId) => `${API_BASE_URL}/api/jobs/${videoId}`,
+  JOB_ACTION: (videoId, action) => `${API_BASE_URL}/api/jobs/${videoId}/${action}`,
+  SUBTITLES: (videoId, language, format) => `${API_BASE_URL}/api/videos/${videoId}/subtitles/${language}.${format}`,
+  AUDIO_FRAGMENTS: (videoId, language, rendition = 'voice') =>
+    `${API_BASE_URL}/api/audio/${videoId}/${language}/fragments${rendition === 'mixed' ? '?rendition=mixed' : ''}`,
   SERVER_STATUS: `${API_BASE_URL}/api/status`
 };
 
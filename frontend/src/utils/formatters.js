@@ -1,6 +1,6 @@
 /**
  * Utility functions for formatting data
- * Used by: VideoDetails.jsx
+ * Used by: VideoDetails.jsx, StreamingAudioPlayer.jsx
  * Purpose: Contains reusable formatting functions for displaying data in a user-friendly way
  */
 
@@ -33,4 +33,21 @@ export const formatDuration = (duration) => {
     console.error('Error formatting duration:', error);
     return 'N/A';
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Formats a position in seconds as a timestamp (83.4 -> '1:23', 3723 -> '1:02:03')
+ * @param {number} seconds - Position in seconds
+ * @returns {string} Formatted timestamp, or '--:--' if unknown
+ */
+export const formatTimestamp = (seconds) => {
+  if (typeof seconds !== 'number' || Number.isNaN(seconds)) return '--:--';
+
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+};